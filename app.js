@@ -0,0 +1,56 @@
+import express from 'express';
+import cors from 'cors';
+import { authenticate, corsOptions } from './lib/auth.js';
+import { trackUsageRoute } from './lib/usage.js';
+import { accountsRouter } from './routes/accounts.js';
+import { generationRouter } from './routes/generation.js';
+import { grammarRouter } from './routes/grammar.js';
+import { examplesRouter } from './routes/examples.js';
+import { kanjiRouter } from './routes/kanji.js';
+import { examsRouter } from './routes/exams.js';
+import { reviewRouter } from './routes/review.js';
+import { searchRouter } from './routes/search.js';
+import { conjugationRouter } from './routes/conjugation.js';
+import { transferRouter } from './routes/transfer.js';
+import { subscriptionsRouter } from './routes/subscriptions.js';
+import { moderationRouter } from './routes/moderation.js';
+import { adminRouter } from './routes/admin.js';
+
+/**
+ * The HTTP API. Routers share one database pool (`db`, see lib/db.js), one
+ * LLM client and one mailer; none of them is created or closed here.
+ */
+export function createApp({ db, llm, mailer }) {
+  const app = express();
+  // Imports carry whole database dumps, so allow larger bodies than the 100kb default
+  app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
+  app.use(cors(corsOptions()));
+  app.use(authenticate({ db }));
+  app.use(trackUsageRoute);
+
+  app.use(accountsRouter({ db }));
+  app.use(generationRouter({ db, llm }));
+  app.use(grammarRouter({ db }));
+  app.use(examplesRouter({ db }));
+  app.use(kanjiRouter({ db, llm }));
+  app.use(examsRouter({ db }));
+  app.use(reviewRouter({ db }));
+  app.use(searchRouter({ db }));
+  app.use(conjugationRouter({ db }));
+  app.use(transferRouter({ db }));
+  app.use(subscriptionsRouter({ db, mailer }));
+  app.use(moderationRouter({ db, llm }));
+  app.use(adminRouter({ db, llm }));
+
+  // Liveness plus a fresh database round trip; 503 while the database is unreachable
+  app.get('/api/health', async (req, res) => {
+    const database = await db.check();
+    res.status(database.ok ? 200 : 503).json({ status: database.ok ? 'ok' : 'degraded', database });
+  });
+
+  app.get('/', (req, res) => {
+    res.json({ message: 'こんにちは、N4学習者さん！ (Hello, N4 learner!)' });
+  });
+
+  return app;
+}
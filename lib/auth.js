@@ -0,0 +1,151 @@
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import sql from 'mssql';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['learner', 'admin'];
+export const MIN_PASSWORD_LENGTH = 8;
+// scrypt's cost grows with the input, so longer passwords are refused up front
+export const MAX_PASSWORD_LENGTH = 128;
+
+const DEFAULT_TOKEN_TTL_SECONDS = 7 * 24 * 3600;
+const KEY_LENGTH = 64;
+// Checked when the email is unknown, so a login takes as long whether or not the account exists
+const DUMMY_HASH = `scrypt$${'A'.repeat(22)}$${'A'.repeat(86)}`;
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function authSecret() {
+  const secret = process.env.AUTH_SECRET;
+  if (!secret) throw new Error('AUTH_SECRET is not set');
+  return secret;
+}
+
+// ---- Passwords: scrypt with a per-user salt, stored as "scrypt$salt$hash" ----
+
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('base64url');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('base64url')}`;
+}
+
+// False for a null `stored` (unknown account), after the same scrypt work as a real check
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored ?? DUMMY_HASH).split('$');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  const expectedBuffer = Buffer.from(expected, 'base64url');
+  return stored != null && expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+}
+
+// ---- Tokens: HS256 JWTs signed with AUTH_SECRET ----
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+function sign(data) {
+  return crypto.createHmac('sha256', authSecret()).update(data).digest('base64url');
+}
+
+export function signToken(user, now = new Date()) {
+  const ttl = parseInt(process.env.AUTH_TOKEN_TTL_SECONDS ?? '', 10) || DEFAULT_TOKEN_TTL_SECONDS;
+  const iat = Math.floor(now.getTime() / 1000);
+  const header = base64url({ alg: 'HS256', typ: 'JWT' });
+  const payload = base64url({ sub: String(user.user_id), role: user.role, iat, exp: iat + ttl });
+  return {
+    token: `${header}.${payload}.${sign(`${header}.${payload}`)}`,
+    expires_at: new Date((iat + ttl) * 1000).toISOString(),
+  };
+}
+
+// Claims of a valid, unexpired token; throws AuthError otherwise
+export function verifyToken(token, now = new Date()) {
+  const [header, payload, signature] = String(token).split('.');
+  if (!header || !payload || !signature) throw new AuthError('Malformed token');
+
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new AuthError('Invalid token');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch {
+    throw new AuthError('Malformed token');
+  }
+  if (!claims.exp || claims.exp * 1000 <= now.getTime()) throw new AuthError('Token expired');
+  return claims;
+}
+
+// ---- Express middleware ----
+
+// Role stored for the account now, or null when it no longer exists
+async function currentRole(db, userId) {
+  const pool = await db.getPool();
+  const result = await pool.request()
+    .input('user_id', sql.Int, parseInt(userId, 10))
+    .query('SELECT role FROM users WHERE user_id = @user_id');
+  return result.recordset[0]?.role ?? null;
+}
+
+/**
+ * Middleware reading "Authorization: Bearer <token>" into req.user ({ id, role }).
+ * Requests without a token pass through anonymously; a bad token is a 401.
+ * Every token is checked against users, so a deleted account or a role
+ * change (PATCH /api/users/:id/role) applies at once rather than when the
+ * token expires.
+ */
+export function authenticate({ db }) {
+  return async (req, res, next) => {
+    const header = req.get('authorization');
+    if (!header) return next();
+
+    const [scheme, token] = header.split(' ');
+    try {
+      if (scheme !== 'Bearer' || !token) throw new AuthError('Authorization must be "Bearer <token>"');
+      const claims = verifyToken(token);
+      const role = await currentRole(db, claims.sub);
+      if (!role) throw new AuthError('Account no longer exists');
+      req.user = { id: claims.sub, role };
+    } catch (err) {
+      const status = err instanceof AuthError ? err.status : 500;
+      return res.status(status).json({ error: err.message });
+    }
+    next();
+  };
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+  next();
+}
+
+export function requireAdmin(req, res, next) {
+  if (!req.user) return res.status(401).json({ error: 'Sign in required' });
+  if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin role required' });
+  next();
+}
+
+/**
+ * Learner whose data a request reads or writes: the signed-in user, or for
+ * admins the learner_id they pass explicitly.
+ */
+export function learnerIdFor(req, requested) {
+  if (req.user?.role === 'admin' && requested) return String(requested);
+  return req.user?.id ?? null;
+}
+
+// CORS allow-list from CORS_ORIGINS (comma separated); no cross-origin access when unset
+export function corsOptions() {
+  const origins = (process.env.CORS_ORIGINS ?? '').split(',').map(o => o.trim()).filter(Boolean);
+  return { origin: origins.includes('*') ? true : origins };
+}
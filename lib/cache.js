@@ -0,0 +1,116 @@
+import crypto from 'node:crypto';
+
+/**
+ * In-process response cache for read-heavy endpoints.
+ *
+ * Entries hold the serialized JSON body with its ETag and Last-Modified and
+ * are tagged with the content they were built from ('grammar', 'kanji',
+ * 'exam'); writes call `invalidate(tag)` so readers never wait out the TTL
+ * for an edit to show up. A TTL of 0 turns caching off.
+ */
+export function createCache({ ttlMs = 60000, maxEntries = 1000 } = {}) {
+  const entries = new Map();
+  // Bumped by every invalidate(tag) (and clear), so a load that started before one isn't cached
+  const generations = new Map();
+  let cleared = 0;
+  const generationOf = (tags) => tags.reduce((sum, tag) => sum + (generations.get(tag) ?? 0), cleared);
+
+  return {
+    // Fresh entry for `key`, or null
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) return null;
+      return entry;
+    },
+
+    // Changes whenever any of `tags` is invalidated
+    generation(tags = []) {
+      return generationOf(tags);
+    },
+
+    /**
+     * Build an entry and cache it. With `generation` (from generation(tags)
+     * before loading) it is only cached when none of its tags was
+     * invalidated since.
+     */
+    set(key, value, tags = [], generation = null) {
+      const body = JSON.stringify(value);
+      const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+      const previous = entries.get(key);
+      const entry = {
+        body,
+        etag,
+        // Reloading unchanged content after the TTL keeps its Last-Modified
+        lastModified: previous?.etag === etag ? previous.lastModified : new Date().toUTCString(),
+        expiresAt: Date.now() + ttlMs,
+        tags,
+      };
+
+      if (ttlMs > 0 && (generation === null || generation === generationOf(tags))) {
+        entries.delete(key);
+        entries.set(key, entry);
+        // Oldest entries go first once the cache is full
+        while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+      }
+      return entry;
+    },
+
+    // Drop every entry built from any of `tags`; returns how many were dropped
+    invalidate(...tags) {
+      for (const tag of tags) generations.set(tag, (generations.get(tag) ?? 0) + 1);
+      let dropped = 0;
+      for (const [key, entry] of entries) {
+        if (entry.tags.some(tag => tags.includes(tag))) {
+          entries.delete(key);
+          dropped++;
+        }
+      }
+      return dropped;
+    },
+
+    clear() {
+      cleared++;
+      entries.clear();
+    },
+
+    get size() {
+      return entries.size;
+    },
+  };
+}
+
+// The cache shared by routes and background jobs (enrichment, exam generation, import)
+export const contentCache = createCache({
+  ttlMs: parseInt(process.env.CACHE_TTL_SECONDS ?? '300', 10) * 1000,
+  maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES ?? '1000', 10),
+});
+
+/**
+ * The cached entry for `key`, or a new one from `load()`. When `load`
+ * returns null or undefined (e.g. not found) nothing is cached and null is
+ * returned. A result that a write invalidated while it was loading is
+ * returned but not cached, since it may predate the write.
+ */
+export async function cachedEntry(key, tags, load, cache = contentCache) {
+  const hit = cache.get(key);
+  if (hit) return { ...hit, hit: true };
+
+  const generation = cache.generation(tags);
+  const value = await load();
+  if (value === null || value === undefined) return null;
+  return { ...cache.set(key, value, tags, generation), hit: false };
+}
+
+// Send an entry with its validators, or 304 when the client's copy is current
+export function sendEntry(req, res, entry) {
+  res.set({
+    ETag: entry.etag,
+    'Last-Modified': entry.lastModified,
+    // Clients keep the body but revalidate every time, so edits show up at once
+    'Cache-Control': 'no-cache',
+    'X-Cache': entry.hit ? 'HIT' : 'MISS',
+  });
+
+  if (req.fresh) return res.status(304).end();
+  res.type('json').send(entry.body);
+}
@@ -0,0 +1,347 @@
+import { toHiragana } from './kana.js';
+import { grammarForms } from './local-generator.js';
+
+// Verb and adjective conjugation, worked out from the word's ending (no dictionary or model).
+// Plain (casual) forms except ます-form; adjectives only take ADJECTIVE_FORMS.
+
+export const WORD_TYPES = ['godan', 'ichidan', 'suru', 'kuru', 'i_adjective', 'na_adjective'];
+
+export const CONJUGATION_FORMS = {
+  masu: 'ます-form',
+  te: 'て-form',
+  ta: 'た-form (past)',
+  nai: 'ない-form (negative)',
+  potential: 'potential',
+  volitional: 'volitional',
+  passive: 'passive',
+  causative: 'causative',
+  ba: 'conditional ～ば',
+  tara: 'conditional ～たら',
+};
+
+const ADJECTIVE_FORMS = ['te', 'ta', 'nai', 'ba', 'tara'];
+
+export function formsFor(type) {
+  return type.endsWith('_adjective') ? ADJECTIVE_FORMS : Object.keys(CONJUGATION_FORMS);
+}
+
+/**
+ * Common N5–N4 verbs and adjectives with their reading, class and meaning.
+ * Drills pick from this list, and it settles words whose ending is ambiguous
+ * (帰る is godan although it looks like an ichidan verb).
+ */
+export const LEXICON = [
+  ['行く', 'いく', 'godan', 'to go', 'N5'],
+  ['書く', 'かく', 'godan', 'to write', 'N5'],
+  ['聞く', 'きく', 'godan', 'to listen; to ask', 'N5'],
+  ['泳ぐ', 'およぐ', 'godan', 'to swim', 'N5'],
+  ['話す', 'はなす', 'godan', 'to speak', 'N5'],
+  ['待つ', 'まつ', 'godan', 'to wait', 'N5'],
+  ['持つ', 'もつ', 'godan', 'to hold', 'N5'],
+  ['死ぬ', 'しぬ', 'godan', 'to die', 'N5'],
+  ['遊ぶ', 'あそぶ', 'godan', 'to play', 'N5'],
+  ['飲む', 'のむ', 'godan', 'to drink', 'N5'],
+  ['読む', 'よむ', 'godan', 'to read', 'N5'],
+  ['休む', 'やすむ', 'godan', 'to rest', 'N5'],
+  ['買う', 'かう', 'godan', 'to buy', 'N5'],
+  ['会う', 'あう', 'godan', 'to meet', 'N5'],
+  ['使う', 'つかう', 'godan', 'to use', 'N5'],
+  ['帰る', 'かえる', 'godan', 'to go home', 'N5'],
+  ['入る', 'はいる', 'godan', 'to enter', 'N5'],
+  ['分かる', 'わかる', 'godan', 'to understand', 'N5'],
+  ['作る', 'つくる', 'godan', 'to make', 'N5'],
+  ['知る', 'しる', 'godan', 'to know', 'N5'],
+  ['走る', 'はしる', 'godan', 'to run', 'N4'],
+  ['急ぐ', 'いそぐ', 'godan', 'to hurry', 'N4'],
+  ['送る', 'おくる', 'godan', 'to send', 'N4'],
+  ['手伝う', 'てつだう', 'godan', 'to help', 'N4'],
+  ['運ぶ', 'はこぶ', 'godan', 'to carry', 'N4'],
+  ['食べる', 'たべる', 'ichidan', 'to eat', 'N5'],
+  ['見る', 'みる', 'ichidan', 'to see', 'N5'],
+  ['起きる', 'おきる', 'ichidan', 'to get up', 'N5'],
+  ['寝る', 'ねる', 'ichidan', 'to sleep', 'N5'],
+  ['教える', 'おしえる', 'ichidan', 'to teach', 'N5'],
+  ['出る', 'でる', 'ichidan', 'to leave; to come out', 'N5'],
+  ['着る', 'きる', 'ichidan', 'to wear', 'N5'],
+  ['開ける', 'あける', 'ichidan', 'to open', 'N5'],
+  ['忘れる', 'わすれる', 'ichidan', 'to forget', 'N5'],
+  ['借りる', 'かりる', 'ichidan', 'to borrow', 'N5'],
+  ['考える', 'かんがえる', 'ichidan', 'to think', 'N4'],
+  ['始める', 'はじめる', 'ichidan', 'to begin', 'N4'],
+  ['調べる', 'しらべる', 'ichidan', 'to look up', 'N4'],
+  ['する', 'する', 'suru', 'to do', 'N5'],
+  ['勉強する', 'べんきょうする', 'suru', 'to study', 'N5'],
+  ['運動する', 'うんどうする', 'suru', 'to exercise', 'N4'],
+  ['来る', 'くる', 'kuru', 'to come', 'N5'],
+  ['持ってくる', 'もってくる', 'kuru', 'to bring', 'N4'],
+  ['高い', 'たかい', 'i_adjective', 'expensive; tall', 'N5'],
+  ['安い', 'やすい', 'i_adjective', 'cheap', 'N5'],
+  ['大きい', 'おおきい', 'i_adjective', 'big', 'N5'],
+  ['新しい', 'あたらしい', 'i_adjective', 'new', 'N5'],
+  ['楽しい', 'たのしい', 'i_adjective', 'fun', 'N5'],
+  ['暑い', 'あつい', 'i_adjective', 'hot', 'N5'],
+  ['寒い', 'さむい', 'i_adjective', 'cold', 'N5'],
+  ['忙しい', 'いそがしい', 'i_adjective', 'busy', 'N5'],
+  ['いい', 'いい', 'i_adjective', 'good', 'N5'],
+  ['かわいい', 'かわいい', 'i_adjective', 'cute', 'N5'],
+  ['難しい', 'むずかしい', 'i_adjective', 'difficult', 'N5'],
+  ['静か', 'しずか', 'na_adjective', 'quiet', 'N5'],
+  ['元気', 'げんき', 'na_adjective', 'healthy; lively', 'N5'],
+  ['好き', 'すき', 'na_adjective', 'liked', 'N5'],
+  ['きれい', 'きれい', 'na_adjective', 'pretty; clean', 'N5'],
+  ['有名', 'ゆうめい', 'na_adjective', 'famous', 'N5'],
+  ['便利', 'べんり', 'na_adjective', 'convenient', 'N4'],
+  ['大切', 'たいせつ', 'na_adjective', 'important', 'N4'],
+  ['簡単', 'かんたん', 'na_adjective', 'simple', 'N4'],
+  ['親切', 'しんせつ', 'na_adjective', 'kind', 'N4'],
+].map(([word, reading, type, meaning, level]) => ({ word, reading, type, meaning, level }));
+
+export function lexiconEntry(word) {
+  return LEXICON.find(e => e.word === word || e.reading === word) ?? null;
+}
+
+// Godan endings by row, with the て-form each takes
+const GODAN = {
+  う: { a: 'わ', i: 'い', e: 'え', o: 'お', te: 'って' },
+  く: { a: 'か', i: 'き', e: 'け', o: 'こ', te: 'いて' },
+  ぐ: { a: 'が', i: 'ぎ', e: 'げ', o: 'ご', te: 'いで' },
+  す: { a: 'さ', i: 'し', e: 'せ', o: 'そ', te: 'して' },
+  つ: { a: 'た', i: 'ち', e: 'て', o: 'と', te: 'って' },
+  ぬ: { a: 'な', i: 'に', e: 'ね', o: 'の', te: 'んで' },
+  ぶ: { a: 'ば', i: 'び', e: 'べ', o: 'ぼ', te: 'んで' },
+  む: { a: 'ま', i: 'み', e: 'め', o: 'も', te: 'んで' },
+  る: { a: 'ら', i: 'り', e: 'れ', o: 'ろ', te: 'って' },
+};
+
+const I_OR_E_ROW = new Set('いきぎしじちぢにひびぴみりえけげせぜてでねへべぺめれ');
+// Ichidan verbs written with a bare kanji before る; any other kanji + る is godan (取る, 帰る)
+const ICHIDAN_KANJI = ['見る', '寝る', '着る', '出る', '居る', '似る', '煮る', '得る', '経る'];
+// Godan verbs that look ichidan (an い/え-row kana before る)
+const GODAN_RU = new Set(['はいる', 'はしる', 'しる', 'しゃべる', 'すべる', 'ける', 'あせる', 'まいる', 'ちる',
+  'にぎる', 'へる', 'かぎる', 'まじる', '混じる', 'いじる', 'かじる', 'ひねる']);
+// Polite -aru verbs whose ます-stem ends in い (いらっしゃいます)
+const ARU_HONORIFICS = ['いらっしゃる', 'おっしゃる', 'くださる', '下さる', 'なさる', 'ござる'];
+// Godan う verbs whose て-form keeps the う (問うて, 請うて)
+const UTE_VERBS = /(問う|請う|乞う)$/;
+// い-adjectives that conjugate from よい: いい itself and compounds of it
+const YOI_COMPOUNDS = ['かっこいい', '格好いい', 'がいい', '気持ちいい', 'ちょうどいい', '丁度いい'];
+// 来る and its て-compounds (持って来る); 出来る is ichidan
+const KURU = /^(くる|来る)$|て(来る|くる)$/;
+// な-adjectives that end in い
+const NA_ADJECTIVES_IN_I = new Set(['きれい', '綺麗', 'きらい', '嫌い', 'ゆうめい', 'ていねい', '丁寧',
+  'しつれい', '失礼', 'とくい', '得意', 'あいまい', '曖昧', 'さいわい', '幸い']);
+
+function conjugationError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+const JAPANESE = /^[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}ー々]+$/u;
+
+/**
+ * The word's class from its ending: する/来る compounds, い/な-adjectives,
+ * godan or ichidan verbs. Words that end in neither a verb ending nor い are
+ * taken as な-adjectives when they end in か (静か) or are written with な/だ
+ * (便利な, ハンサムだ); a bare noun like 本 is not. Null for anything else:
+ * words that aren't Japanese or aren't in dictionary form (食べた, 食べます).
+ */
+export function classifyWord(word) {
+  const entry = lexiconEntry(word);
+  if (entry) return entry.type;
+  if (!JAPANESE.test(word) || /.ます$/.test(word)) return null;
+
+  if (/(する|為る)$/.test(word)) return 'suru';
+  if (KURU.test(word)) return 'kuru';
+
+  const last = word.at(-1);
+  if (last === 'い') return NA_ADJECTIVES_IN_I.has(word) ? 'na_adjective' : 'i_adjective';
+  if (last === 'る') {
+    if (GODAN_RU.has(word)) return 'godan';
+    const before = word.at(-2) ?? '';
+    if (/\p{Script=Han}/u.test(before)) return ICHIDAN_KANJI.some(v => word.endsWith(v)) ? 'ichidan' : 'godan';
+    return I_OR_E_ROW.has(toHiragana(before)) ? 'ichidan' : 'godan';
+  }
+  if (GODAN[last]) return 'godan';
+  const stem = word.replace(/[なだ]$/, '');
+  if (!stem) return null;
+  if (stem.endsWith('か')) return 'na_adjective';
+  return stem !== word && !/\p{Script=Hiragana}/u.test(stem.at(-1)) ? 'na_adjective' : null;
+}
+
+const toPast = (te) => te.replace(/て$/, 'た').replace(/で$/, 'だ');
+
+function godanForms(word) {
+  const stem = word.slice(0, -1);
+  const row = GODAN[word.at(-1)];
+  const isIku = word === 'いく' || word.endsWith('行く') || word.endsWith('ていく');
+  const isTou = ['とう', 'こう'].includes(word) || UTE_VERBS.test(word);
+  const te = stem + (isIku ? 'って' : isTou ? 'うて' : row.te);
+  const masuStem = ARU_HONORIFICS.some(v => word.endsWith(v)) ? `${stem}い` : stem + row.i;
+  return {
+    masu: `${masuStem}ます`,
+    te,
+    ta: toPast(te),
+    nai: ['ある', '有る', '在る'].includes(word) ? 'ない' : `${stem}${row.a}ない`,
+    potential: `${stem}${row.e}る`,
+    volitional: `${stem}${row.o}う`,
+    passive: `${stem}${row.a}れる`,
+    causative: `${stem}${row.a}せる`,
+    ba: `${stem}${row.e}ば`,
+    tara: `${toPast(te)}ら`,
+  };
+}
+
+function ichidanForms(word) {
+  const stem = word.slice(0, -1);
+  return {
+    masu: `${stem}ます`,
+    te: `${stem}て`,
+    ta: `${stem}た`,
+    nai: `${stem}ない`,
+    potential: `${stem}られる`,
+    volitional: `${stem}よう`,
+    passive: `${stem}られる`,
+    causative: `${stem}させる`,
+    ba: `${stem}れば`,
+    tara: `${stem}たら`,
+  };
+}
+
+function suruForms(word) {
+  const prefix = word.replace(/(する|為る)$/, '');
+  return {
+    masu: `${prefix}します`,
+    te: `${prefix}して`,
+    ta: `${prefix}した`,
+    nai: `${prefix}しない`,
+    potential: `${prefix}できる`,
+    volitional: `${prefix}しよう`,
+    passive: `${prefix}される`,
+    causative: `${prefix}させる`,
+    ba: `${prefix}すれば`,
+    tara: `${prefix}したら`,
+  };
+}
+
+// 来る keeps its kanji; in kana the vowel changes (き/こ/く)
+function kuruForms(word) {
+  const kanji = word.endsWith('来る');
+  const prefix = word.slice(0, -2);
+  const [ki, ko, ku] = kanji ? ['来', '来', '来'] : ['き', 'こ', 'く'];
+  return {
+    masu: `${prefix}${ki}ます`,
+    te: `${prefix}${ki}て`,
+    ta: `${prefix}${ki}た`,
+    nai: `${prefix}${ko}ない`,
+    potential: `${prefix}${ko}られる`,
+    volitional: `${prefix}${ko}よう`,
+    passive: `${prefix}${ko}られる`,
+    causative: `${prefix}${ko}させる`,
+    ba: `${prefix}${ku}れば`,
+    tara: `${prefix}${ki}たら`,
+  };
+}
+
+// いい and its compounds (かっこいい, 仲がいい) conjugate from よい; かわいい does not
+function iAdjectiveForms(word) {
+  const isYoi = word === 'いい' || YOI_COMPOUNDS.some(v => word.endsWith(v));
+  const stem = isYoi ? `${word.slice(0, -2)}よ` : word.slice(0, -1);
+  return {
+    te: `${stem}くて`,
+    ta: `${stem}かった`,
+    nai: `${stem}くない`,
+    ba: `${stem}ければ`,
+    tara: `${stem}かったら`,
+  };
+}
+
+function naAdjectiveForms(word) {
+  const stem = word.replace(/[なだ]$/, '');
+  return {
+    te: `${stem}で`,
+    ta: `${stem}だった`,
+    nai: `${stem}じゃない`,
+    ba: `${stem}なら`,
+    tara: `${stem}だったら`,
+  };
+}
+
+const CONJUGATORS = {
+  godan: godanForms,
+  ichidan: ichidanForms,
+  suru: suruForms,
+  kuru: kuruForms,
+  i_adjective: iAdjectiveForms,
+  na_adjective: naAdjectiveForms,
+};
+
+function notConjugable(word) {
+  return conjugationError(`"${word}" is not a Japanese verb or adjective in dictionary form; pass type to conjugate it anyway`);
+}
+
+/**
+ * Every form of `word` ({ form: text }), as `type` or the class classifyWord
+ * finds. 400 when the word can't be of that type, or has no class.
+ */
+export function conjugateAll(word, type = classifyWord(word)) {
+  if (type === null) throw notConjugable(word);
+  if (!WORD_TYPES.includes(type)) throw conjugationError(`type must be one of: ${WORD_TYPES.join(', ')}`);
+  const fits = {
+    godan: () => Boolean(GODAN[word.at(-1)]),
+    ichidan: () => word.endsWith('る'),
+    suru: () => /(する|為る)$/.test(word),
+    kuru: () => KURU.test(word),
+    i_adjective: () => word.endsWith('い'),
+    na_adjective: () => true,
+  };
+  if (!fits[type]()) throw conjugationError(`"${word}" can't be conjugated as ${type}`);
+  return CONJUGATORS[type](word);
+}
+
+// One form of `word`; 400 for forms the word's type doesn't have
+export function conjugate(word, form, type = classifyWord(word)) {
+  if (!CONJUGATION_FORMS[form]) {
+    throw conjugationError(`form must be one of: ${Object.keys(CONJUGATION_FORMS).join(', ')}`);
+  }
+  if (type === null) throw notConjugable(word);
+  if (!formsFor(type).includes(form)) {
+    throw conjugationError(`${type} words have no ${CONJUGATION_FORMS[form]} (forms: ${formsFor(type).join(', ')})`);
+  }
+  return conjugateAll(word, type)[form];
+}
+
+// Grammar concepts built on each form, as their Japanese form (～てから) or an English name in the concept
+const FORM_GRAMMAR = {
+  masu: { forms: ['ながら', 'ましょう', 'ませんか', 'たい', 'なさい', 'やすい', 'にくい', 'かた'], words: ['masu'] },
+  te: {
+    forms: ['てから', 'ている', 'てください', 'てもいい', 'てはいけない', 'てしまう', 'てみる', 'ておく',
+      'てあげる', 'てくれる', 'てもらう', 'てある'],
+    words: ['te-form', 'て-form', 'て形'],
+  },
+  ta: { forms: ['たことがある', 'たほうがいい', 'たり', 'たばかり', 'たあとで', 'た後で'], words: ['ta-form', 'た-form', 'た形'] },
+  nai: {
+    forms: ['ないでください', 'なければならない', 'なければいけない', 'なくてもいい', 'ないほうがいい', 'なくてはいけない', 'ないで'],
+    words: ['nai-form', 'ない-form', 'ない形'],
+  },
+  potential: { forms: ['られる', 'れる', 'ことができる'], words: ['potential', '可能'] },
+  volitional: { forms: ['ようとおもう', 'ようと思う', 'おうと思う', 'ようとする'], words: ['volitional', '意向'] },
+  passive: { forms: ['られる', 'れる'], words: ['passive', '受身', '受け身'] },
+  causative: { forms: ['させる', 'せる', 'させられる'], words: ['causative', '使役'] },
+  ba: { forms: ['ば', 'れば', 'ければ', 'えば', 'なら'], words: ['ba-form', 'ば-form', 'ば形'] },
+  tara: { forms: ['たら', 'だったら'], words: ['tara'] },
+};
+
+/**
+ * Forms a grammar concept is built on: "～てから" → ["te"], "Passive (～られる)"
+ * → ["potential", "passive"]. One-kana forms (ば) must match exactly so that
+ * ～ばかり is not taken for a conditional.
+ */
+export function formsForConcept(concept) {
+  const parts = grammarForms(concept);
+  const lower = String(concept ?? '').toLowerCase();
+  return Object.entries(FORM_GRAMMAR)
+    .filter(([, { forms, words }]) => words.some(w => lower.includes(w.toLowerCase()))
+      || parts.some(p => forms.some(f => p === f || (f.length > 1 && p.startsWith(f)))))
+    .map(([form]) => form);
+}
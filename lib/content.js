@@ -0,0 +1,181 @@
+import sql from 'mssql';
+
+// Load grammar points with nested examples and vocab, keyed by GrammarId
+export async function loadGrammarPoints(pool, ids) {
+  if (ids.length === 0) return new Map();
+
+  const result = await pool.request()
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(ids))
+    .query(`
+      SELECT g.GrammarId, g.Concept, g.Meaning, g.Details, g.Level, g.Version, g.IsCurrent,
+             e.ExampleId, e.Japanese, e.Romaji, e.English,
+             v.VocabId, v.Word, v.Romaji AS VocabRomaji, v.Meaning AS VocabMeaning
+      FROM GrammarPoints g
+      LEFT JOIN Examples e ON g.GrammarId = e.GrammarId
+      LEFT JOIN Vocabulary v ON e.ExampleId = v.ExampleId
+      WHERE g.GrammarId IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+      ORDER BY g.GrammarId, e.ExampleId, v.VocabId
+    `);
+
+  const grammarMap = new Map();
+  const exampleMap = {};
+
+  for (const row of result.recordset) {
+    if (!grammarMap.has(row.GrammarId)) {
+      grammarMap.set(row.GrammarId, {
+        id: row.GrammarId,
+        concept: row.Concept,
+        meaning: row.Meaning,
+        details: row.Details,
+        level: row.Level,
+        version: row.Version,
+        is_current: row.IsCurrent,
+        tags: [],
+        examples: [],
+      });
+    }
+
+    if (row.ExampleId) {
+      if (!exampleMap[row.ExampleId]) {
+        exampleMap[row.ExampleId] = {
+          id: row.ExampleId,
+          japanese: row.Japanese,
+          romaji: row.Romaji,
+          english: row.English,
+          vocab: [],
+        };
+        grammarMap.get(row.GrammarId).examples.push(exampleMap[row.ExampleId]);
+      }
+
+      if (row.VocabId) {
+        exampleMap[row.ExampleId].vocab.push({
+          id: row.VocabId,
+          word: row.Word,
+          romaji: row.VocabRomaji,
+          meaning: row.VocabMeaning,
+        });
+      }
+    }
+  }
+
+  const tagsResult = await pool.request()
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(ids))
+    .query(`
+      SELECT GrammarId, Tag
+      FROM GrammarTags
+      WHERE GrammarId IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+      ORDER BY Tag
+    `);
+
+  for (const row of tagsResult.recordset) {
+    grammarMap.get(row.GrammarId)?.tags.push(row.Tag);
+  }
+
+  return grammarMap;
+}
+
+// Load kanji rows with their KanjiExamples and KanjiExampleVocabulary, keyed by Id
+export async function loadKanji(pool, ids) {
+  if (ids.length === 0) return new Map();
+
+  const kanjiResult = await pool.request()
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(ids))
+    .query(`
+      SELECT *
+      FROM KanjiInfo
+      WHERE Id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+    `);
+
+  const examplesResult = await pool.request()
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(ids))
+    .query(`
+      SELECT e.*, v.VocabId, v.ExampleId AS VocabExampleId, v.Word, v.Romaji AS VocabRomaji, v.Meaning AS VocabMeaning
+      FROM KanjiExamples e
+      LEFT JOIN KanjiExampleVocabulary v ON e.ExampleId = v.ExampleId
+      WHERE e.KanjiId IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+      ORDER BY e.ExampleId
+    `);
+
+  const kanjiMap = new Map(
+    kanjiResult.recordset.map((k) => [k.Id, { ...k, examples: [] }])
+  );
+  const exampleMap = {};
+
+  for (const row of examplesResult.recordset) {
+    const { VocabId, VocabExampleId, Word, VocabRomaji, VocabMeaning, ...example } = row;
+
+    if (!exampleMap[row.ExampleId]) {
+      exampleMap[row.ExampleId] = { ...example, vocab: [] };
+      kanjiMap.get(row.KanjiId)?.examples.push(exampleMap[row.ExampleId]);
+    }
+
+    if (VocabExampleId) {
+      exampleMap[row.ExampleId].vocab.push({
+        VocabId,
+        ExampleId: VocabExampleId,
+        Word,
+        Romaji: VocabRomaji,
+        Meaning: VocabMeaning,
+      });
+    }
+  }
+
+  return kanjiMap;
+}
+
+/**
+ * One kanji with its examples and their vocab in a single query, in the
+ * KanjiInfo column shape GET /api/kanji/:id returns. Null when missing.
+ */
+export async function loadKanjiDetail(pool, kanjiId) {
+  const result = await pool.request()
+    .input('id', sql.Int, kanjiId)
+    .query(`
+      SELECT k.*,
+             e.ExampleId AS ExampleId, e.Japanese AS ExampleJapanese, e.Romaji AS ExampleRomaji,
+             e.English AS ExampleEnglish,
+             v.VocabId AS VocabId, v.Word AS VocabWord, v.Romaji AS VocabRomaji, v.Meaning AS VocabMeaning
+      FROM KanjiInfo k
+      LEFT JOIN KanjiExamples e ON e.KanjiId = k.Id
+      LEFT JOIN KanjiExampleVocabulary v ON v.ExampleId = e.ExampleId
+      WHERE k.Id = @id
+      ORDER BY e.ExampleId, v.VocabId
+    `);
+  if (result.recordset.length === 0) return null;
+
+  const {
+    ExampleId, ExampleJapanese, ExampleRomaji, ExampleEnglish,
+    VocabId, VocabWord, VocabRomaji, VocabMeaning,
+    ...kanji
+  } = result.recordset[0];
+  const examples = [];
+
+  for (const row of result.recordset) {
+    if (!row.ExampleId) continue;
+
+    let example = examples.at(-1);
+    if (example?.ExampleId !== row.ExampleId) {
+      example = {
+        ExampleId: row.ExampleId,
+        KanjiId: kanji.Id,
+        Japanese: row.ExampleJapanese,
+        Romaji: row.ExampleRomaji,
+        English: row.ExampleEnglish,
+        vocab: [],
+      };
+      examples.push(example);
+    }
+
+    if (row.VocabId) {
+      example.vocab.push({
+        VocabId: row.VocabId,
+        ExampleId: row.ExampleId,
+        Word: row.VocabWord,
+        Romaji: row.VocabRomaji,
+        Meaning: row.VocabMeaning,
+      });
+    }
+  }
+
+  return { ...kanji, examples };
+}
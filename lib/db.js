@@ -0,0 +1,109 @@
+import sql from 'mssql';
+
+// SQL Server config from env
+export function dbConfigFromEnv(env = process.env) {
+  return {
+    user: env.DB_USER,
+    password: env.DB_PASSWORD,
+    server: env.DB_SERVER,
+    database: env.DB_DATABASE,
+    options: {
+      encrypt: true,
+      trustServerCertificate: false,
+    },
+    port: parseInt(env.DB_PORT, 10),
+    pool: {
+      max: parseInt(env.DB_POOL_MAX ?? '10', 10),
+      min: 0,
+      idleTimeoutMillis: 30000,
+    },
+  };
+}
+
+/**
+ * One long-lived connection pool shared by every route and background job.
+ *
+ * `getPool()` connects on first use and hands out the same pool afterwards.
+ * Health checks run `SELECT 1` every `healthIntervalMs`. A failed check only
+ * reports unhealthy; the pool is dropped (so the next `getPool()` reconnects)
+ * once it is disconnected or `resetAfterFailures` checks in a row failed, and
+ * never while requests are using it. Routes never close it; `close()` is for shutdown.
+ */
+export function createDb(config, { healthIntervalMs = 30000, resetAfterFailures = 3 } = {}) {
+  let poolPromise = null;
+  let timer = null;
+  let closed = false;
+  let failures = 0;
+  const health = { ok: null, checked_at: null, latency_ms: null, error: null };
+
+  function reset(pool) {
+    poolPromise = null;
+    pool?.close().catch(() => {});
+  }
+
+  // Connections borrowed or waited for; a closed pool has none
+  function inUse(pool) {
+    try {
+      return pool.borrowed + pool.pending;
+    } catch {
+      return 0;
+    }
+  }
+
+  function getPool() {
+    if (closed) return Promise.reject(new Error('Database pool is closed'));
+
+    poolPromise ??= (async () => {
+      const pool = new sql.ConnectionPool(config);
+      pool.on('error', (err) => console.error('❌ Database pool error:', err.message));
+      try {
+        return await pool.connect();
+      } catch (err) {
+        reset(pool);
+        throw err;
+      }
+    })();
+    return poolPromise;
+  }
+
+  async function check() {
+    const started = Date.now();
+    let pool;
+    try {
+      pool = await getPool();
+      await pool.request().query('SELECT 1 AS ok');
+      failures = 0;
+      Object.assign(health, { ok: true, error: null });
+    } catch (err) {
+      failures++;
+      Object.assign(health, { ok: false, error: err.message });
+      console.error(`❌ Database health check failed (${failures} in a row):`, err.message);
+      if (pool && (!pool.connected || failures >= resetAfterFailures) && inUse(pool) === 0) {
+        reset(pool);
+        failures = 0;
+      }
+    }
+    Object.assign(health, { checked_at: new Date().toISOString(), latency_ms: Date.now() - started });
+    return { ...health };
+  }
+
+  return {
+    getPool,
+    check,
+    health: () => ({ ...health }),
+
+    startHealthChecks() {
+      timer ??= setInterval(check, healthIntervalMs);
+      timer.unref();
+      return check();
+    },
+
+    async close() {
+      closed = true;
+      clearInterval(timer);
+      const pending = poolPromise;
+      poolPromise = null;
+      if (pending) await (await pending.catch(() => null))?.close();
+    },
+  };
+}
@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import sql from 'mssql';
+import {
+  CONJUGATION_FORMS,
+  LEXICON,
+  WORD_TYPES,
+  conjugate,
+  formsFor,
+  formsForConcept,
+  lexiconEntry,
+} from './conjugation.js';
+import { seededRandom } from './local-generator.js';
+import { toHiragana } from './kana.js';
+import { DEFAULT_LEVEL, STUDY_LEVELS, levelToJlpt } from './levels.js';
+
+export const MAX_DRILL_ITEMS = 50;
+const MAX_GRAMMAR = 20;
+
+const isPositiveInt = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+function isUniqueList(value, allowed) {
+  return Array.isArray(value) && value.length > 0 && new Set(value).size === value.length
+    && value.every(v => allowed.includes(v));
+}
+
+/**
+ * Validate the body of POST /api/drills/conjugation:
+ * { count?, forms?, types?, level?, grammar_ids?, seed?, answers? }
+ */
+export function drillRequestErrors(body) {
+  const errors = [];
+  const { count, forms, types, level, grammar_ids: grammarIds, seed, answers } = body ?? {};
+
+  if (count !== undefined && !isPositiveInt(count, MAX_DRILL_ITEMS)) {
+    errors.push(`count must be an integer from 1 to ${MAX_DRILL_ITEMS}`);
+  }
+  if (forms !== undefined && !isUniqueList(forms, Object.keys(CONJUGATION_FORMS))) {
+    errors.push(`forms must be unique values from: ${Object.keys(CONJUGATION_FORMS).join(', ')}`);
+  }
+  if (types !== undefined && !isUniqueList(types, WORD_TYPES)) {
+    errors.push(`types must be unique values from: ${WORD_TYPES.join(', ')}`);
+  }
+  if (level !== undefined && !STUDY_LEVELS.includes(level)) {
+    errors.push(`level must be one of: ${STUDY_LEVELS.join(', ')}`);
+  }
+  if (grammarIds !== undefined
+    && !(Array.isArray(grammarIds) && grammarIds.length > 0 && grammarIds.length <= MAX_GRAMMAR
+      && grammarIds.every(id => isPositiveInt(id, Number.MAX_SAFE_INTEGER))
+      && new Set(grammarIds).size === grammarIds.length)) {
+    errors.push(`grammar_ids must be an array of 1 to ${MAX_GRAMMAR} unique grammar ids`);
+  }
+  if (seed !== undefined && !(typeof seed === 'string' || Number.isInteger(seed)) || String(seed ?? '').length > 100) {
+    errors.push('seed must be a string or integer (max 100 characters)');
+  }
+  if (answers !== undefined && typeof answers !== 'boolean') {
+    errors.push('answers must be a boolean');
+  }
+  return errors;
+}
+
+function drillError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function shuffle(items, random) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Current grammar points by id with the conjugated forms each one is built on
+async function loadGrammarForms(pool, ids) {
+  const result = await pool.request()
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(ids))
+    .query(`
+      SELECT GrammarId, Concept
+      FROM GrammarPoints
+      WHERE IsCurrent = 1 AND GrammarId IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+      ORDER BY GrammarId
+    `);
+
+  const found = new Set(result.recordset.map(g => g.GrammarId));
+  const missing = ids.filter(id => !found.has(id));
+  if (missing.length > 0) throw drillError(`Grammar points not found: ${missing.join(', ')}`, 404);
+
+  return result.recordset.map(g => ({ grammar_id: g.GrammarId, concept: g.Concept, forms: formsForConcept(g.Concept) }));
+}
+
+/**
+ * A seeded set of conjugation prompts: words from the built-in lexicon at or
+ * below `level`, each paired with a form its type has. With `grammarIds` the
+ * forms are the ones those grammar points are built on (400 when none is),
+ * and each item names a grammar point that uses its form. Expected answers are
+ * only included when `answers` is true; POST .../grade checks them otherwise.
+ */
+export async function buildConjugationDrill(pool, {
+  count = 10,
+  forms = Object.keys(CONJUGATION_FORMS),
+  types = WORD_TYPES,
+  level = DEFAULT_LEVEL,
+  grammarIds = null,
+  seed = null,
+  answers = false,
+}) {
+  const drillSeed = seed === null ? crypto.randomBytes(8).toString('hex') : String(seed);
+  const random = seededRandom(drillSeed);
+
+  let grammar = [];
+  if (grammarIds) {
+    grammar = await loadGrammarForms(pool, grammarIds);
+    const grammarForms = new Set(grammar.flatMap(g => g.forms));
+    forms = forms.filter(f => grammarForms.has(f));
+    if (forms.length === 0) {
+      throw drillError('None of the grammar points is built on a conjugated form (or on one of the requested forms)');
+    }
+  }
+
+  const jlpt = levelToJlpt(level);
+  const pairs = LEXICON
+    .filter(entry => types.includes(entry.type) && levelToJlpt(entry.level) >= jlpt)
+    .flatMap(entry => formsFor(entry.type).filter(f => forms.includes(f)).map(form => ({ entry, form })));
+  if (pairs.length === 0) {
+    throw drillError('No words match these forms and types (adjectives only take te, ta, nai, ba and tara)', 422);
+  }
+
+  const items = shuffle(pairs, random).slice(0, count).map(({ entry, form }, index) => {
+    const users = grammar.filter(g => g.forms.includes(form));
+    const point = users.length > 0 ? users[Math.floor(random() * users.length)] : null;
+    return {
+      number: index + 1,
+      word: entry.word,
+      reading: entry.reading,
+      meaning: entry.meaning,
+      type: entry.type,
+      level: entry.level,
+      form,
+      form_label: CONJUGATION_FORMS[form],
+      ...(point && { grammar: { grammar_id: point.grammar_id, concept: point.concept } }),
+      ...(answers && {
+        answer: conjugate(entry.word, form, entry.type),
+        answer_reading: conjugate(entry.reading, form, entry.type),
+      }),
+    };
+  });
+
+  return { seed: drillSeed, level, count: items.length, items };
+}
+
+// Compare in hiragana, ignoring width, spaces and a final 。
+const normalizeAnswer = (text) => toHiragana(String(text).normalize('NFKC').replace(/\s+/g, '').replace(/。$/, ''));
+
+/**
+ * Grade drill answers: [{ word, form, type?, answer }]. A lexicon word may be
+ * answered in kanji or in kana. Throws 400 (with details) for items that
+ * can't be graded.
+ */
+export function gradeConjugationDrill(answers) {
+  if (!Array.isArray(answers) || answers.length === 0 || answers.length > MAX_DRILL_ITEMS) {
+    throw drillError(`answers must be an array of 1 to ${MAX_DRILL_ITEMS} items`);
+  }
+
+  const errors = [];
+  const fail = (message) => {
+    errors.push(message);
+    return null;
+  };
+
+  const results = answers.map((item, i) => {
+    const path = `answers[${i}]`;
+    const { word, form, type, answer } = item ?? {};
+    if (typeof word !== 'string' || !word.trim()) return fail(`${path}.word is required`);
+    if (typeof answer !== 'string') return fail(`${path}.answer must be a string`);
+    if (type !== undefined && !WORD_TYPES.includes(type)) {
+      return fail(`${path}.type must be one of: ${WORD_TYPES.join(', ')}`);
+    }
+
+    const entry = lexiconEntry(word.trim());
+    try {
+      const expected = conjugate(word.trim(), form, type ?? entry?.type);
+      const expectedReading = entry && (type ?? entry.type) === entry.type
+        ? conjugate(entry.reading, form, entry.type)
+        : null;
+      const accepted = [expected, expectedReading].filter(Boolean).map(normalizeAnswer);
+      return {
+        word: word.trim(),
+        form,
+        answer,
+        expected,
+        ...(expectedReading && expectedReading !== expected && { expected_reading: expectedReading }),
+        is_correct: accepted.includes(normalizeAnswer(answer)),
+      };
+    } catch (err) {
+      if (!err.status) throw err;
+      return fail(`${path}: ${err.message}`);
+    }
+  });
+
+  if (errors.length > 0) {
+    const err = drillError('Invalid answers');
+    err.details = errors;
+    throw err;
+  }
+
+  const score = results.filter(r => r.is_correct).length;
+  return { score, total: results.length, results };
+}
@@ -0,0 +1,155 @@
+import { sectionForType, toAnswerSheetEntry } from './exam.js';
+
+const OPTION_LABELS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const optionLabel = (number) => OPTION_LABELS[number - 1] ?? String(number);
+
+function answerLine(q, i) {
+  const entry = toAnswerSheetEntry(q, i);
+  return {
+    label: entry.correct_option_number ? optionLabel(entry.correct_option_number) : '?',
+    answer: entry.answer,
+    explanation: entry.explanation,
+  };
+}
+
+// The passage to print before question i: only its first question gets it
+function passageBefore(questions, i, passages) {
+  const id = questions[i].passage_id;
+  if (id == null || questions[i - 1]?.passage_id === id) return null;
+  return passages.find((p) => p.passage_id === id) ?? null;
+}
+
+// ---- Plain text ----
+
+function questionsText(questions, { inlineAnswers, passages }) {
+  return questions.map((q, i) => {
+    const passage = passageBefore(questions, i, passages);
+    const lines = [
+      ...(passage ? [`【${passage.title}】`, passage.body, ''] : []),
+      `${i + 1}. [${sectionForType(q.question_type)}] ${q.question_text}`,
+      ...q.options.map((o, j) => `   ${optionLabel(j + 1)}) ${o.option_text}`),
+    ];
+    if (inlineAnswers) {
+      const a = answerLine(q, i);
+      lines.push(`   Answer: ${a.label}) ${a.answer}`, `   ${a.explanation ?? ''}`.trimEnd());
+    }
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+function answersText(questions) {
+  return questions.map((q, i) => {
+    const a = answerLine(q, i);
+    return `${i + 1}. ${a.label}) ${a.answer}${a.explanation ? `\n   ${a.explanation}` : ''}`;
+  }).join('\n');
+}
+
+// ---- HTML ----
+
+function passageHtml(passage) {
+  const paragraphs = passage.body.split(/\n+/).map((line) => `<p style="margin:4px 0">${escapeHtml(line)}</p>`).join('');
+  return `<div style="margin-bottom:12px;padding:12px;background:#f7fafc;border-left:3px solid #a0aec0">
+  <p style="font-size:16px;margin:0 0 8px"><b>${escapeHtml(passage.title)}</b></p>
+  ${paragraphs}
+</div>`;
+}
+
+function questionsHtml(questions, { inlineAnswers, passages }) {
+  return questions.map((q, i) => {
+    const passage = passageBefore(questions, i, passages);
+    const options = q.options
+      .map((o, j) => `<li>${optionLabel(j + 1)}) ${escapeHtml(o.option_text)}</li>`)
+      .join('');
+    let answer = '';
+    if (inlineAnswers) {
+      const a = answerLine(q, i);
+      answer = `<p style="color:#276749"><b>Answer: ${a.label}) ${escapeHtml(a.answer)}</b><br>${escapeHtml(a.explanation)}</p>`;
+    }
+    return `${passage ? `${passageHtml(passage)}\n` : ''}<div style="margin-bottom:20px">
+  <p style="color:#718096;font-size:12px;margin:0">${escapeHtml(sectionForType(q.question_type))} · ${escapeHtml(q.question_type)}</p>
+  <p style="font-size:16px;margin:4px 0"><b>${i + 1}.</b> ${escapeHtml(q.question_text)}</p>
+  <ul style="list-style:none;padding-left:12px;margin:4px 0">${options}</ul>
+  ${answer}
+</div>`;
+  }).join('\n');
+}
+
+function answersHtml(questions) {
+  const items = questions.map((q, i) => {
+    const a = answerLine(q, i);
+    return `<li><b>${a.label}) ${escapeHtml(a.answer)}</b>${a.explanation ? ` — ${escapeHtml(a.explanation)}` : ''}</li>`;
+  }).join('');
+  return `<ol>${items}</ol>`;
+}
+
+/**
+ * Daily exam email from a QuestionBatch's questions (loadBatchQuestions) and
+ * passages (loadBatchPassages), each passage printed before its questions.
+ * With answers "inline" the answers follow each question; with "next_day"
+ * they are left out and `previous` (the day before's exam) gets an answer
+ * section instead.
+ */
+export function buildExamEmail({ examDate, level, questions, passages = [], answers, previous = null, unsubscribeUrl }) {
+  const inlineAnswers = answers === 'inline';
+  const subject = `JLPT ${level} daily exam — ${examDate}`;
+
+  const text = [
+    `Today's exam (${examDate}), ${questions.length} question${questions.length === 1 ? '' : 's'}.`,
+    '',
+    questionsText(questions, { inlineAnswers, passages }),
+    ...(previous
+      ? ['', `Answers for ${previous.examDate}`, '', answersText(previous.questions)]
+      : []),
+    '',
+    `Unsubscribe: ${unsubscribeUrl}`,
+  ].join('\n');
+
+  const html = `<!doctype html>
+<html>
+<body style="font-family:sans-serif;max-width:640px;margin:0 auto;color:#1a202c">
+<h2>${escapeHtml(subject)}</h2>
+${questionsHtml(questions, { inlineAnswers, passages })}
+${previous ? `<h3>Answers for ${escapeHtml(previous.examDate)}</h3>\n${answersHtml(previous.questions)}` : ''}
+<p style="color:#718096;font-size:12px"><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>
+</body>
+</html>`;
+
+  return { subject, text, html };
+}
+
+/**
+ * Asks the owner of an address to confirm a new subscription. Nothing is
+ * sent to the address again unless they do.
+ */
+export function buildConfirmationEmail({ level, sendTime, confirmUrl }) {
+  const subject = `Confirm your JLPT ${level} daily exam email`;
+
+  const text = [
+    `Someone asked to send the JLPT ${level} daily exam to this address every day at ${sendTime}.`,
+    '',
+    `Confirm: ${confirmUrl}`,
+    '',
+    'If this wasn\'t you, ignore this email and nothing more will be sent.',
+  ].join('\n');
+
+  const html = `<!doctype html>
+<html>
+<body style="font-family:sans-serif;max-width:640px;margin:0 auto;color:#1a202c">
+<h2>${escapeHtml(subject)}</h2>
+<p>Someone asked to send the JLPT ${escapeHtml(level)} daily exam to this address every day at ${escapeHtml(sendTime)}.</p>
+<p><a href="${escapeHtml(confirmUrl)}">Confirm the subscription</a></p>
+<p style="color:#718096;font-size:12px">If this wasn't you, ignore this email and nothing more will be sent.</p>
+</body>
+</html>`;
+
+  return { subject, text, html };
+}
@@ -0,0 +1,459 @@
+import crypto from 'node:crypto';
+import sql from 'mssql';
+import { PASSAGE_QUESTIONS, PASSAGE_TYPES, QUESTION_TYPES, examValidator, validateQuestion } from './schemas.js';
+import { enrichKanji } from './kanji.js';
+import { findWeakAreas } from './review.js';
+import { loadBatch, loadBatchPassages } from './exam.js';
+import { checkBatch, loadDraftQuestion, publishBatch } from './moderation.js';
+import { insertPassage, insertQuestion, loadLinkContext, rewriteQuestion } from './questions.js';
+import { DEFAULT_LEVEL, STUDY_LEVELS, levelPreamble, levelToJlpt } from './levels.js';
+import { LOCAL_TYPES, buildLocalExam } from './local-generator.js';
+
+export const EXAM_MODES = ['random', 'weak_areas'];
+// llm: questions written by the model; local: built offline from stored content (lib/local-generator.js)
+export const EXAM_GENERATORS = ['llm', 'local'];
+export const MAX_PER_TYPE = 5;
+export const MAX_GRAMMAR = 20;
+export const MAX_KANJI = 30;
+const DEFAULT_GRAMMAR_COUNT = 5;
+const DEFAULT_KANJI_COUNT = 10;
+
+const QUESTION_SHAPE = `{
+  "question_type": string,
+  "question": string,
+  "options": [string],
+  "answer": string,
+  "explanation": string(english),
+  "grammar_point": string (the grammar topic it tests, copied exactly from the list below, or "")
+}`;
+
+const numbered = (types) => types.map((type, i) => `  ${i + 1}. ${type}`).join('\n');
+
+function questionsPrompt(grammarList, kanjiList, { level, types, perType, weakAreas }) {
+  const questionTypes = types.filter(t => !PASSAGE_TYPES.includes(t));
+  const passageTypes = types.filter(t => PASSAGE_TYPES.includes(t));
+  const { min, max } = PASSAGE_QUESTIONS;
+  const plural = perType === 1 ? '' : 's';
+
+  return `${levelPreamble(level)}
+Return ONLY valid JSON (no markdown) with this structure:
+
+{
+  "questions": [
+    ${QUESTION_SHAPE.replace(/\n/g, '\n    ')}
+  ],
+  "passages": [
+    {
+      "passage_type": string,
+      "title": string,
+      "body": string (the reading text, in Japanese),
+      "furigana": string (the body with readings after each kanji word, like 食[た]べる),
+      "questions": [
+        { "question": string, "options": [string], "answer": string, "explanation": string(english), "grammar_point": string }
+      ]
+    }
+  ]
+}
+
+Rules:
+- Use grammar topics: ${grammarList.join(', ')}
+- Use kanji: ${kanjiList.join(', ')}${weakAreas ? '\n- The learner recently got these grammar topics and kanji wrong; test them directly and make the distractors close' : ''}
+- Exactly 4 unique options per question, and "answer" must be exactly one of them
+${questionTypes.length > 0
+    ? `- "questions": exactly ${perType} question${plural} per type:\n${numbered(questionTypes)}`
+    : '- "questions": []'}
+${passageTypes.length > 0
+    ? `- "passages": exactly ${perType} passage${plural} per type, each with ${min} or ${max} questions about it (do not repeat the passage in the question text):\n${numbered(passageTypes)}`
+    : '- "passages": []'}`;
+}
+
+// Prompt for one replacement question, about `passage` when the question belongs to one
+function questionPrompt(batch, type, { passage = null, previous }) {
+  return `${levelPreamble(batch.level)}
+Return ONLY valid JSON (no markdown): one question with this structure:
+
+${QUESTION_SHAPE}
+
+Rules:
+- question_type must be "${type}"
+- Use grammar topics: ${batch.grammar_list.join(', ')}
+- Use kanji: ${batch.kanji_list.join(', ')}
+- Exactly 4 unique options, and "answer" must be exactly one of them
+- Write a different question from this one: ${previous}${passage ? `
+- Ask about this passage without repeating it in the question text:
+${passage.title}
+${passage.body}` : ''}`;
+}
+
+const isPositiveInt = (value, max) => Number.isInteger(value) && value >= 1 && value <= max;
+
+/**
+ * Validate the body of POST /api/gemini/questions:
+ * { level?, generator?, mode?, types?, per_type?, grammar_ids?, kanji?, grammar_count?, kanji_count?, seed?, learner_id?, days? }
+ */
+export function examRequestErrors(body) {
+  const errors = [];
+  const {
+    level, generator = 'llm', mode = 'random', types, per_type: perType, grammar_ids: grammarIds, kanji,
+    grammar_count: grammarCount, kanji_count: kanjiCount, seed, days,
+  } = body ?? {};
+
+  if (level !== undefined && !STUDY_LEVELS.includes(level)) {
+    errors.push(`level must be one of: ${STUDY_LEVELS.join(', ')}`);
+  }
+  if (!EXAM_GENERATORS.includes(generator)) {
+    errors.push(`generator must be one of: ${EXAM_GENERATORS.join(', ')}`);
+  }
+  if (!EXAM_MODES.includes(mode)) {
+    errors.push(`mode must be one of: ${EXAM_MODES.join(', ')}`);
+  }
+  if (types !== undefined) {
+    if (!Array.isArray(types) || types.length === 0) {
+      errors.push('types must be a non-empty array');
+    } else {
+      const unknown = types.filter(t => !QUESTION_TYPES.includes(t));
+      if (unknown.length > 0) errors.push(`unknown question types: ${unknown.join(', ')}`);
+      if (new Set(types).size !== types.length) errors.push('types must be unique');
+      const offline = types.filter(t => QUESTION_TYPES.includes(t) && !LOCAL_TYPES.includes(t));
+      if (generator === 'local' && offline.length > 0) {
+        errors.push(`the local generator only builds: ${LOCAL_TYPES.join(', ')}`);
+      }
+    }
+  }
+  if (perType !== undefined && !isPositiveInt(perType, MAX_PER_TYPE)) {
+    errors.push(`per_type must be an integer from 1 to ${MAX_PER_TYPE}`);
+  }
+  if (grammarIds !== undefined
+    && !(Array.isArray(grammarIds) && grammarIds.length > 0 && grammarIds.length <= MAX_GRAMMAR
+      && grammarIds.every(id => isPositiveInt(id, Number.MAX_SAFE_INTEGER))
+      && new Set(grammarIds).size === grammarIds.length)) {
+    errors.push(`grammar_ids must be an array of 1 to ${MAX_GRAMMAR} unique grammar ids`);
+  }
+  if (kanji !== undefined
+    && !(Array.isArray(kanji) && kanji.length > 0 && kanji.length <= MAX_KANJI
+      && kanji.every(k => typeof k === 'string' && [...k].length === 1)
+      && new Set(kanji).size === kanji.length)) {
+    errors.push(`kanji must be an array of 1 to ${MAX_KANJI} unique single kanji`);
+  }
+  if (grammarCount !== undefined && !isPositiveInt(grammarCount, MAX_GRAMMAR)) {
+    errors.push(`grammar_count must be an integer from 1 to ${MAX_GRAMMAR}`);
+  }
+  if (kanjiCount !== undefined && !isPositiveInt(kanjiCount, MAX_KANJI)) {
+    errors.push(`kanji_count must be an integer from 1 to ${MAX_KANJI}`);
+  }
+  if (seed !== undefined && !(typeof seed === 'string' || Number.isInteger(seed)) || String(seed ?? '').length > 100) {
+    errors.push('seed must be a string or integer (max 100 characters)');
+  }
+  if (days !== undefined && !isPositiveInt(days, 365)) {
+    errors.push('days must be an integer from 1 to 365');
+  }
+  return errors;
+}
+
+function badSelection(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Seeded shuffle in SQL: the same seed over the same rows always gives the same order
+const seededOrder = (idColumn) => `HASHBYTES('SHA2_256', CONCAT(@seed, ':', ${idColumn}))`;
+
+/**
+ * Current grammar points for the exam: `ids` first (in the given order and
+ * marked `listed`; old versions resolve to their concept's current version),
+ * then (unless `fill` is false) seeded random ones up to `count`. With a
+ * `level`, only grammar points of that level are picked.
+ */
+async function pickGrammar(pool, { ids = [], count, seed, level = null, fill = true }) {
+  const picked = [];
+  if (ids.length > 0) {
+    const result = await pool.request()
+      .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(ids))
+      .input('level', sql.NVarChar(2), level)
+      .query(`
+        SELECT cur.GrammarId, cur.Concept, MIN(CAST(j.[key] AS INT)) AS position
+        FROM OPENJSON(@ids) j
+        JOIN GrammarPoints g ON g.GrammarId = CAST(j.value AS INT)
+        JOIN GrammarPoints cur ON cur.IsCurrent = 1
+          AND (cur.GrammarId = g.GrammarId OR cur.ConceptKey = g.ConceptKey)
+        WHERE @level IS NULL OR cur.Level = @level
+        GROUP BY cur.GrammarId, cur.Concept
+        ORDER BY position
+      `);
+    picked.push(...result.recordset.slice(0, count).map(({ position, ...row }) => ({ ...row, listed: true })));
+  }
+  if (picked.length >= count || !fill) return picked;
+
+  const result = await pool.request()
+    .input('count', sql.Int, count - picked.length)
+    .input('seed', sql.NVarChar(100), seed)
+    .input('exclude', sql.NVarChar(sql.MAX), JSON.stringify(picked.map(g => g.GrammarId)))
+    .input('level', sql.NVarChar(2), level)
+    .query(`
+      SELECT TOP (@count) GrammarId, Concept
+      FROM GrammarPoints
+      WHERE IsCurrent = 1
+        AND (@level IS NULL OR Level = @level)
+        AND GrammarId NOT IN (SELECT CAST(value AS INT) FROM OPENJSON(@exclude))
+      ORDER BY ${seededOrder('GrammarId')};
+    `);
+  return [...picked, ...result.recordset];
+}
+
+// Kanji for the exam: `ids` first (marked `listed`), then seeded random ones up to `count`; `jlpt` limits both
+async function pickKanji(pool, { ids = [], count, seed, jlpt = null, fill = true }) {
+  const picked = [];
+  if (ids.length > 0) {
+    const result = await pool.request()
+      .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(ids))
+      .input('jlpt', sql.Int, jlpt)
+      .query(`
+        SELECT k.Id, k.Kanji, k.Details
+        FROM OPENJSON(@ids) j
+        JOIN KanjiInfo k ON k.Id = CAST(j.value AS INT)
+        WHERE @jlpt IS NULL OR k.JLPT = @jlpt
+        ORDER BY CAST(j.[key] AS INT)
+      `);
+    picked.push(...result.recordset.slice(0, count).map(row => ({ ...row, listed: true })));
+  }
+  if (picked.length >= count || !fill) return picked;
+
+  const result = await pool.request()
+    .input('count', sql.Int, count - picked.length)
+    .input('seed', sql.NVarChar(100), seed)
+    .input('exclude', sql.NVarChar(sql.MAX), JSON.stringify(picked.map(k => k.Id)))
+    .input('jlpt', sql.Int, jlpt)
+    .query(`
+      SELECT TOP (@count) Id, Kanji, Details
+      FROM KanjiInfo
+      WHERE Id NOT IN (SELECT CAST(value AS INT) FROM OPENJSON(@exclude))
+        AND (@jlpt IS NULL OR JLPT = @jlpt)
+      ORDER BY ${seededOrder('Id')};
+    `);
+  return [...picked, ...result.recordset];
+}
+
+// KanjiInfo ids for the given characters, in order; unknown characters are a 400
+async function kanjiIdsFor(pool, characters) {
+  const result = await pool.request()
+    .input('kanji', sql.NVarChar(sql.MAX), JSON.stringify(characters))
+    .query(`
+      SELECT j.value AS Kanji, MIN(k.Id) AS Id
+      FROM OPENJSON(@kanji) j
+      LEFT JOIN KanjiInfo k ON k.Kanji = j.value
+      GROUP BY j.value, j.[key]
+      ORDER BY CAST(j.[key] AS INT)
+    `);
+  const unknown = result.recordset.filter(r => r.Id === null).map(r => r.Kanji);
+  if (unknown.length > 0) throw badSelection(`Unknown kanji: ${unknown.join(', ')}`);
+  return result.recordset.map(r => r.Id);
+}
+
+/**
+ * Generate one QuestionBatch: pick grammar points and kanji, make sure every
+ * kanji has a description, ask the model for the MCQs and store
+ * batch + questions + options + links in one transaction. The batch starts as
+ * a draft and is run through the quality checks (lib/moderation.js).
+ *
+ * Options (all optional; the defaults are the daily exam):
+ * - level: JLPT level (N5–N2) of the prompt and of the grammar points / kanji
+ *   picked (GrammarPoints.Level, KanjiInfo.JLPT); explicitly listed ones are used as given
+ * - generator 'local': build the questions offline from stored readings, meanings and
+ *   example sentences instead (no enrichment, no model call; only LOCAL_TYPES)
+ * - examDate ('YYYY-MM-DD') marks the batch as that day's exam for its level; null for practice
+ * - types / perType: which question types (default all, or LOCAL_TYPES), and how many of each
+ * - grammarIds / kanji: use these grammar points / kanji characters
+ * - grammarCount / kanjiCount: how many to pick when not given explicitly (5 / 10)
+ * - seed: same seed and data → same selection; a random one is used (and returned) otherwise
+ * - mode 'weak_areas' with learnerId: start from what the learner recently got
+ *   wrong (see findWeakAreas, looking back `days`), topped up at random
+ * - autoPublish: publish at once when the checks find nothing (the daily exam)
+ */
+export async function generateExam(pool, llm, {
+  level = DEFAULT_LEVEL,
+  generator = 'llm',
+  examDate = null,
+  types = generator === 'local' ? LOCAL_TYPES : QUESTION_TYPES,
+  perType = 1,
+  grammarIds = null,
+  kanji = null,
+  grammarCount = null,
+  kanjiCount = null,
+  seed = null,
+  mode = 'random',
+  learnerId = null,
+  days = 30,
+  autoPublish = false,
+} = {}) {
+  const selectionSeed = seed === null ? crypto.randomBytes(8).toString('hex') : String(seed);
+
+  // 1. Explicit lists win; weak areas come next; random picks fill the rest
+  let weak = null;
+  if (mode === 'weak_areas') {
+    if (!learnerId) throw badSelection('weak_areas needs a learner');
+    weak = await findWeakAreas(pool, learnerId, { days });
+  }
+
+  const grammarSource = grammarIds ?? weak?.grammar.map(w => w.item_id) ?? [];
+  const grammarRows = await pickGrammar(pool, {
+    ids: grammarSource,
+    count: grammarIds ? grammarIds.length : grammarCount ?? DEFAULT_GRAMMAR_COUNT,
+    seed: selectionSeed,
+    level: grammarIds ? null : level,
+    fill: !grammarIds,
+  });
+  if (grammarIds && grammarRows.length < grammarIds.length) {
+    throw badSelection('Some grammar_ids do not exist (or are versions of the same concept)');
+  }
+  const grammarList = grammarRows.map(r => r.Concept);
+  const grammarIdMap = new Map(grammarRows.map(r => [r.Concept, r.GrammarId]));
+
+  const kanjiSource = kanji ? await kanjiIdsFor(pool, kanji) : weak?.kanji.map(w => w.item_id) ?? [];
+  const kanjiRows = await pickKanji(pool, {
+    ids: kanjiSource,
+    count: kanji ? kanjiSource.length : kanjiCount ?? DEFAULT_KANJI_COUNT,
+    seed: selectionSeed,
+    jlpt: kanji ? null : levelToJlpt(level),
+    fill: !kanji,
+  });
+  const kanjiList = kanjiRows.map(r => r.Kanji);
+
+  if (grammarList.length === 0 && kanjiList.length === 0) {
+    throw badSelection('Nothing to build an exam from');
+  }
+
+  // 2. Describe any selected kanji that still lack details (the local generator stays offline)
+  const enriched = [];
+  for (const k of generator === 'llm' ? kanjiRows : []) {
+    if (!k.Details?.trim()) {
+      await enrichKanji(pool, llm, k.Id);
+      enriched.push(k.Kanji);
+    }
+  }
+
+  // 3. Generate questions through the LLM provider, or locally from the same selection
+  const generated = generator === 'local'
+    ? await buildLocalExam(pool, {
+      grammarIds: grammarRows.map(r => r.GrammarId),
+      kanjiIds: kanjiRows.map(r => r.Id),
+      level,
+      types,
+      perType,
+      seed: selectionSeed,
+    })
+    : await llm.generateJson('questions', questionsPrompt(grammarList, kanjiList, {
+      level, types, perType, weakAreas: weak !== null,
+    }), {
+      validate: examValidator({ types, perType }),
+    });
+
+  // 4. Insert batch + questions + options as a draft
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+
+  let batchId;
+  try {
+    const batchInsert = await new sql.Request(tx)
+      .input('grammar_list', sql.NVarChar(sql.MAX), JSON.stringify(grammarList))
+      .input('kanji_list', sql.NVarChar(sql.MAX), JSON.stringify(kanjiList))
+      .input('exam_date', sql.Date, examDate)
+      .input('level', sql.NVarChar(2), level)
+      .input('question_types', sql.NVarChar(sql.MAX), JSON.stringify(types))
+      .input('per_type', sql.Int, perType)
+      .input('generator', sql.NVarChar(20), generator)
+      .query(`
+        INSERT INTO QuestionBatch (grammar_list, kanji_list, exam_date, level, status, question_types, per_type, generator)
+        OUTPUT INSERTED.batch_id
+        VALUES (@grammar_list, @kanji_list, @exam_date, @level, 'draft', @question_types, @per_type, @generator);
+      `);
+
+    batchId = batchInsert.recordset[0].batch_id;
+
+    for (const q of generated.questions) {
+      await insertQuestion(tx, batchId, q, { kanjiRows, grammarIdMap });
+    }
+    for (const passage of generated.passages) {
+      await insertPassage(tx, batchId, passage, { kanjiRows, grammarIdMap });
+    }
+
+    await tx.commit();
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+
+  // 5. Flag problems for review; with autoPublish a clean batch goes straight out
+  const flags = await checkBatch(pool, batchId);
+  const published = autoPublish && flags.length === 0;
+  if (published) await publishBatch(pool, batchId);
+
+  return {
+    batch_id: batchId,
+    exam_date: examDate,
+    level,
+    generator,
+    status: published ? 'published' : 'draft',
+    flags,
+    grammar_used: grammarList,
+    kanji_used: kanjiList,
+    kanji_enriched: enriched,
+    count: generated.questions.length + generated.passages.reduce((n, p) => n + p.questions.length, 0),
+    passages: generated.passages.length,
+    seed: selectionSeed,
+    mode,
+    ...(weak && {
+      weak_areas: {
+        grammar: grammarRows.filter(r => r.listed).map(r => r.Concept),
+        kanji: kanjiRows.filter(r => r.listed).map(r => r.Kanji),
+      },
+    }),
+  };
+}
+
+/**
+ * Replace one draft question with a freshly generated one of the same type,
+ * built from its batch's grammar points and kanji at the batch's level (and
+ * about the same passage for reading questions). Locally generated batches
+ * get another local question. Returns the batch's new flags.
+ */
+export async function regenerateQuestion(pool, llm, questionId) {
+  const question = await loadDraftQuestion(pool, questionId);
+  const batch = await loadBatch(pool, question.batch_id);
+  const type = question.question_type;
+  const context = await loadLinkContext(pool, batch.grammar_list, batch.kanji_list);
+
+  let q;
+  if (batch.generator === 'local') {
+    const { questions } = await buildLocalExam(pool, {
+      grammarIds: [...context.grammarIdMap.values()],
+      kanjiIds: context.kanjiRows.map(k => k.Id),
+      level: batch.level,
+      types: [type],
+      seed: crypto.randomBytes(8).toString('hex'),
+      exclude: [question.question_text],
+    });
+    q = questions[0];
+  } else {
+    const passage = question.passage_id === null
+      ? null
+      : (await loadBatchPassages(pool, batch.batch_id)).find(p => p.passage_id === question.passage_id);
+
+    const prompt = questionPrompt(batch, type, { passage, previous: question.question_text });
+    q = await llm.generateJson('question', prompt, {
+      validate: (data) => validateQuestion(data, '$', [type]),
+    });
+  }
+
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    await rewriteQuestion(tx, questionId, q, context);
+    await tx.commit();
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+
+  return checkBatch(pool, batch.batch_id);
+}
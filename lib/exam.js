@@ -0,0 +1,260 @@
+import sql from 'mssql';
+
+// JLPT sections, keyed by the prefix of each question_type
+export const SECTIONS = {
+  Vocabulary: '文字・語彙',
+  'Grammar & Reading': '文法・読解',
+};
+
+export function sectionForType(questionType = '') {
+  const prefix = Object.keys(SECTIONS).find((p) => questionType.startsWith(p));
+  return prefix ? SECTIONS[prefix] : 'Other';
+}
+
+/**
+ * Load the active questions of a batch with their options grouped underneath,
+ * standalone questions first and then passage by passage (the exam's numbering).
+ * `includeRejected` (moderation) adds rejected ones, with status and reason.
+ */
+export async function loadBatchQuestions(pool, batchId, { includeRejected = false } = {}) {
+  const result = await pool.request()
+    .input('batch_id', sql.Int, batchId)
+    .input('include_rejected', sql.Bit, includeRejected)
+    .query(`
+      SELECT 
+        q.question_id,
+        q.question_type,
+        q.question_text,
+        q.answer,
+        q.explanation,
+        q.passage_id,
+        q.status,
+        q.rejected_reason,
+        qo.option_id,
+        qo.option_text,
+        qo.is_correct
+      FROM questions q
+      JOIN question_options qo ON q.question_id = qo.question_id
+      WHERE q.batch_id = @batch_id AND (q.status = 'active' OR @include_rejected = 1)
+      ORDER BY CASE WHEN q.passage_id IS NULL THEN 0 ELSE 1 END, q.passage_id, q.question_id, qo.option_id;
+    `);
+
+  const questionsMap = new Map();
+  for (const row of result.recordset) {
+    if (!questionsMap.has(row.question_id)) {
+      questionsMap.set(row.question_id, {
+        question_id: row.question_id,
+        question_type: row.question_type,
+        question_text: row.question_text,
+        answer: row.answer,
+        explanation: row.explanation,
+        passage_id: row.passage_id,
+        ...(includeRejected && { status: row.status, rejected_reason: row.rejected_reason }),
+        options: [],
+      });
+    }
+    questionsMap.get(row.question_id).options.push({
+      option_id: row.option_id,
+      option_text: row.option_text,
+      is_correct: row.is_correct,
+    });
+  }
+
+  return [...questionsMap.values()];
+}
+
+// Reading passages of a batch, in the order they were generated
+export async function loadBatchPassages(pool, batchId) {
+  const result = await pool.request()
+    .input('batch_id', sql.Int, batchId)
+    .query(`
+      SELECT passage_id, passage_type, title, body, furigana
+      FROM passages
+      WHERE batch_id = @batch_id
+      ORDER BY passage_id;
+    `);
+  return result.recordset;
+}
+
+/**
+ * Split a batch's flat question list into standalone questions and passages
+ * with their questions (mapped through `mapQuestion`) underneath:
+ * { questions: [...], passages: [{ passage_id, passage_type, title, body, furigana, questions }] }.
+ * Passages left without questions (all rejected) are dropped.
+ */
+export function groupPassages(questions, passages, mapQuestion = (q) => q) {
+  return {
+    questions: questions.filter((q) => q.passage_id === null).map(mapQuestion),
+    passages: passages
+      .map((p) => ({ ...p, questions: questions.filter((q) => q.passage_id === p.passage_id).map(mapQuestion) }))
+      .filter((p) => p.questions.length > 0),
+  };
+}
+
+// Student view: same question, with the answer, explanation and is_correct removed
+export function toStudentQuestion(q) {
+  return {
+    question_id: q.question_id,
+    question_type: q.question_type,
+    section: sectionForType(q.question_type),
+    question_text: q.question_text,
+    passage_id: q.passage_id,
+    options: q.options.map(({ option_id, option_text }) => ({ option_id, option_text })),
+  };
+}
+
+/**
+ * Grade chosen options against question_options.is_correct.
+ * `chosen` maps question_id → option_id; unanswered questions count as wrong.
+ */
+export function gradeQuestions(questions, chosen) {
+  const sections = {};
+  let score = 0;
+
+  const results = questions.map((q) => {
+    const optionId = chosen.get(q.question_id) ?? null;
+    const option = q.options.find((o) => o.option_id === optionId);
+    const isCorrect = Boolean(option?.is_correct);
+    const section = sectionForType(q.question_type);
+
+    sections[section] ??= { correct: 0, total: 0 };
+    sections[section].total++;
+    if (isCorrect) {
+      sections[section].correct++;
+      score++;
+    }
+
+    return {
+      question_id: q.question_id,
+      question_type: q.question_type,
+      section,
+      question_text: q.question_text,
+      chosen_option_id: optionId,
+      correct_option_ids: q.options.filter((o) => o.is_correct).map((o) => o.option_id),
+      is_correct: isCorrect,
+      answer: q.answer,
+      explanation: q.explanation,
+    };
+  });
+
+  return { score, total: questions.length, sections, results };
+}
+
+/**
+ * A stored attempt as it was graded: the saved score/total and per-answer
+ * is_correct, with each question's text, answer and explanation (rejected
+ * questions included). Same shape as gradeQuestions.
+ */
+export async function loadAttemptResults(pool, attempt) {
+  const result = await pool.request()
+    .input('attempt_id', sql.Int, attempt.attempt_id)
+    .query(`
+      SELECT
+        aa.question_id,
+        aa.option_id,
+        aa.is_correct,
+        q.question_type,
+        q.question_text,
+        q.answer,
+        q.explanation,
+        qo.option_id AS correct_option_id
+      FROM exam_attempt_answers aa
+      JOIN questions q ON q.question_id = aa.question_id
+      LEFT JOIN question_options qo ON qo.question_id = aa.question_id AND qo.is_correct = 1
+      WHERE aa.attempt_id = @attempt_id
+      ORDER BY CASE WHEN q.passage_id IS NULL THEN 0 ELSE 1 END, q.passage_id, q.question_id, qo.option_id;
+    `);
+
+  const resultsMap = new Map();
+  for (const row of result.recordset) {
+    if (!resultsMap.has(row.question_id)) {
+      resultsMap.set(row.question_id, {
+        question_id: row.question_id,
+        question_type: row.question_type,
+        section: sectionForType(row.question_type),
+        question_text: row.question_text,
+        chosen_option_id: row.option_id,
+        correct_option_ids: [],
+        is_correct: Boolean(row.is_correct),
+        answer: row.answer,
+        explanation: row.explanation,
+      });
+    }
+    if (row.correct_option_id !== null) {
+      resultsMap.get(row.question_id).correct_option_ids.push(row.correct_option_id);
+    }
+  }
+
+  const results = [...resultsMap.values()];
+  const sections = {};
+  for (const r of results) {
+    sections[r.section] ??= { correct: 0, total: 0 };
+    sections[r.section].total++;
+    if (r.is_correct) sections[r.section].correct++;
+  }
+
+  return { score: attempt.score, total: attempt.total, sections, results };
+}
+
+export const ANSWERS_LOCKED = 'Answers are shown once you have submitted an attempt at this exam';
+
+/**
+ * Whether `user` may see a batch's answers: admins always, learners once
+ * they have submitted an attempt at it.
+ */
+export async function canSeeAnswers(pool, batchId, user) {
+  if (user?.role === 'admin') return true;
+  if (!user) return false;
+
+  const result = await pool.request()
+    .input('batch_id', sql.Int, batchId)
+    .input('learner_id', sql.NVarChar(100), user.id)
+    .query(`
+      SELECT TOP (1) 1 AS attempted
+      FROM exam_attempts
+      WHERE batch_id = @batch_id AND learner_id = @learner_id;
+    `);
+  return result.recordset.length > 0;
+}
+
+// Batch metadata with its grammar/kanji lists and requested types parsed, or null when missing
+export async function loadBatch(pool, batchId) {
+  const result = await pool.request()
+    .input('batch_id', sql.Int, batchId)
+    .query(`
+      SELECT batch_id, created_at, exam_date, level, status, published_at, generator,
+             grammar_list, kanji_list, question_types, per_type
+      FROM QuestionBatch
+      WHERE batch_id = @batch_id;
+    `);
+
+  const batch = result.recordset[0];
+  if (!batch) return null;
+  return {
+    ...batch,
+    grammar_list: JSON.parse(batch.grammar_list),
+    kanji_list: JSON.parse(batch.kanji_list),
+    question_types: batch.question_types ? JSON.parse(batch.question_types) : null,
+  };
+}
+
+// Drafts are only visible to admins (see lib/moderation.js)
+export function canViewBatch(batch, user) {
+  return batch.status === 'published' || user?.role === 'admin';
+}
+
+// Answer sheet row: the correct option and explanation for each question
+export function toAnswerSheetEntry(q, index) {
+  const correct = q.options.find((o) => o.is_correct);
+  return {
+    number: index + 1,
+    question_id: q.question_id,
+    question_type: q.question_type,
+    section: sectionForType(q.question_type),
+    passage_id: q.passage_id,
+    correct_option_id: correct?.option_id ?? null,
+    correct_option_number: correct ? q.options.indexOf(correct) + 1 : null,
+    answer: q.answer,
+    explanation: q.explanation,
+  };
+}
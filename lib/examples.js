@@ -0,0 +1,150 @@
+import sql from 'mssql';
+
+// Grammar and kanji examples share a shape but live in different tables
+export const EXAMPLE_TABLES = {
+  grammar: { examples: 'Examples', parentColumn: 'GrammarId', vocab: 'Vocabulary' },
+  kanji: { examples: 'KanjiExamples', parentColumn: 'KanjiId', vocab: 'KanjiExampleVocabulary' },
+};
+
+const EXAMPLE_COLUMNS = { japanese: 'Japanese', romaji: 'Romaji', english: 'English' };
+const VOCAB_COLUMNS = { word: 'Word', romaji: 'Romaji', meaning: 'Meaning' };
+
+// Insert one vocab entry under an example; returns its VocabId
+export async function insertVocab(conn, kind, exampleId, vocab) {
+  const { vocab: table } = EXAMPLE_TABLES[kind];
+
+  const result = await new sql.Request(conn)
+    .input('ExampleId', sql.Int, exampleId)
+    .input('Word', sql.NVarChar, vocab.word)
+    .input('VocabRomaji', sql.NVarChar, vocab.romaji)
+    .input('Meaning', sql.NVarChar, vocab.meaning)
+    .query(`
+      INSERT INTO ${table} (ExampleId, Word, Romaji, Meaning)
+      OUTPUT INSERTED.VocabId
+      VALUES (@ExampleId, @Word, @VocabRomaji, @Meaning)
+    `);
+  return result.recordset[0].VocabId;
+}
+
+// Insert one example (and its vocab) under a grammar point or kanji; returns its ExampleId
+export async function insertExample(conn, kind, parentId, example) {
+  const { examples: table, parentColumn } = EXAMPLE_TABLES[kind];
+
+  const exampleResult = await new sql.Request(conn)
+    .input('ParentId', sql.Int, parentId)
+    .input('Japanese', sql.NVarChar, example.japanese)
+    .input('Romaji', sql.NVarChar, example.romaji)
+    .input('English', sql.NVarChar, example.english)
+    .query(`
+      INSERT INTO ${table} (${parentColumn}, Japanese, Romaji, English)
+      OUTPUT INSERTED.ExampleId
+      VALUES (@ParentId, @Japanese, @Romaji, @English)
+    `);
+
+  const exampleId = exampleResult.recordset[0].ExampleId;
+
+  for (const vocab of example.vocab ?? []) {
+    await insertVocab(conn, kind, exampleId, vocab);
+  }
+  return exampleId;
+}
+
+// Delete every example (and its vocab) of a grammar point or kanji
+export async function deleteExamplesOf(conn, kind, parentId) {
+  const { examples: table, parentColumn, vocab } = EXAMPLE_TABLES[kind];
+
+  await new sql.Request(conn)
+    .input('ParentId', sql.Int, parentId)
+    .query(`
+      DELETE v FROM ${vocab} v
+      JOIN ${table} e ON v.ExampleId = e.ExampleId
+      WHERE e.${parentColumn} = @ParentId;
+      DELETE FROM ${table} WHERE ${parentColumn} = @ParentId;
+    `);
+}
+
+// Delete one example and its vocab; returns false when it doesn't exist
+export async function deleteExample(conn, kind, exampleId) {
+  const { examples: table, vocab } = EXAMPLE_TABLES[kind];
+
+  const result = await new sql.Request(conn)
+    .input('ExampleId', sql.Int, exampleId)
+    .query(`
+      DELETE FROM ${vocab} WHERE ExampleId = @ExampleId;
+      DELETE FROM ${table} WHERE ExampleId = @ExampleId;
+    `);
+  return result.rowsAffected[1] > 0;
+}
+
+export async function deleteVocab(conn, kind, vocabId) {
+  const result = await new sql.Request(conn)
+    .input('VocabId', sql.Int, vocabId)
+    .query(`DELETE FROM ${EXAMPLE_TABLES[kind].vocab} WHERE VocabId = @VocabId`);
+  return result.rowsAffected[0] > 0;
+}
+
+// UPDATE only the whitelisted fields present in `fields`
+async function patchRow(conn, table, idColumn, id, columns, fields) {
+  const request = new sql.Request(conn).input('Id', sql.Int, id);
+  const sets = [];
+
+  for (const [key, column] of Object.entries(columns)) {
+    if (fields[key] === undefined) continue;
+    request.input(column, sql.NVarChar, fields[key]);
+    sets.push(`${column} = @${column}`);
+  }
+
+  if (sets.length === 0) {
+    const exists = await request.query(`SELECT 1 AS found FROM ${table} WHERE ${idColumn} = @Id`);
+    return exists.recordset.length > 0;
+  }
+
+  const result = await request.query(`UPDATE ${table} SET ${sets.join(', ')} WHERE ${idColumn} = @Id`);
+  return result.rowsAffected[0] > 0;
+}
+
+export function patchExample(conn, kind, exampleId, fields) {
+  return patchRow(conn, EXAMPLE_TABLES[kind].examples, 'ExampleId', exampleId, EXAMPLE_COLUMNS, fields);
+}
+
+export function patchVocab(conn, kind, vocabId, fields) {
+  return patchRow(conn, EXAMPLE_TABLES[kind].vocab, 'VocabId', vocabId, VOCAB_COLUMNS, fields);
+}
+
+// One example with its vocab, or null
+export async function loadExample(conn, kind, exampleId) {
+  const { examples: table, parentColumn, vocab } = EXAMPLE_TABLES[kind];
+
+  const result = await new sql.Request(conn)
+    .input('ExampleId', sql.Int, exampleId)
+    .query(`
+      SELECT e.ExampleId, e.${parentColumn} AS ParentId, e.Japanese, e.Romaji, e.English,
+             v.VocabId, v.Word, v.Romaji AS VocabRomaji, v.Meaning AS VocabMeaning
+      FROM ${table} e
+      LEFT JOIN ${vocab} v ON e.ExampleId = v.ExampleId
+      WHERE e.ExampleId = @ExampleId
+      ORDER BY v.VocabId
+    `);
+
+  const rows = result.recordset;
+  if (rows.length === 0) return null;
+
+  return {
+    id: rows[0].ExampleId,
+    [kind === 'grammar' ? 'grammarId' : 'kanjiId']: rows[0].ParentId,
+    japanese: rows[0].Japanese,
+    romaji: rows[0].Romaji,
+    english: rows[0].English,
+    vocab: rows
+      .filter(row => row.VocabId)
+      .map(row => ({ id: row.VocabId, word: row.Word, romaji: row.VocabRomaji, meaning: row.VocabMeaning })),
+  };
+}
+
+// ExampleId a vocab entry belongs to, or null
+export async function findVocabExample(conn, kind, vocabId) {
+  const result = await new sql.Request(conn)
+    .input('VocabId', sql.Int, vocabId)
+    .query(`SELECT ExampleId FROM ${EXAMPLE_TABLES[kind].vocab} WHERE VocabId = @VocabId`);
+  return result.recordset[0]?.ExampleId ?? null;
+}
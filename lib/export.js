@@ -0,0 +1,302 @@
+import sql from 'mssql';
+import { loadGrammarPoints, loadKanji } from './content.js';
+import { loadBatchPassages, loadBatchQuestions } from './exam.js';
+
+export const DUMP_FORMAT = 'japanese-grammar-dump';
+export const DUMP_VERSION = 1;
+export const EXPORT_TYPES = ['grammar', 'kanji', 'exams'];
+export const EXPORT_FORMATS = ['json', 'csv', 'anki'];
+
+// Kanji dictionary columns carried in dumps, as dump key → KanjiInfo column
+export const KANJI_FIELDS = {
+  meanings: 'Meanings',
+  kun_readings: 'KunReadings',
+  on_readings: 'OnReadings',
+  grade: 'Grade',
+  jlpt: 'JLPT',
+  stroke_count: 'StrokeCount',
+  unicode: 'Unicode',
+  heisig_en: 'HeisigEn',
+  freq_mainichi_shinbun: 'FreqMainichiShinbun',
+};
+
+function toDateString(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : null;
+}
+
+// Examples without database ids, so a dump can be loaded into another database
+function portableExamples(examples) {
+  return examples.map(e => ({
+    japanese: e.japanese ?? e.Japanese,
+    romaji: e.romaji ?? e.Romaji,
+    english: e.english ?? e.English,
+    vocab: e.vocab.map(v => ({
+      word: v.word ?? v.Word,
+      romaji: v.romaji ?? v.Romaji,
+      meaning: v.meaning ?? v.Meaning,
+    })),
+  }));
+}
+
+// Current grammar points (optionally one JLPT level) in dump shape
+export async function exportGrammar(pool, { level = null } = {}) {
+  const idsResult = await pool.request()
+    .input('level', sql.NVarChar(2), level)
+    .query(`
+      SELECT GrammarId FROM GrammarPoints
+      WHERE IsCurrent = 1 AND (@level IS NULL OR Level = @level)
+      ORDER BY GrammarId
+    `);
+
+  const ids = idsResult.recordset.map(r => r.GrammarId);
+  const grammarMap = await loadGrammarPoints(pool, ids);
+
+  return ids.map(id => {
+    const g = grammarMap.get(id);
+    return {
+      concept: g.concept,
+      meaning: g.meaning,
+      details: g.details,
+      level: g.level,
+      tags: g.tags,
+      examples: portableExamples(g.examples),
+    };
+  });
+}
+
+// Kanji (optionally one JLPT level) with their enrichment and examples
+export async function exportKanji(pool, { jlpt = null } = {}) {
+  const idsResult = await pool.request()
+    .input('jlpt', sql.Int, jlpt)
+    .query('SELECT Id FROM KanjiInfo WHERE (@jlpt IS NULL OR JLPT = @jlpt) ORDER BY Id');
+
+  const ids = idsResult.recordset.map(r => r.Id);
+  const kanjiMap = await loadKanji(pool, ids);
+
+  return ids.map(id => {
+    const k = kanjiMap.get(id);
+    const fields = Object.fromEntries(
+      Object.entries(KANJI_FIELDS).map(([key, column]) => [key, k[column] ?? null])
+    );
+    return {
+      kanji: k.Kanji,
+      ...fields,
+      meaning: k.Meaning2 ?? null,
+      details: k.Details ?? null,
+      examples: portableExamples(k.examples),
+    };
+  });
+}
+
+// Every exam batch with its passages, questions and options, oldest first; a
+// reading question points at its passage by index ("passage")
+export async function exportExams(pool) {
+  const batches = await pool.request().query(`
+    SELECT batch_id, created_at, exam_date, level, status, generator, grammar_list, kanji_list
+    FROM QuestionBatch
+    ORDER BY created_at, batch_id
+  `);
+
+  const exams = [];
+  for (const batch of batches.recordset) {
+    const questions = await loadBatchQuestions(pool, batch.batch_id);
+    const passages = await loadBatchPassages(pool, batch.batch_id);
+    const passageIndex = new Map(passages.map((p, i) => [p.passage_id, i]));
+    exams.push({
+      created_at: batch.created_at,
+      exam_date: toDateString(batch.exam_date),
+      level: batch.level,
+      status: batch.status,
+      generator: batch.generator,
+      grammar_list: JSON.parse(batch.grammar_list),
+      kanji_list: JSON.parse(batch.kanji_list),
+      passages: passages.map(p => ({
+        passage_type: p.passage_type,
+        title: p.title,
+        body: p.body,
+        furigana: p.furigana,
+      })),
+      questions: questions.map(q => ({
+        passage: passageIndex.get(q.passage_id) ?? null,
+        question_type: q.question_type,
+        question_text: q.question_text,
+        answer: q.answer,
+        explanation: q.explanation,
+        options: q.options.map(o => ({ option_text: o.option_text, is_correct: Boolean(o.is_correct) })),
+      })),
+    });
+  }
+  return exams;
+}
+
+const EXPORTERS = { grammar: exportGrammar, kanji: exportKanji, exams: exportExams };
+
+// JSON dump of the requested types; this is what POST /api/import accepts
+export async function buildDump(pool, types, filters = {}) {
+  const dump = { format: DUMP_FORMAT, version: DUMP_VERSION, exported_at: new Date().toISOString() };
+  for (const type of types) {
+    dump[type] = await EXPORTERS[type](pool, filters);
+  }
+  return dump;
+}
+
+// ---- CSV ----
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+const vocabCell = (vocab) => vocab.map(v => `${v.word} (${v.romaji}): ${v.meaning}`).join('; ');
+
+// One row per example; items without examples still get one row
+function exampleRows(item, base) {
+  if (item.examples.length === 0) return [base];
+  return item.examples.map(e => ({
+    ...base,
+    example_japanese: e.japanese,
+    example_romaji: e.romaji,
+    example_english: e.english,
+    vocab: vocabCell(e.vocab),
+  }));
+}
+
+const EXAMPLE_CSV_COLUMNS = ['example_japanese', 'example_romaji', 'example_english', 'vocab'];
+
+const CSV_LAYOUTS = {
+  grammar: {
+    columns: ['concept', 'meaning', 'details', 'level', 'tags', ...EXAMPLE_CSV_COLUMNS],
+    rows: (items) => items.flatMap(g => exampleRows(g, { ...g, tags: g.tags.join('; ') })),
+  },
+  kanji: {
+    columns: ['kanji', ...Object.keys(KANJI_FIELDS), 'meaning', 'details', ...EXAMPLE_CSV_COLUMNS],
+    rows: (items) => items.flatMap(k => exampleRows(k, k)),
+  },
+  exams: {
+    columns: ['exam_date', 'level', 'created_at', 'question_type', 'passage_title', 'question_text',
+      'option_1', 'option_2', 'option_3', 'option_4', 'answer', 'explanation'],
+    rows: (items) => items.flatMap(exam => exam.questions.map(q => ({
+      exam_date: exam.exam_date,
+      level: exam.level,
+      created_at: new Date(exam.created_at).toISOString(),
+      passage_title: exam.passages[q.passage]?.title,
+      ...q,
+      ...Object.fromEntries(q.options.map((o, i) => [`option_${i + 1}`, o.option_text])),
+    }))),
+  },
+};
+
+// Flat CSV of one exported type
+export function dumpToCsv(type, items) {
+  const layout = CSV_LAYOUTS[type];
+  return toCsv(layout.columns, layout.rows(items));
+}
+
+// ---- Anki ----
+
+export const ANKI_TYPES = ['grammar', 'kanji'];
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+const examplesHtml = (examples) => examples
+  .map(e => `${escapeHtml(e.japanese)}<br>${escapeHtml(e.romaji)}<br><i>${escapeHtml(e.english)}</i>`)
+  .join('<br><br>');
+
+const vocabHtml = (examples) => [...new Map(
+  examples.flatMap(e => e.vocab).map(v => [v.word, v])
+).values()]
+  .map(v => `${escapeHtml(v.word)} (${escapeHtml(v.romaji)}) — ${escapeHtml(v.meaning)}`)
+  .join('<br>');
+
+// Template fields per type; values are already HTML
+export const ANKI_FIELDS = {
+  grammar: {
+    concept: (g) => escapeHtml(g.concept),
+    meaning: (g) => escapeHtml(g.meaning),
+    details: (g) => escapeHtml(g.details),
+    level: (g) => escapeHtml(g.level),
+    tags: (g) => escapeHtml(g.tags.join(', ')),
+    examples: (g) => examplesHtml(g.examples),
+    vocab: (g) => vocabHtml(g.examples),
+  },
+  kanji: {
+    kanji: (k) => escapeHtml(k.kanji),
+    meaning: (k) => escapeHtml(k.meaning ?? k.meanings),
+    meanings: (k) => escapeHtml(k.meanings),
+    on_readings: (k) => escapeHtml(k.on_readings),
+    kun_readings: (k) => escapeHtml(k.kun_readings),
+    jlpt: (k) => escapeHtml(k.jlpt),
+    stroke_count: (k) => escapeHtml(k.stroke_count),
+    details: (k) => escapeHtml(k.details),
+    examples: (k) => examplesHtml(k.examples),
+    vocab: (k) => vocabHtml(k.examples),
+  },
+};
+
+export const ANKI_DEFAULT_TEMPLATES = {
+  grammar: {
+    front: '{{concept}}',
+    back: '{{meaning}}<br><br>{{details}}<br><br>{{examples}}',
+  },
+  kanji: {
+    front: '{{kanji}}',
+    back: '{{meaning}}<br>音: {{on_readings}}<br>訓: {{kun_readings}}<br><br>{{details}}<br><br>{{examples}}',
+  },
+};
+
+// Placeholders in a template that the type doesn't provide
+export function unknownAnkiFields(type, template) {
+  const names = [...template.matchAll(/\{\{\s*(\w+)\s*\}\}/g)].map(m => m[1]);
+  return names.filter(name => !ANKI_FIELDS[type][name]);
+}
+
+function renderTemplate(type, template, item) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, name) => ANKI_FIELDS[type][name](item));
+}
+
+// Anki tags can't contain spaces
+function ankiTags(type, item) {
+  const tags = type === 'grammar'
+    ? [item.level, ...item.tags]
+    : [item.jlpt ? `jlpt_${item.jlpt}` : null];
+  return [type, ...tags].filter(Boolean).map(t => String(t).trim().replace(/\s+/g, '_')).join(' ');
+}
+
+/**
+ * Anki "Notes in plain text" import file: a header telling Anki about the
+ * separator, HTML and tags column, then one front/back/tags line per note.
+ */
+export function dumpToAnki(type, items, { front, back, deck } = {}) {
+  const templates = {
+    front: front ?? ANKI_DEFAULT_TEMPLATES[type].front,
+    back: back ?? ANKI_DEFAULT_TEMPLATES[type].back,
+  };
+  // Tabs and newlines would break the TSV; Anki renders <br> instead
+  const field = (text) => text.replace(/\t/g, ' ').replace(/\r?\n/g, '<br>');
+
+  const lines = ['#separator:tab', '#html:true', '#tags column:3'];
+  if (deck) lines.push(`#deck:${deck.replace(/[\r\n]/g, ' ')}`);
+
+  for (const item of items) {
+    lines.push([
+      field(renderTemplate(type, templates.front, item)),
+      field(renderTemplate(type, templates.back, item)),
+      ankiTags(type, item),
+    ].join('\t'));
+  }
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,208 @@
+import sql from 'mssql';
+import { isKanaOnly, isRomaji, romajiToHiragana, toHiragana } from './kana.js';
+import { deleteExamplesOf, insertExample } from './examples.js';
+
+/**
+ * Key used to spot the same grammar concept written differently:
+ * "～てから", "てから", "〜 てから" and "~te kara" all become "てから".
+ */
+export function normalizeConcept(concept) {
+  let text = String(concept ?? '')
+    .normalize('NFKC')
+    .replace(/[（(].*?[)）]/g, '')
+    .replace(/[~〜～]/g, '')
+    .trim()
+    .toLowerCase();
+
+  if (isRomaji(text)) {
+    const kana = romajiToHiragana(text.replace(/[\s-]/g, ''));
+    if (isKanaOnly(kana)) text = kana;
+  }
+
+  return toHiragana(text).replace(/\s+/g, '');
+}
+
+/**
+ * Current version of a concept, or null when it has never been generated.
+ * With `lock` (inside a transaction) the key stays locked until it ends, so a
+ * concurrent create of the same concept waits instead of hitting the unique index.
+ */
+export async function findCurrentGrammar(conn, conceptKey, { lock = false } = {}) {
+  const result = await new sql.Request(conn)
+    .input('key', sql.NVarChar(200), conceptKey)
+    .query(`
+      SELECT GrammarId, Version, Level
+      FROM GrammarPoints${lock ? ' WITH (UPDLOCK, HOLDLOCK)' : ''}
+      WHERE ConceptKey = @key AND IsCurrent = 1
+    `);
+  return result.recordset[0] ?? null;
+}
+
+/**
+ * Insert a generated grammar point (with examples + vocab) as the newest
+ * version of its concept and make it current. `tx` is a Transaction.
+ */
+export async function insertGrammarVersion(tx, data, conceptKey) {
+  const versionResult = await new sql.Request(tx)
+    .input('key', sql.NVarChar(200), conceptKey)
+    .query(`
+      SELECT ISNULL(MAX(Version), 0) + 1 AS NextVersion
+      FROM GrammarPoints WITH (UPDLOCK, HOLDLOCK)
+      WHERE ConceptKey = @key;
+
+      UPDATE GrammarPoints SET IsCurrent = 0 WHERE ConceptKey = @key AND IsCurrent = 1;
+    `);
+  const version = versionResult.recordset[0].NextVersion;
+
+  // Insert Grammar Point
+  const grammarResult = await new sql.Request(tx)
+    .input('Concept', sql.NVarChar, data.concept)
+    .input('Meaning', sql.NVarChar, data.meaning)
+    .input('Details', sql.NVarChar, data.details)
+    .input('Level', sql.NVarChar(2), data.level ?? null)
+    .input('ConceptKey', sql.NVarChar(200), conceptKey)
+    .input('Version', sql.Int, version)
+    .query(`
+      INSERT INTO GrammarPoints (Concept, Meaning, Details, Level, ConceptKey, Version, IsCurrent)
+      OUTPUT INSERTED.GrammarId
+      VALUES (@Concept, @Meaning, @Details, COALESCE(@Level, 'N4'), @ConceptKey, @Version, 1)
+    `);
+
+  const grammarId = grammarResult.recordset[0].GrammarId;
+
+  // Insert Examples + Vocabulary
+  for (const example of data.examples ?? []) {
+    await insertExample(tx, 'grammar', grammarId, example);
+  }
+
+  if (data.tags) await setGrammarTags(tx, grammarId, data.tags);
+
+  return { grammarId, version };
+}
+
+// Every version of the concept that grammarId belongs to, newest first
+export async function listGrammarVersions(conn, grammarId) {
+  const result = await new sql.Request(conn)
+    .input('id', sql.Int, grammarId)
+    .query(`
+      SELECT g.GrammarId, g.Concept, g.Meaning, g.Version, g.IsCurrent
+      FROM GrammarPoints g
+      WHERE g.ConceptKey = (SELECT ConceptKey FROM GrammarPoints WHERE GrammarId = @id)
+      ORDER BY g.Version DESC
+    `);
+
+  return result.recordset.map(row => ({
+    id: row.GrammarId,
+    concept: row.Concept,
+    meaning: row.Meaning,
+    version: row.Version,
+    is_current: row.IsCurrent,
+  }));
+}
+
+// Make grammarId the current version of its concept (rollback). `tx` is a Transaction.
+export async function setCurrentGrammarVersion(tx, grammarId) {
+  await new sql.Request(tx)
+    .input('id', sql.Int, grammarId)
+    .query(`
+      DECLARE @key NVARCHAR(200) = (SELECT ConceptKey FROM GrammarPoints WHERE GrammarId = @id);
+
+      UPDATE GrammarPoints SET IsCurrent = 0 WHERE ConceptKey = @key AND IsCurrent = 1;
+      UPDATE GrammarPoints SET IsCurrent = 1 WHERE GrammarId = @id;
+    `);
+}
+
+// Replace the tag list of a grammar point
+export async function setGrammarTags(tx, grammarId, tags) {
+  await new sql.Request(tx)
+    .input('id', sql.Int, grammarId)
+    .query('DELETE FROM GrammarTags WHERE GrammarId = @id');
+
+  for (const tag of new Set(tags.map(t => t.trim()))) {
+    await new sql.Request(tx)
+      .input('id', sql.Int, grammarId)
+      .input('tag', sql.NVarChar(50), tag)
+      .query('INSERT INTO GrammarTags (GrammarId, Tag) VALUES (@id, @tag)');
+  }
+}
+
+/**
+ * Update a grammar point's own fields (concept, meaning, details, level).
+ * A concept change moves it, with every other version of its concept, to the
+ * matching ConceptKey. Returns false when the grammar point doesn't exist.
+ */
+export async function updateGrammarFields(tx, grammarId, fields) {
+  const request = new sql.Request(tx).input('id', sql.Int, grammarId);
+  const sets = [];
+
+  const columns = { concept: 'Concept', meaning: 'Meaning', details: 'Details', level: 'Level' };
+  for (const [key, column] of Object.entries(columns)) {
+    if (fields[key] === undefined) continue;
+    request.input(column, sql.NVarChar, fields[key]);
+    sets.push(`${column} = @${column}`);
+  }
+  if (fields.concept !== undefined) {
+    request.input('ConceptKey', sql.NVarChar(200), normalizeConcept(fields.concept));
+    sets.push('ConceptKey = @ConceptKey');
+  }
+
+  // The other versions follow first, so the concept's history never splits over two keys
+  const moveVersions = fields.concept === undefined ? '' : `
+    UPDATE GrammarPoints SET ConceptKey = @ConceptKey
+    WHERE ConceptKey = (SELECT ConceptKey FROM GrammarPoints WHERE GrammarId = @id) AND GrammarId <> @id;
+  `;
+
+  const result = await request.query(sets.length > 0
+    ? `${moveVersions} UPDATE GrammarPoints SET ${sets.join(', ')} WHERE GrammarId = @id`
+    : 'SELECT GrammarId FROM GrammarPoints WHERE GrammarId = @id');
+
+  return (sets.length > 0 ? result.rowsAffected.at(-1) : result.recordset.length) > 0;
+}
+
+// Replace a grammar point's fields, tags and examples (PUT)
+export async function replaceGrammar(tx, grammarId, data) {
+  if (!(await updateGrammarFields(tx, grammarId, data))) return false;
+
+  await deleteExamplesOf(tx, 'grammar', grammarId);
+  for (const example of data.examples ?? []) {
+    await insertExample(tx, 'grammar', grammarId, example);
+  }
+  await setGrammarTags(tx, grammarId, data.tags ?? []);
+  return true;
+}
+
+/**
+ * Delete a grammar point with its examples, vocab and tags. If it was the
+ * current version, the newest remaining version becomes current.
+ */
+export async function deleteGrammar(tx, grammarId) {
+  const found = await new sql.Request(tx)
+    .input('id', sql.Int, grammarId)
+    .query('SELECT ConceptKey, IsCurrent FROM GrammarPoints WHERE GrammarId = @id');
+  if (found.recordset.length === 0) return false;
+
+  const { ConceptKey: conceptKey, IsCurrent: wasCurrent } = found.recordset[0];
+
+  await deleteExamplesOf(tx, 'grammar', grammarId);
+  await new sql.Request(tx)
+    .input('id', sql.Int, grammarId)
+    .query(`
+      DELETE FROM GrammarTags WHERE GrammarId = @id;
+      DELETE FROM question_links WHERE item_type = 'grammar' AND item_id = @id;
+      DELETE FROM review_states WHERE item_type = 'grammar' AND item_id = @id;
+      UPDATE question_explanations SET grammar_id = NULL WHERE grammar_id = @id;
+      DELETE FROM GrammarPoints WHERE GrammarId = @id;
+    `);
+
+  if (wasCurrent && conceptKey) {
+    await new sql.Request(tx)
+      .input('key', sql.NVarChar(200), conceptKey)
+      .query(`
+        UPDATE GrammarPoints SET IsCurrent = 1
+        WHERE GrammarId = (
+          SELECT TOP 1 GrammarId FROM GrammarPoints WHERE ConceptKey = @key ORDER BY Version DESC
+        )
+      `);
+  }
+  return true;
+}
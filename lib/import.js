@@ -0,0 +1,208 @@
+import sql from 'mssql';
+import { contentCache } from './cache.js';
+import { DUMP_FORMAT, DUMP_VERSION, KANJI_FIELDS } from './export.js';
+import { validateDump } from './schemas.js';
+import { findCurrentGrammar, insertGrammarVersion, normalizeConcept, replaceGrammar } from './grammar.js';
+import { deleteExamplesOf, insertExample } from './examples.js';
+import { DEFAULT_LEVEL } from './levels.js';
+
+export const IMPORT_CONFLICT_MODES = ['skip', 'replace'];
+
+export function validateImport(dump) {
+  return validateDump(dump, {
+    format: DUMP_FORMAT,
+    version: DUMP_VERSION,
+    kanjiFields: Object.keys(KANJI_FIELDS),
+  });
+}
+
+// Grammar points match on their normalized concept
+async function importGrammar(tx, items, onConflict, counts) {
+  for (const item of items) {
+    const conceptKey = normalizeConcept(item.concept);
+    const current = await findCurrentGrammar(tx, conceptKey, { lock: true });
+
+    if (!current) {
+      await insertGrammarVersion(tx, item, conceptKey);
+      counts.inserted++;
+    } else if (onConflict === 'replace') {
+      await replaceGrammar(tx, current.GrammarId, item);
+      counts.updated++;
+    } else {
+      counts.skipped++;
+    }
+  }
+}
+
+async function insertKanjiRow(tx, item) {
+  const request = new sql.Request(tx)
+    .input('Kanji', sql.NVarChar, item.kanji)
+    .input('Meaning2', sql.NVarChar, item.meaning ?? null)
+    .input('Details', sql.NVarChar, item.details ?? null);
+
+  const columns = ['Kanji', 'Meaning2', 'Details'];
+  for (const [key, column] of Object.entries(KANJI_FIELDS)) {
+    if (item[key] == null) continue;
+    request.input(column, typeof item[key] === 'number' ? sql.Int : sql.NVarChar, item[key]);
+    columns.push(column);
+  }
+
+  const result = await request.query(`
+    INSERT INTO KanjiInfo (${columns.join(', ')})
+    OUTPUT INSERTED.Id
+    VALUES (${columns.map(c => `@${c}`).join(', ')})
+  `);
+  return result.recordset[0].Id;
+}
+
+/**
+ * Kanji match on the character. An existing kanji that was never enriched
+ * takes the dump's details and examples; an enriched one only with replace.
+ */
+async function importKanji(tx, items, onConflict, counts) {
+  for (const item of items) {
+    const found = await new sql.Request(tx)
+      .input('kanji', sql.NVarChar, item.kanji)
+      .query('SELECT TOP 1 Id, Details FROM KanjiInfo WHERE Kanji = @kanji ORDER BY Id');
+    const existing = found.recordset[0];
+
+    if (!existing) {
+      const kanjiId = await insertKanjiRow(tx, item);
+      for (const example of item.examples ?? []) {
+        await insertExample(tx, 'kanji', kanjiId, example);
+      }
+      counts.inserted++;
+      continue;
+    }
+
+    const enriched = Boolean(existing.Details?.trim());
+    const hasContent = Boolean(item.details?.trim()) || (item.examples ?? []).length > 0;
+    if (!hasContent || (enriched && onConflict !== 'replace')) {
+      counts.skipped++;
+      continue;
+    }
+
+    await new sql.Request(tx)
+      .input('id', sql.Int, existing.Id)
+      .input('meaning2', sql.NVarChar, item.meaning ?? null)
+      .input('details', sql.NVarChar, item.details ?? null)
+      .query('UPDATE KanjiInfo SET Meaning2 = @meaning2, Details = @details WHERE Id = @id');
+
+    await deleteExamplesOf(tx, 'kanji', existing.Id);
+    for (const example of item.examples ?? []) {
+      await insertExample(tx, 'kanji', existing.Id, example);
+    }
+    counts.updated++;
+  }
+}
+
+/**
+ * Exams match on exam_date and level (daily) or created_at (practice); dumps
+ * from before levels and moderation existed are N4 and published, and older
+ * reading questions come without passages. Existing
+ * batches are always kept: attempts and reviews may already point at them.
+ */
+async function importExams(tx, items, counts) {
+  for (const exam of items) {
+    const createdAt = exam.created_at ? new Date(exam.created_at) : null;
+    const level = exam.level ?? DEFAULT_LEVEL;
+    const found = await new sql.Request(tx)
+      .input('exam_date', sql.Date, exam.exam_date ?? null)
+      .input('level', sql.NVarChar(2), level)
+      .input('created_at', sql.DateTime2, createdAt)
+      .query(`
+        SELECT TOP 1 batch_id FROM QuestionBatch
+        WHERE (@exam_date IS NOT NULL AND exam_date = @exam_date AND level = @level)
+           OR (@exam_date IS NULL AND exam_date IS NULL AND created_at = @created_at)
+      `);
+    if (found.recordset.length > 0) {
+      counts.skipped++;
+      continue;
+    }
+
+    const batchInsert = await new sql.Request(tx)
+      .input('grammar_list', sql.NVarChar(sql.MAX), JSON.stringify(exam.grammar_list))
+      .input('kanji_list', sql.NVarChar(sql.MAX), JSON.stringify(exam.kanji_list))
+      .input('exam_date', sql.Date, exam.exam_date ?? null)
+      .input('level', sql.NVarChar(2), level)
+      .input('status', sql.NVarChar(20), exam.status ?? 'published')
+      .input('generator', sql.NVarChar(20), exam.generator ?? 'llm')
+      .input('created_at', sql.DateTime2, createdAt)
+      .query(`
+        INSERT INTO QuestionBatch (grammar_list, kanji_list, exam_date, level, status, generator, created_at)
+        OUTPUT INSERTED.batch_id
+        VALUES (@grammar_list, @kanji_list, @exam_date, @level, @status, @generator, COALESCE(@created_at, GETDATE()));
+      `);
+    const batchId = batchInsert.recordset[0].batch_id;
+
+    const passageIds = [];
+    for (const p of exam.passages ?? []) {
+      const passageInsert = await new sql.Request(tx)
+        .input('batch_id', sql.Int, batchId)
+        .input('passage_type', sql.NVarChar(255), p.passage_type)
+        .input('title', sql.NVarChar(255), p.title)
+        .input('body', sql.NVarChar(sql.MAX), p.body)
+        .input('furigana', sql.NVarChar(sql.MAX), p.furigana ?? null)
+        .query(`
+          INSERT INTO passages (batch_id, passage_type, title, body, furigana)
+          OUTPUT INSERTED.passage_id
+          VALUES (@batch_id, @passage_type, @title, @body, @furigana)
+        `);
+      passageIds.push(passageInsert.recordset[0].passage_id);
+    }
+
+    for (const q of exam.questions) {
+      const questionInsert = await new sql.Request(tx)
+        .input('question_type', sql.NVarChar, q.question_type)
+        .input('question_text', sql.NVarChar, q.question_text)
+        .input('answer', sql.NVarChar, q.answer)
+        .input('explanation', sql.NVarChar, q.explanation ?? null)
+        .input('batch_id', sql.Int, batchId)
+        .input('passage_id', sql.Int, passageIds[q.passage] ?? null)
+        .query(`
+          INSERT INTO questions (question_type, question_text, answer, explanation, batch_id, passage_id)
+          OUTPUT INSERTED.question_id
+          VALUES (@question_type, @question_text, @answer, @explanation, @batch_id, @passage_id)
+        `);
+      const questionId = questionInsert.recordset[0].question_id;
+
+      for (const opt of q.options) {
+        await new sql.Request(tx)
+          .input('question_id', sql.Int, questionId)
+          .input('option_text', sql.NVarChar, opt.option_text)
+          .input('is_correct', sql.Bit, opt.is_correct)
+          .query(`
+            INSERT INTO question_options (question_id, option_text, is_correct)
+            VALUES (@question_id, @option_text, @is_correct)
+          `);
+      }
+    }
+    counts.inserted++;
+  }
+}
+
+/**
+ * Load a validated dump in one transaction. Running the same dump twice
+ * inserts nothing the second time. Returns inserted/updated/skipped counts.
+ */
+export async function importDump(pool, dump, { onConflict = 'skip' } = {}) {
+  const counts = {
+    grammar: { inserted: 0, updated: 0, skipped: 0 },
+    kanji: { inserted: 0, updated: 0, skipped: 0 },
+    exams: { inserted: 0, updated: 0, skipped: 0 },
+  };
+
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    await importGrammar(tx, dump.grammar ?? [], onConflict, counts.grammar);
+    await importKanji(tx, dump.kanji ?? [], onConflict, counts.kanji);
+    await importExams(tx, dump.exams ?? [], counts.exams);
+    await tx.commit();
+    contentCache.invalidate('grammar', 'kanji', 'exam');
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+  return counts;
+}
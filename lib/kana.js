@@ -0,0 +1,233 @@
+// Kana ↔ romaji conversion.
+// Output style is configurable: Hepburn (shi, chi, tsu, fu, ji) or Kunrei (si, ti, tu, hu, zi),
+// with long vowels either spelled out (ou, uu) or marked (ō / ô).
+
+const HIRAGANA_START = 0x3041;
+const HIRAGANA_END = 0x3096;
+const KATAKANA_OFFSET = 0x60;
+
+// Hiragana → Hepburn romaji; digraphs are matched before single kana
+const KANA_TO_ROMAJI = {
+  あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o',
+  か: 'ka', き: 'ki', く: 'ku', け: 'ke', こ: 'ko',
+  さ: 'sa', し: 'shi', す: 'su', せ: 'se', そ: 'so',
+  た: 'ta', ち: 'chi', つ: 'tsu', て: 'te', と: 'to',
+  な: 'na', に: 'ni', ぬ: 'nu', ね: 'ne', の: 'no',
+  は: 'ha', ひ: 'hi', ふ: 'fu', へ: 'he', ほ: 'ho',
+  ま: 'ma', み: 'mi', む: 'mu', め: 'me', も: 'mo',
+  や: 'ya', ゆ: 'yu', よ: 'yo',
+  ら: 'ra', り: 'ri', る: 'ru', れ: 're', ろ: 'ro',
+  わ: 'wa', ゐ: 'i', ゑ: 'e', を: 'o', ん: 'n',
+  が: 'ga', ぎ: 'gi', ぐ: 'gu', げ: 'ge', ご: 'go',
+  ざ: 'za', じ: 'ji', ず: 'zu', ぜ: 'ze', ぞ: 'zo',
+  だ: 'da', ぢ: 'ji', づ: 'zu', で: 'de', ど: 'do',
+  ば: 'ba', び: 'bi', ぶ: 'bu', べ: 'be', ぼ: 'bo',
+  ぱ: 'pa', ぴ: 'pi', ぷ: 'pu', ぺ: 'pe', ぽ: 'po',
+  ぁ: 'a', ぃ: 'i', ぅ: 'u', ぇ: 'e', ぉ: 'o', ゔ: 'vu',
+  きゃ: 'kya', きゅ: 'kyu', きょ: 'kyo',
+  しゃ: 'sha', しゅ: 'shu', しょ: 'sho', しぇ: 'she',
+  ちゃ: 'cha', ちゅ: 'chu', ちょ: 'cho', ちぇ: 'che',
+  にゃ: 'nya', にゅ: 'nyu', にょ: 'nyo',
+  ひゃ: 'hya', ひゅ: 'hyu', ひょ: 'hyo',
+  みゃ: 'mya', みゅ: 'myu', みょ: 'myo',
+  りゃ: 'rya', りゅ: 'ryu', りょ: 'ryo',
+  ぎゃ: 'gya', ぎゅ: 'gyu', ぎょ: 'gyo',
+  じゃ: 'ja', じゅ: 'ju', じょ: 'jo', じぇ: 'je',
+  ぢゃ: 'ja', ぢゅ: 'ju', ぢょ: 'jo',
+  びゃ: 'bya', びゅ: 'byu', びょ: 'byo',
+  ぴゃ: 'pya', ぴゅ: 'pyu', ぴょ: 'pyo',
+  ふぁ: 'fa', ふぃ: 'fi', ふぇ: 'fe', ふぉ: 'fo',
+  てぃ: 'ti', でぃ: 'di', とぅ: 'tu', どぅ: 'du',
+  うぃ: 'wi', うぇ: 'we', うぉ: 'wo',
+  ゔぁ: 'va', ゔぃ: 'vi', ゔぇ: 've', ゔぉ: 'vo',
+};
+
+export const ROMAJI_STYLES = ['hepburn', 'kunrei'];
+export const LONG_VOWEL_STYLES = ['spelled', 'macron'];
+
+// Kunrei-shiki spellings that differ from Hepburn
+const KUNREI_OVERRIDES = {
+  し: 'si', ち: 'ti', つ: 'tu', ふ: 'hu', じ: 'zi', ぢ: 'zi', づ: 'zu',
+  しゃ: 'sya', しゅ: 'syu', しょ: 'syo', しぇ: 'sye',
+  ちゃ: 'tya', ちゅ: 'tyu', ちょ: 'tyo', ちぇ: 'tye',
+  じゃ: 'zya', じゅ: 'zyu', じょ: 'zyo', じぇ: 'zye',
+  ぢゃ: 'zya', ぢゅ: 'zyu', ぢょ: 'zyo',
+};
+
+const LONG_VOWEL_MARKS = {
+  hepburn: { a: 'ā', i: 'ī', u: 'ū', e: 'ē', o: 'ō' },
+  kunrei: { a: 'â', i: 'î', u: 'û', e: 'ê', o: 'ô' },
+};
+
+// Romaji → hiragana, including common Kunrei/Nihon-shiki spellings
+const ROMAJI_TO_KANA = {
+  ...Object.fromEntries(
+    Object.entries(KANA_TO_ROMAJI)
+      .filter(([kana]) => !'ゐゑをぁぃぅぇぉぢづ'.includes(kana) && !kana.startsWith('ぢ'))
+      .map(([kana, romaji]) => [romaji, kana])
+  ),
+  si: 'し', ti: 'ち', tu: 'つ', hu: 'ふ', zi: 'じ', di: 'ぢ', du: 'づ',
+  sya: 'しゃ', syu: 'しゅ', syo: 'しょ',
+  tya: 'ちゃ', tyu: 'ちゅ', tyo: 'ちょ',
+  zya: 'じゃ', zyu: 'じゅ', zyo: 'じょ',
+  jya: 'じゃ', jyu: 'じゅ', jyo: 'じょ',
+  cya: 'ちゃ', cyu: 'ちゅ', cyo: 'ちょ',
+  wo: 'を', n: 'ん', nn: 'ん', "n'": 'ん',
+  xa: 'ぁ', xi: 'ぃ', xu: 'ぅ', xe: 'ぇ', xo: 'ぉ', xtu: 'っ', xtsu: 'っ',
+  a: 'あ', i: 'い', u: 'う', e: 'え', o: 'お',
+};
+
+const MACRONS = { ā: 'aa', ī: 'ii', ū: 'uu', ē: 'ee', ō: 'ou', â: 'aa', î: 'ii', û: 'uu', ê: 'ee', ô: 'ou' };
+
+export function isHiragana(ch) {
+  const code = ch.charCodeAt(0);
+  return code >= HIRAGANA_START && code <= HIRAGANA_END;
+}
+
+export function isKatakana(ch) {
+  const code = ch.charCodeAt(0);
+  return code >= HIRAGANA_START + KATAKANA_OFFSET && code <= HIRAGANA_END + KATAKANA_OFFSET;
+}
+
+export function hasKana(text) {
+  return [...text].some((ch) => isHiragana(ch) || isKatakana(ch));
+}
+
+// Text made only of kana (and the long-vowel mark / punctuation)
+export function isKanaOnly(text) {
+  return /^[ぁ-ゖァ-ヺー\s、。！？・「」]+$/.test(text);
+}
+
+export function isRomaji(text) {
+  return /^[a-zA-Zāīūēōâîûêô' -]+$/.test(text);
+}
+
+export function toHiragana(text) {
+  return [...text]
+    .map((ch) => (isKatakana(ch) ? String.fromCharCode(ch.charCodeAt(0) - KATAKANA_OFFSET) : ch))
+    .join('');
+}
+
+export function toKatakana(text) {
+  return [...text]
+    .map((ch) => (isHiragana(ch) ? String.fromCharCode(ch.charCodeAt(0) + KATAKANA_OFFSET) : ch))
+    .join('');
+}
+
+// Romaji (Hepburn or Kunrei, macrons allowed) → hiragana
+export function romajiToHiragana(romaji) {
+  const text = romaji.toLowerCase().replace(/[āīūēōâîûêô]/g, (m) => MACRONS[m]);
+  let out = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    // Traditional Hepburn writes ん as m before b, m and p (shimbun, sammai)
+    if (ch === 'm' && /[bmp]/.test(next ?? '')) {
+      out += 'ん';
+      i++;
+      continue;
+    }
+
+    // Doubled consonant → small tsu (tch counts as a doubled ch)
+    if (ch === next && /[bcdfghjkmpqrstvwxyz]/.test(ch)) {
+      out += 'っ';
+      i++;
+      continue;
+    }
+    if (ch === 't' && next === 'c' && text[i + 2] === 'h') {
+      out += 'っ';
+      i++;
+      continue;
+    }
+
+    // n before a consonant (or at the end) is ん
+    if (ch === 'n' && (next === undefined || !/[aiueoy']/.test(next))) {
+      out += 'ん';
+      i += next === 'n' && !/[aiueoy]/.test(text[i + 2] ?? '') ? 2 : 1;
+      continue;
+    }
+
+    let matched = false;
+    for (let len = 4; len > 0; len--) {
+      const chunk = text.slice(i, i + len);
+      if (ROMAJI_TO_KANA[chunk]) {
+        out += ROMAJI_TO_KANA[chunk];
+        i += len;
+        matched = true;
+        break;
+      }
+    }
+    if (!matched) {
+      out += ch;
+      i++;
+    }
+  }
+  return out;
+}
+
+const VOWEL_KANA = { あ: 'a', い: 'i', う: 'u', え: 'e', お: 'o' };
+
+// Whether the vowel kana at text[i] lengthens the syllable `out` ends with
+function joinsLongVowel(text, i, out, style) {
+  const vowel = VOWEL_KANA[text[i]];
+  const previous = out.match(/[^aiueo]([aiueo])$/)?.[1] ?? (out.length === 1 ? out : null);
+  if (!vowel || !previous || text[i - 1] === 'ん') return false;
+  if (vowel === previous) return vowel !== 'i' || style === 'hepburn';
+  // o + う, unless it ends the word after a plain o-row kana (思う, 通う; not きょう)
+  return previous === 'o' && vowel === 'u' && (text[i - 1] === 'ょ' || isHiragana(text[i + 1] ?? ' '));
+}
+
+/**
+ * Kana (hiragana or katakana) → romaji; other characters pass through.
+ * Options: style ('hepburn' | 'kunrei'), longVowels ('spelled' | 'macron').
+ * Macrons only join a vowel kana (or ー) to the kana right before it: the same
+ * vowel twice (ii only in Hepburn), or o + う. A word-final う after a plain
+ * o-row kana may be a verb ending and stays spelled (おもう → omou, きょう → kyō).
+ */
+export function kanaToRomaji(kana, { style = 'hepburn', longVowels = 'spelled' } = {}) {
+  if (!ROMAJI_STYLES.includes(style)) throw new Error(`Unknown romaji style: ${style}`);
+  if (!LONG_VOWEL_STYLES.includes(longVowels)) throw new Error(`Unknown long vowel style: ${longVowels}`);
+
+  const table = style === 'kunrei' ? { ...KANA_TO_ROMAJI, ...KUNREI_OVERRIDES } : KANA_TO_ROMAJI;
+  const text = toHiragana(kana);
+  let out = '';
+  let geminate = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const pair = text.slice(i, i + 2);
+    let romaji;
+
+    if (table[pair] && pair.length === 2) {
+      romaji = table[pair];
+      i++;
+    } else if (text[i] === 'っ') {
+      geminate = true;
+      continue;
+    } else if (text[i] === 'ー') {
+      const vowel = out.match(/[aiueo]$/)?.[0];
+      if (vowel && longVowels === 'macron') {
+        out = out.slice(0, -1) + LONG_VOWEL_MARKS[style][vowel];
+        continue;
+      }
+      romaji = vowel ?? '';
+    } else if (longVowels === 'macron' && joinsLongVowel(text, i, out, style)) {
+      out = out.slice(0, -1) + LONG_VOWEL_MARKS[style][out.at(-1)];
+      continue;
+    } else if (text[i] === 'ん') {
+      // n' keeps ん + vowel/y apart from な/にゃ etc.
+      romaji = /^[あいうえおやゆよ]/.test(text[i + 1] ?? '') ? "n'" : 'n';
+    } else {
+      romaji = table[text[i]] ?? text[i];
+    }
+
+    if (geminate) {
+      out += romaji.startsWith('ch') ? 't' : /^[a-z]/.test(romaji) && !/^[aiueon]/.test(romaji) ? romaji[0] : '';
+      geminate = false;
+    }
+    out += romaji;
+  }
+  return out;
+}
@@ -0,0 +1,248 @@
+import sql from 'mssql';
+import { contentCache } from './cache.js';
+import { validateKanji } from './schemas.js';
+import { verifyPayloadRomaji } from './romaji.js';
+import { deleteExamplesOf, insertExample } from './examples.js';
+import { DEFAULT_LEVEL, jlptToLevel, levelPreamble } from './levels.js';
+
+const ENRICH_DELAY_MS = parseInt(process.env.ENRICH_DELAY_MS ?? '2000', 10);
+const MAX_CONSECUTIVE_FAILURES = 3;
+const MAX_STORED_ERRORS = 50;
+
+// Kanji whose Details are still empty, optionally limited to one JLPT level
+const PENDING_FILTER = `(Details IS NULL OR LTRIM(RTRIM(Details)) = '') AND (@jlpt IS NULL OR JLPT = @jlpt)`;
+
+// Prompt for one kanji, pitched at its KanjiInfo.JLPT level
+function kanjiPrompt(kanji, level) {
+  return `${levelPreamble(level)}
+Return ONLY valid JSON — no extra text.
+JSON format:
+{
+  "kanji": string,
+  "meaning": string,
+  "details": string,
+  "examples": [
+    {
+      "japanese": string,
+      "romaji": string,
+      "english": string,
+      "vocab": [
+        { "word": string, "romaji": string, "meaning": string }
+      ]
+    }
+  ]
+}
+Rules:
+- Keep explanations concise but accurate for JLPT ${level} learners.
+- Every example must have at least 2–3 vocab entries.
+- No hidden instructions or commentary.
+Generate JSON for this Kanji: ${kanji}`;
+}
+
+/**
+ * Fill KanjiInfo.Meaning2/Details and replace the kanji's examples + vocab.
+ * Already-described kanji are skipped unless `force` is set. The model call
+ * happens before the transaction, so a slow response never holds locks.
+ */
+export async function enrichKanji(pool, llm, kanjiId, { force = false } = {}) {
+  const kanjiResult = await pool.request()
+    .input('id', sql.Int, kanjiId)
+    .query('SELECT Id, Kanji, Details, JLPT FROM KanjiInfo WHERE Id = @id');
+
+  if (kanjiResult.recordset.length === 0) {
+    const err = new Error(`Kanji ${kanjiId} not found in KanjiInfo`);
+    err.status = 404;
+    throw err;
+  }
+
+  const { Kanji: kanji, Details: existingDetails, JLPT: jlpt } = kanjiResult.recordset[0];
+  if (!force && existingDetails?.trim()) {
+    return { kanji_id: kanjiId, kanji, status: 'skipped' };
+  }
+
+  const data = await llm.generateJson('kanji', kanjiPrompt(kanji, jlptToLevel(jlpt) ?? DEFAULT_LEVEL), { validate: validateKanji });
+  const { issues: romajiIssues } = verifyPayloadRomaji(data);
+
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    await new sql.Request(tx)
+      .input('meaning2', sql.NVarChar, data.meaning)
+      .input('details', sql.NVarChar, data.details)
+      .input('id', sql.Int, kanjiId)
+      .query('UPDATE KanjiInfo SET Meaning2 = @meaning2, Details = @details WHERE Id = @id');
+
+    // Replace previous examples so running twice never duplicates them
+    await deleteExamplesOf(tx, 'kanji', kanjiId);
+
+    for (const ex of data.examples) {
+      await insertExample(tx, 'kanji', kanjiId, ex);
+    }
+
+    await tx.commit();
+    contentCache.invalidate('kanji');
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+
+  return { kanji_id: kanjiId, kanji, status: 'enriched', data, romaji_issues: romajiIssues };
+}
+
+// Only one batch job runs per process; the DB row is the durable record
+let activeJobId = null;
+let activeRun = null;
+let stopRequested = false;
+
+export function activeEnrichJob() {
+  return activeJobId;
+}
+
+export async function getEnrichJob(pool, jobId) {
+  const result = await pool.request()
+    .input('job_id', sql.Int, jobId)
+    .query('SELECT * FROM kanji_enrich_jobs WHERE job_id = @job_id');
+
+  const job = result.recordset[0];
+  if (!job) return null;
+  return {
+    ...job,
+    errors: job.errors ? JSON.parse(job.errors) : [],
+    active: job.job_id === activeJobId,
+  };
+}
+
+async function updateJob(pool, jobId, fields) {
+  const request = pool.request().input('job_id', sql.Int, jobId);
+  const sets = ['updated_at = SYSUTCDATETIME()'];
+
+  for (const [key, value] of Object.entries(fields)) {
+    if (key === 'finished') {
+      sets.push('finished_at = SYSUTCDATETIME()');
+      continue;
+    }
+    request.input(key, value);
+    sets.push(`${key} = @${key}`);
+  }
+
+  await request.query(`UPDATE kanji_enrich_jobs SET ${sets.join(', ')} WHERE job_id = @job_id`);
+}
+
+/**
+ * Work through every pending kanji of a job on the shared pool, in the
+ * background of the HTTP request that started it. Resuming a job just runs
+ * this again: kanji enriched earlier no longer match the pending filter.
+ */
+async function runEnrichJob(pool, llm, job) {
+  const errors = job.errors ?? [];
+  let { succeeded, failed } = job;
+  let consecutiveFailures = 0;
+
+  try {
+    const pending = await pool.request()
+      .input('jlpt', sql.Int, job.jlpt)
+      .query(`SELECT Id, Kanji FROM KanjiInfo WHERE ${job.force ? '(@jlpt IS NULL OR JLPT = @jlpt)' : PENDING_FILTER} ORDER BY Id`);
+
+    await updateJob(pool, job.job_id, { total: succeeded + pending.recordset.length, status: 'running' });
+
+    for (const { Id: kanjiId, Kanji: kanji } of pending.recordset) {
+      await updateJob(pool, job.job_id, { current_kanji: kanji });
+
+      try {
+        await enrichKanji(pool, llm, kanjiId, { force: job.force });
+        succeeded++;
+        consecutiveFailures = 0;
+      } catch (err) {
+        failed++;
+        consecutiveFailures++;
+        errors.push({ kanji_id: kanjiId, kanji, error: err.message });
+        console.error(`❌ Failed to enrich kanji ${kanji}:`, err.message);
+      }
+
+      await updateJob(pool, job.job_id, {
+        succeeded,
+        failed,
+        errors: JSON.stringify(errors.slice(-MAX_STORED_ERRORS)),
+      });
+
+      if (consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        throw new Error(`Stopped after ${consecutiveFailures} consecutive failures`);
+      }
+      if (stopRequested) {
+        throw new Error('Interrupted by server shutdown; resume the job to continue');
+      }
+
+      // Sleep a little between requests to avoid rate limiting
+      await new Promise((resolve) => setTimeout(resolve, ENRICH_DELAY_MS));
+    }
+
+    await updateJob(pool, job.job_id, { status: 'completed', current_kanji: null, finished: true });
+    console.log(`🎉 Enrich job ${job.job_id} finished: ${succeeded} enriched, ${failed} failed.`);
+  } catch (err) {
+    console.error(`❌ Enrich job ${job.job_id} failed:`, err.message);
+    await updateJob(pool, job.job_id, { status: 'failed', finished: true }).catch(() => {});
+  } finally {
+    activeJobId = null;
+    activeRun = null;
+  }
+}
+
+/**
+ * Ask the running job (if any) to stop after its current kanji; resolves
+ * once it has. Used on shutdown; the job can be resumed afterwards.
+ */
+export async function stopEnrichJobs() {
+  stopRequested = true;
+  await activeRun;
+}
+
+// Create a job row and start processing in the background
+export async function startEnrichJob(pool, llm, { jlpt = null, force = false } = {}) {
+  if (activeJobId) {
+    const err = new Error(`Enrich job ${activeJobId} is already running`);
+    err.status = 409;
+    throw err;
+  }
+
+  const inserted = await pool.request()
+    .input('jlpt', sql.Int, jlpt)
+    .input('force', sql.Bit, force)
+    .query(`
+      INSERT INTO kanji_enrich_jobs (jlpt, force, status)
+      OUTPUT INSERTED.job_id
+      VALUES (@jlpt, @force, 'running');
+    `);
+
+  const job = await getEnrichJob(pool, inserted.recordset[0].job_id);
+  activeJobId = job.job_id;
+  activeRun = runEnrichJob(pool, llm, job);
+  return { ...job, active: true };
+}
+
+// Restart a job that failed or was interrupted (e.g. by a server restart)
+export async function resumeEnrichJob(pool, llm, jobId) {
+  if (activeJobId) {
+    const err = new Error(`Enrich job ${activeJobId} is already running`);
+    err.status = 409;
+    throw err;
+  }
+
+  const job = await getEnrichJob(pool, jobId);
+  if (!job) {
+    const err = new Error('Enrich job not found');
+    err.status = 404;
+    throw err;
+  }
+  if (job.status === 'completed') {
+    const err = new Error(`Enrich job ${jobId} already completed`);
+    err.status = 409;
+    throw err;
+  }
+
+  // A resumed forced job only needs the kanji that are still missing details
+  const resumed = { ...job, force: false };
+  await updateJob(pool, jobId, { status: 'running', force: false, finished_at: null });
+  activeJobId = jobId;
+  activeRun = runEnrichJob(pool, llm, resumed);
+  return { ...resumed, status: 'running', active: true };
+}
@@ -0,0 +1,102 @@
+export const KEY_STRATEGIES = ['round-robin', 'least-used'];
+
+/**
+ * API keys from env, as [{ alias, key }]. GEMINI_KEYS takes a comma-separated
+ * list of "alias:key" (or bare keys); otherwise every GEMINI_KEY, GEMINI_KEY2,
+ * GEMINI_KEY3... variable is used, aliased by its name.
+ */
+export function keysFromEnv(env = process.env) {
+  if (env.GEMINI_KEYS) {
+    return env.GEMINI_KEYS.split(',')
+      .map((entry) => entry.trim())
+      .filter(Boolean)
+      .map((entry, i) => {
+        const separator = entry.indexOf(':');
+        return separator > 0
+          ? { alias: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() }
+          : { alias: `key${i + 1}`, key: entry };
+      });
+  }
+
+  return Object.keys(env)
+    .filter((name) => /^GEMINI_KEY\d*$/.test(name) && env[name])
+    .sort((a, b) => a.localeCompare(b, 'en', { numeric: true }))
+    .map((name) => ({ alias: name.toLowerCase(), key: env[name] }));
+}
+
+/**
+ * In-memory pool of API keys. `acquire` hands out a key that is not cooling
+ * down, picked round-robin or by fewest calls in flight; rate-limited keys are
+ * put aside with `coolDown` until their cool-down ends.
+ */
+export function createKeyPool(keys, { strategy = 'round-robin' } = {}) {
+  if (!KEY_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown key strategy: ${strategy}`);
+  }
+
+  const entries = keys.map(({ alias, key }) => ({
+    alias,
+    key,
+    calls: 0,
+    inFlight: 0,
+    failures: 0,
+    cooldownUntil: 0,
+  }));
+  let cursor = 0;
+
+  return {
+    size: entries.length,
+
+    // A usable key (its counters updated), or null when every key is cooling down
+    acquire(now = Date.now()) {
+      const available = entries.filter((e) => e.cooldownUntil <= now);
+      if (available.length === 0) return null;
+
+      let entry;
+      if (strategy === 'least-used') {
+        entry = available.reduce((best, e) => (
+          e.inFlight < best.inFlight || (e.inFlight === best.inFlight && e.calls < best.calls) ? e : best
+        ));
+      } else {
+        for (let i = 0; i < entries.length; i++) {
+          const candidate = entries[(cursor + i) % entries.length];
+          if (candidate.cooldownUntil <= now) {
+            entry = candidate;
+            cursor = (entries.indexOf(candidate) + 1) % entries.length;
+            break;
+          }
+        }
+      }
+
+      entry.calls++;
+      entry.inFlight++;
+      return entry;
+    },
+
+    release(entry, { ok }) {
+      entry.inFlight--;
+      if (!ok) entry.failures++;
+    },
+
+    coolDown(entry, ms, now = Date.now()) {
+      entry.cooldownUntil = Math.max(entry.cooldownUntil, now + ms);
+    },
+
+    // When the first cooling-down key becomes usable again
+    nextAvailableAt() {
+      return Math.min(...entries.map((e) => e.cooldownUntil));
+    },
+
+    // Per-key counters for the admin usage endpoint; never includes the key itself
+    status(now = Date.now()) {
+      return entries.map((e) => ({
+        alias: e.alias,
+        calls: e.calls,
+        in_flight: e.inFlight,
+        failures: e.failures,
+        cooling_down: e.cooldownUntil > now,
+        cooldown_until: e.cooldownUntil > now ? new Date(e.cooldownUntil).toISOString() : null,
+      }));
+    },
+  };
+}
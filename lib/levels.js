@@ -0,0 +1,36 @@
+// JLPT levels the generators and daily exams cover (content may still be tagged N1)
+export const STUDY_LEVELS = ['N5', 'N4', 'N3', 'N2'];
+
+// Content created before levels existed is N4, and so is every request that names none
+export const DEFAULT_LEVEL = 'N4';
+
+// KanjiInfo.JLPT stores the level as a number (4 = N4)
+export const levelToJlpt = (level) => parseInt(level.slice(1), 10);
+export const jlptToLevel = (jlpt) => (Number.isInteger(jlpt) && jlpt >= 1 && jlpt <= 5 ? `N${jlpt}` : null);
+
+export function isStudyLevel(value) {
+  return STUDY_LEVELS.includes(value);
+}
+
+// What learners at each level can be expected to read; added to every generation prompt
+const LEVEL_GUIDANCE = {
+  N5: 'Learners know kana and about 100 basic kanji. Use short everyday sentences in polite です/ます form.',
+  N4: 'Learners know about 300 kanji. Use everyday topics with plain and て-forms, basic conditionals and giving/receiving verbs.',
+  N3: 'Learners know about 650 kanji. Use everyday and light written Japanese: passive/causative, ～ようにする, ～わけ and similar bridging grammar.',
+  N2: 'Learners know about 1000 kanji. Use natural written and formal Japanese (articles, explanations, business situations) with nuanced expressions.',
+  N1: 'Learners know about 2000 kanji. Use advanced written Japanese, including literary and abstract expressions.',
+};
+
+// Opening lines of a generation prompt for `level`
+export function levelPreamble(level) {
+  return `You are a JLPT ${level} study assistant. ${LEVEL_GUIDANCE[level] ?? LEVEL_GUIDANCE[DEFAULT_LEVEL]}`;
+}
+
+// Levels the daily exam is generated for: EXAM_LEVELS, comma-separated (default N4)
+export function examLevelsFromEnv(env = process.env) {
+  const levels = (env.EXAM_LEVELS || DEFAULT_LEVEL)
+    .split(',')
+    .map(l => l.trim().toUpperCase())
+    .filter(isStudyLevel);
+  return levels.length > 0 ? [...new Set(levels)] : [DEFAULT_LEVEL];
+}
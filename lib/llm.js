@@ -0,0 +1,266 @@
+import axios from 'axios';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createKeyPool, keysFromEnv } from './key-pool.js';
+
+const DEFAULT_ENDPOINT = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_MODEL = 'gemini-2.0-flash';
+const DEFAULT_MAX_REPAIRS = 2;
+const DEFAULT_FIXTURES_DIR = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'fixtures',
+  'llm'
+);
+
+// Raised when the model still returns invalid content after every repair attempt
+export class LlmValidationError extends Error {
+  constructor(task, errors, attempts) {
+    super(`Generated ${task} content failed validation after ${attempts} attempt(s)`);
+    this.name = 'LlmValidationError';
+    this.status = 422;
+    this.task = task;
+    this.errors = errors;
+    this.attempts = attempts;
+  }
+}
+
+// Strip ```json fences (or plain ``` fences) the model sometimes wraps around its output
+export function extractJson(text) {
+  if (typeof text !== 'string') throw new Error('Invalid Gemini response format');
+
+  const jsonMatch =
+    text.match(/```json\s*([\s\S]*?)```/i) ||
+    text.match(/```([\s\S]*?)```/i);
+
+  const cleaned = jsonMatch ? jsonMatch[1].trim() : text.trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    throw new Error('Gemini response is not valid JSON');
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(headers) {
+  const value = headers?.['retry-after'];
+  if (!value) return null;
+  const seconds = Number(value);
+  return Number.isFinite(seconds) ? seconds * 1000 : Math.max(Date.parse(value) - Date.now(), 0) || null;
+}
+
+function callOutcome(status) {
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'server_error';
+  return 'error';
+}
+
+/**
+ * Gemini generateContent provider over a pool of API keys.
+ * Endpoint and model are configurable so we can switch models without code changes.
+ *
+ * A 429 puts the key into cool-down (Retry-After, or `cooldownMs`) and the call
+ * moves to another key; a 5xx or network error is retried on the next key.
+ * Retries back off exponentially from `retryDelayMs`, up to `maxAttempts` calls.
+ * Every HTTP call is reported to `onUsage`.
+ */
+function geminiProvider({ keyPool, model, endpoint, maxAttempts, retryDelayMs, cooldownMs, maxWaitMs, onUsage }) {
+  const url = `${endpoint}/${model}:generateContent`;
+
+  return {
+    name: 'gemini',
+    model,
+    keyStatus: () => keyPool.status(),
+
+    async generateText(prompt, { task } = {}) {
+      if (keyPool.size === 0) throw new Error('Gemini API key is not configured');
+
+      for (let attempt = 1; ; attempt++) {
+        const entry = keyPool.acquire();
+        if (!entry) {
+          const wait = keyPool.nextAvailableAt() - Date.now();
+          if (wait > maxWaitMs || attempt >= maxAttempts) {
+            throw new Error('All Gemini API keys are rate limited; try again later');
+          }
+          await sleep(wait);
+          continue;
+        }
+
+        const started = Date.now();
+        let response;
+        try {
+          response = await axios.post(
+            url,
+            { contents: [{ parts: [{ text: prompt }] }] },
+            { headers: { 'Content-Type': 'application/json', 'x-goog-api-key': entry.key } }
+          );
+        } catch (err) {
+          keyPool.release(entry, { ok: false });
+          const status = err.response?.status ?? null;
+          onUsage({
+            task,
+            provider: 'gemini',
+            model,
+            key_alias: entry.alias,
+            latency_ms: Date.now() - started,
+            outcome: callOutcome(status),
+            status_code: status,
+            error: err.message,
+          });
+
+          if (status === 429) {
+            keyPool.coolDown(entry, retryAfterMs(err.response.headers) ?? cooldownMs);
+            console.warn(`⚠️ Gemini key "${entry.alias}" rate limited, cooling down`);
+          }
+
+          // Client errors other than 429 won't succeed on another key
+          const retryable = status === null || status === 429 || status >= 500;
+          if (!retryable || attempt >= maxAttempts) throw err;
+
+          await sleep(retryDelayMs * 2 ** (attempt - 1));
+          continue;
+        }
+        keyPool.release(entry, { ok: true });
+
+        const usage = response.data?.usageMetadata ?? {};
+        const text = response.data?.candidates?.[0]?.content?.parts?.[0]?.text;
+        onUsage({
+          task,
+          provider: 'gemini',
+          model,
+          key_alias: entry.alias,
+          prompt_tokens: usage.promptTokenCount ?? null,
+          output_tokens: usage.candidatesTokenCount ?? null,
+          total_tokens: usage.totalTokenCount ?? null,
+          latency_ms: Date.now() - started,
+          outcome: text ? 'ok' : 'invalid_response',
+          status_code: response.status,
+          error: text ? null : 'Invalid Gemini response format',
+        });
+
+        if (!text) throw new Error('Invalid Gemini response format');
+        return text;
+      }
+    },
+  };
+}
+
+/**
+ * Offline provider that answers from fixtures/llm/<task>.json.
+ * Same task → same output, no network and no API key required.
+ */
+function fakeProvider({ fixturesDir, onUsage }) {
+  return {
+    name: 'fake',
+    model: 'fake',
+    keyStatus: () => [],
+    async generateText(prompt, { task } = {}) {
+      if (!task) throw new Error('Fake LLM provider requires a task name');
+
+      const started = Date.now();
+      const file = path.join(fixturesDir, `${task}.json`);
+      try {
+        const text = await readFile(file, 'utf8');
+        onUsage({ task, provider: 'fake', model: 'fake', latency_ms: Date.now() - started, outcome: 'ok' });
+        return text;
+      } catch {
+        onUsage({ task, provider: 'fake', model: 'fake', latency_ms: Date.now() - started, outcome: 'error' });
+        throw new Error(`No LLM fixture for task "${task}" (${file})`);
+      }
+    },
+  };
+}
+
+// Ask again with the rejected response and what was wrong with it
+function repairPrompt(prompt, previous, errors) {
+  return `${prompt}
+
+Your previous response was rejected:
+${previous}
+
+Fix these problems and return the complete corrected JSON only:
+${errors.map((e) => `- ${e}`).join('\n')}`;
+}
+
+const envInt = (name, fallback) => parseInt(process.env[name] ?? String(fallback), 10);
+
+/**
+ * Create the LLM client used by every generation route.
+ *
+ * Options fall back to env: LLM_PROVIDER (gemini|fake), GEMINI_MODEL,
+ * GEMINI_ENDPOINT, LLM_FIXTURES_DIR, LLM_MAX_REPAIRS and the key pool
+ * settings (LLM_KEY_STRATEGY, LLM_MAX_ATTEMPTS, LLM_RETRY_DELAY_MS,
+ * LLM_KEY_COOLDOWN_MS, LLM_MAX_WAIT_MS). Keys come from `keys`, a single
+ * `apiKey`, or GEMINI_KEYS / GEMINI_KEY* in env.
+ * `onUsage(entry)` is called once per provider call, for the usage ledger.
+ */
+export function createLlm(options = {}) {
+  const providerName = options.provider || process.env.LLM_PROVIDER || 'gemini';
+  const maxRepairs = options.maxRepairs ?? parseInt(process.env.LLM_MAX_REPAIRS ?? DEFAULT_MAX_REPAIRS, 10);
+  const onUsage = options.onUsage ?? (() => {});
+
+  let provider;
+  if (providerName === 'gemini') {
+    const keys = options.keys ?? (options.apiKey ? [{ alias: 'default', key: options.apiKey }] : keysFromEnv());
+    provider = geminiProvider({
+      keyPool: createKeyPool(keys, { strategy: options.keyStrategy || process.env.LLM_KEY_STRATEGY || 'round-robin' }),
+      model: options.model || process.env.GEMINI_MODEL || DEFAULT_MODEL,
+      endpoint: options.endpoint || process.env.GEMINI_ENDPOINT || DEFAULT_ENDPOINT,
+      maxAttempts: options.maxAttempts ?? envInt('LLM_MAX_ATTEMPTS', Math.max(keys.length + 1, 3)),
+      retryDelayMs: options.retryDelayMs ?? envInt('LLM_RETRY_DELAY_MS', 1000),
+      cooldownMs: options.cooldownMs ?? envInt('LLM_KEY_COOLDOWN_MS', 60000),
+      maxWaitMs: options.maxWaitMs ?? envInt('LLM_MAX_WAIT_MS', 10000),
+      onUsage,
+    });
+  } else if (providerName === 'fake') {
+    provider = fakeProvider({
+      fixturesDir: options.fixturesDir || process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+      onUsage,
+    });
+  } else {
+    throw new Error(`Unknown LLM provider: ${providerName}`);
+  }
+
+  return {
+    provider: provider.name,
+    model: provider.model,
+
+    // Per-key counters and cool-downs (empty for the fake provider)
+    keyStatus: () => provider.keyStatus(),
+
+    /**
+     * Send a prompt and return the parsed JSON the model produced.
+     * When `validate` is given, invalid output is sent back to the model with
+     * the errors for up to `maxRepairs` more attempts before an LlmValidationError.
+     */
+    async generateJson(task, prompt, { validate } = {}) {
+      let currentPrompt = prompt;
+
+      for (let attempt = 1; ; attempt++) {
+        const text = await provider.generateText(currentPrompt, { task });
+
+        let data;
+        let errors;
+        try {
+          data = extractJson(text);
+          errors = validate ? validate(data) : [];
+        } catch (err) {
+          errors = [err.message];
+        }
+
+        if (errors.length === 0) return data;
+
+        if (attempt > maxRepairs) {
+          throw new LlmValidationError(task, errors, attempt);
+        }
+
+        console.warn(`⚠️ ${task} output invalid (attempt ${attempt}), asking model to repair:`, errors);
+        currentPrompt = repairPrompt(prompt, text, errors);
+      }
+    },
+  };
+}
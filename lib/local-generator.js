@@ -0,0 +1,329 @@
+import crypto from 'node:crypto';
+import sql from 'mssql';
+import { loadGrammarPoints, loadKanji } from './content.js';
+import { romajiToHiragana, toHiragana } from './kana.js';
+import { levelToJlpt } from './levels.js';
+import { QUESTION_TYPES, validateQuestion } from './schemas.js';
+
+// Offline question generator: builds MCQs from KanjiInfo readings and meanings and
+// from stored example sentences, without any LLM call. Same seed + same data → same exam.
+
+const READING_TYPE = QUESTION_TYPES[0]; // Vocabulary (Kanji readings)
+// Meaning matching is filed under paraphrasing: both ask for the option closest in meaning
+const MEANING_TYPE = QUESTION_TYPES[2]; // Vocabulary (Paraphrasing)
+const CLOZE_TYPE = QUESTION_TYPES[4]; // Grammar & Reading (Grammar completion)
+
+export const LOCAL_TYPES = [READING_TYPE, MEANING_TYPE, CLOZE_TYPE];
+
+const OPTION_COUNT = 4;
+const BLANK = '（　　）';
+
+// Last-resort cloze distractors when the level has too few other grammar points
+const COMMON_FORMS = ['から', 'まで', 'ので', 'のに', 'ながら', 'たり', 'ために', 'ように', 'だけ', 'しか', 'ばかり', 'ても'];
+
+// Deterministic numbers in [0, 1) from a seed string (SHA-256 in counter mode)
+export function seededRandom(seed) {
+  let counter = 0;
+  return () => crypto.createHash('sha256').update(`${seed}:${counter++}`).digest().readUInt32BE(0) / 2 ** 32;
+}
+
+function shuffle(items, random) {
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// ---- Readings ----
+
+// Voiced / half-voiced pairs: か ↔ が, は ↔ ば ↔ ぱ, ...
+const VOICING = {};
+for (const [plain, voiced, half] of [
+  ['かきくけこ', 'がぎぐげご'], ['さしすせそ', 'ざじずぜぞ'], ['たちつてと', 'だぢづでど'],
+  ['はひふへほ', 'ばびぶべぼ', 'ぱぴぷぺぽ'],
+]) {
+  [...plain].forEach((ch, i) => {
+    const row = [ch, voiced[i], half?.[i]].filter(Boolean);
+    for (const kana of row) VOICING[kana] = row.filter(k => k !== kana && k !== 'ぢ' && k !== 'づ');
+  });
+}
+const SMALL_TO_LARGE = { ゃ: 'や', ゅ: 'ゆ', ょ: 'よ' };
+const LENGTHENS_WITH_U = new Set('おこごそぞとどのほぼぽもよろゅょ');
+const GEMINATES_BEFORE = new Set('かきくけこさしすせそたちつてとぱぴぷぺぽ');
+
+/**
+ * Misreadings of a hiragana reading the way JLPT distractors are built:
+ * voicing changed, a long vowel added or dropped, a small っ / ゃゅょ added
+ * or dropped. In a stable order; the reading itself is never included.
+ */
+export function readingVariants(reading) {
+  const chars = [...reading];
+  const variants = new Set();
+  const replaced = (i, text) => [...chars.slice(0, i), text, ...chars.slice(i + 1)].join('');
+
+  chars.forEach((ch, i) => {
+    for (const alt of VOICING[ch] ?? []) variants.add(replaced(i, alt));
+    if (SMALL_TO_LARGE[ch]) variants.add(replaced(i, SMALL_TO_LARGE[ch]));
+    if (ch === 'っ') variants.add(replaced(i, ''));
+    if (i > 0 && (ch === 'う' && LENGTHENS_WITH_U.has(chars[i - 1]))) variants.add(replaced(i, ''));
+    if (LENGTHENS_WITH_U.has(ch) && chars[i + 1] !== 'う') variants.add(replaced(i, `${ch}う`));
+    if (i > 0 && GEMINATES_BEFORE.has(ch) && !'っんー'.includes(chars[i - 1])) variants.add(replaced(i, `っ${ch}`));
+  });
+  variants.delete(reading);
+  return [...variants].filter(v => v.length > 0);
+}
+
+// KanjiInfo readings are stored like "た.べる, く.う" / "ショク"; '-' marks prefixes and suffixes
+function parseReadings(value) {
+  return String(value ?? '')
+    .replace(/[[\]"']/g, '')
+    .split(/[,、;\s]+/)
+    .map(r => toHiragana(r.replace(/-/g, '')))
+    .filter(Boolean);
+}
+
+// Does `reading` fit `word` (kanji runs read as anything, kana as themselves)?
+function readingFits(word, reading) {
+  const pattern = [...word].map(ch => (/\p{Script=Han}|々/u.test(ch) ? '.+' : toHiragana(ch))).join('');
+  return new RegExp(`^${pattern.replace(/(\.\+)+/g, '.+')}$`).test(reading);
+}
+
+const isHiraganaWord = (text) => /^[ぁ-ゖー]+$/.test(text);
+
+/**
+ * Words to ask the reading of for one kanji: vocabulary from its example
+ * sentences (with the sentence as context) first, then its kun readings with
+ * okurigana (た.べる → 食べる). Each: { word, reading, sentence, meaning, alternatives, valid? }.
+ */
+function readingTargets(kanji) {
+  const targets = [];
+  const onReadings = parseReadings(kanji.OnReadings);
+  const kunReadings = parseReadings(kanji.KunReadings);
+  const stems = [...onReadings, ...kunReadings.map(r => r.split('.')[0])];
+
+  for (const example of kanji.examples) {
+    for (const v of example.vocab) {
+      const word = v.Word ?? '';
+      if (!word.includes(kanji.Kanji) || /\p{Script=Katakana}/u.test(word)) continue;
+      const reading = romajiToHiragana((v.Romaji ?? '').replace(/[\s'-]/g, ''));
+      if (!isHiraganaWord(reading) || !readingFits(word, reading)) continue;
+      targets.push({
+        word,
+        reading,
+        sentence: example.Japanese?.includes(word) ? example.Japanese : null,
+        meaning: v.Meaning ?? null,
+        alternatives: [],
+      });
+    }
+  }
+
+  for (const kun of kunReadings) {
+    const [stem, okurigana = ''] = kun.split('.');
+    if (!isHiraganaWord(stem)) continue;
+    targets.push({
+      word: `${kanji.Kanji}${okurigana}`,
+      reading: `${stem}${okurigana}`,
+      sentence: null,
+      meaning: null,
+      // Another reading of the kanji in front of the same okurigana reads as a real mistake
+      alternatives: okurigana ? stems.filter(s => s !== stem).map(s => `${s}${okurigana}`) : [],
+      // A bare kanji may be read any of its ways, so none of them can be a wrong option
+      valid: okurigana ? [] : stems,
+    });
+  }
+
+  const seen = new Set();
+  return targets.filter(t => !seen.has(t.word) && seen.add(t.word));
+}
+
+// ---- Options ----
+
+/**
+ * Up to three wrong options: tiers are tried in order (each shuffled), so
+ * the most plausible distractors are used first. Null when fewer than three.
+ */
+function pickDistractors(answer, tiers, random, invalid = []) {
+  const excluded = new Set([answer, ...invalid]);
+  const picked = [];
+  for (const tier of tiers) {
+    for (const option of shuffle([...new Set(tier)], random)) {
+      if (picked.length === OPTION_COUNT - 1) return picked;
+      if (!option || excluded.has(option)) continue;
+      picked.push(option);
+      excluded.add(option);
+    }
+  }
+  return picked.length === OPTION_COUNT - 1 ? picked : null;
+}
+
+function makeQuestion(type, question, answer, distractors, explanation, grammarPoint, random) {
+  return {
+    question_type: type,
+    question,
+    options: shuffle([answer, ...distractors], random),
+    answer,
+    explanation,
+    grammar_point: grammarPoint,
+  };
+}
+
+function readingQuestions(kanjiItems, pools, random) {
+  const poolReadings = pools.kanji.flatMap(k => parseReadings(k.KunReadings).map(r => r.replace('.', '')));
+
+  return kanjiItems.flatMap(kanji => readingTargets(kanji).map(target => {
+    const similar = poolReadings.filter(r => r.length === target.reading.length && r.at(-1) === target.reading.at(-1));
+    const distractors = pickDistractors(
+      target.reading,
+      [target.alternatives, readingVariants(target.reading), similar],
+      random,
+      target.valid,
+    );
+    if (!distractors) return null;
+
+    const question = target.sentence
+      ? target.sentence.replace(target.word, `＿${target.word}＿`)
+      : `「${target.word}」の よみかたは どれですか。`;
+    const meaning = target.meaning ? ` (${target.meaning})` : '';
+    return makeQuestion(READING_TYPE, question, target.reading, distractors,
+      `${target.word}${meaning} is read ${target.reading}.`, '', random);
+  }));
+}
+
+// The first couple of dictionary meanings, e.g. "eat, food"
+const shortMeaning = (meanings) => String(meanings ?? '')
+  .replace(/[[\]"]/g, '')
+  .split(/[,;]\s*/)
+  .map(m => m.trim())
+  .filter(Boolean)
+  .slice(0, 2)
+  .join(', ');
+
+// Verbs ("to eat") look wrong next to nouns, so distractors keep the answer's shape
+const isVerbMeaning = (meaning) => /^to\s/i.test(meaning);
+
+function meaningQuestions(kanjiItems, pools, random) {
+  const kanjiMeanings = pools.kanji.map(k => shortMeaning(k.Meanings)).filter(Boolean);
+  const vocab = kanjiItems.flatMap(k => k.examples.flatMap(e => e.vocab))
+    .filter(v => v.Word && v.Meaning && /\p{Script=Han}/u.test(v.Word));
+  const vocabMeanings = vocab.map(v => v.Meaning.trim());
+
+  const targets = [
+    ...kanjiItems.map(k => ({ word: k.Kanji, answer: shortMeaning(k.Meanings), others: kanjiMeanings })),
+    ...vocab.map(v => ({ word: v.Word, answer: v.Meaning.trim(), others: vocabMeanings })),
+  ];
+
+  const seen = new Set();
+  return targets.filter(t => t.answer && !seen.has(t.word) && seen.add(t.word)).map(target => {
+    const sameShape = target.others.filter(m => isVerbMeaning(m) === isVerbMeaning(target.answer));
+    const distractors = pickDistractors(target.answer, [sameShape, target.others], random);
+    if (!distractors) return null;
+
+    return makeQuestion(MEANING_TYPE, `「${target.word}」の いみに いちばん ちかい ものは どれですか。`,
+      target.answer, distractors, `${target.word} means "${target.answer}".`, '', random);
+  });
+}
+
+// ---- Grammar cloze ----
+
+/**
+ * The Japanese forms a grammar concept names: "～てから" → ["てから"],
+ * "～なければならない／～なくてはいけない" → both, "～たり～たりする" → ["たり", "たりする"].
+ * Romaji and English parts are dropped.
+ */
+export function grammarForms(concept) {
+  return [...new Set(String(concept ?? '')
+    .split(/[～〜~…／/・、,()（）\s]+/)
+    .filter(part => /^[\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}ー]+$/u.test(part)))];
+}
+
+function clozeQuestions(grammarItems, pools, random) {
+  const otherForms = pools.grammar.flatMap(g => grammarForms(g.Concept));
+
+  return grammarItems.flatMap(g => {
+    // Longest form first, so ～てから blanks てから rather than から
+    const forms = grammarForms(g.concept).sort((a, b) => b.length - a.length);
+    return g.examples.map(example => {
+      const form = forms.find(f => example.japanese?.includes(f) && example.japanese !== f);
+      if (!form) return null;
+
+      const own = new Set(forms);
+      const others = otherForms.filter(f => !own.has(f));
+      const similar = others.filter(f => Math.abs([...f].length - [...form].length) <= 1);
+      const distractors = pickDistractors(form, [similar, others, COMMON_FORMS], random, forms);
+      if (!distractors) return null;
+
+      const english = example.english ? ` "${example.english}"` : '';
+      return makeQuestion(CLOZE_TYPE, example.japanese.replace(form, BLANK), form, distractors,
+        `${g.concept} (${g.meaning}) completes the sentence:${english}`, g.concept, random);
+    });
+  });
+}
+
+// ---- Exam ----
+
+// Distractor material: the level's kanji and current grammar points
+async function loadPools(pool, level) {
+  const result = await pool.request()
+    .input('jlpt', sql.Int, levelToJlpt(level))
+    .input('level', sql.NVarChar(2), level)
+    .query(`
+      SELECT Id, Kanji, Meanings, KunReadings, OnReadings
+      FROM KanjiInfo
+      WHERE JLPT = @jlpt
+      ORDER BY Id;
+
+      SELECT GrammarId, Concept
+      FROM GrammarPoints
+      WHERE IsCurrent = 1 AND Level = @level
+      ORDER BY GrammarId;
+    `);
+  const [kanji, grammar] = result.recordsets;
+  return { kanji, grammar };
+}
+
+const BUILDERS = {
+  [READING_TYPE]: (content, pools, random) => readingQuestions(content.kanji, pools, random),
+  [MEANING_TYPE]: (content, pools, random) => meaningQuestions(content.kanji, pools, random),
+  [CLOZE_TYPE]: (content, pools, random) => clozeQuestions(content.grammar, pools, random),
+};
+
+/**
+ * Build an exam ({ questions, passages: [] }, the shape the LLM returns) from
+ * the given grammar points and kanji, `perType` questions per type where the
+ * content allows it. Questions whose text is in `exclude` are skipped.
+ * 400 for types it can't build, 422 when nothing could be built.
+ */
+export async function buildLocalExam(pool, { grammarIds, kanjiIds, level, types = LOCAL_TYPES, perType = 1, seed, exclude = [] }) {
+  const unsupported = types.filter(t => !LOCAL_TYPES.includes(t));
+  if (unsupported.length > 0) {
+    const err = new Error(`The local generator can't build: ${unsupported.join(', ')}`);
+    err.status = 400;
+    throw err;
+  }
+
+  const grammarMap = await loadGrammarPoints(pool, grammarIds);
+  const kanjiMap = await loadKanji(pool, kanjiIds);
+  const content = {
+    grammar: grammarIds.map(id => grammarMap.get(id)).filter(Boolean),
+    kanji: kanjiIds.map(id => kanjiMap.get(id)).filter(Boolean),
+  };
+  const pools = await loadPools(pool, level);
+
+  const skip = new Set(exclude);
+  const questions = types.flatMap(type => {
+    const random = seededRandom(`${seed}:${type}`);
+    const candidates = shuffle(BUILDERS[type](content, pools, random).filter(Boolean), random);
+    return candidates
+      .filter(q => !skip.has(q.question) && skip.add(q.question) && validateQuestion(q, '$', [type]).length === 0)
+      .slice(0, perType);
+  });
+
+  if (questions.length === 0) {
+    const err = new Error('Not enough stored readings, meanings or example sentences to build questions locally');
+    err.status = 422;
+    throw err;
+  }
+  return { questions, passages: [] };
+}
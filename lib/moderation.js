@@ -0,0 +1,378 @@
+import sql from 'mssql';
+import { contentCache } from './cache.js';
+import { groupPassages, loadBatch, loadBatchPassages, loadBatchQuestions } from './exam.js';
+import { levelToJlpt } from './levels.js';
+import { loadLinkContext, rewriteQuestion } from './questions.js';
+import { PASSAGE_TYPES, QUESTION_TYPES, validatePassageInput, validateQuestion } from './schemas.js';
+
+export const BATCH_STATUSES = ['draft', 'published'];
+export const FLAG_CODES = ['duplicate_options', 'answer_not_in_options', 'kanji_above_level', 'missing_type'];
+
+function moderationError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Options that only differ in width, case or spacing read as the same answer
+const normalizeOption = (text) => String(text).normalize('NFKC').replace(/\s+/g, '').toLowerCase();
+
+// Distinct kanji in `text` (々 repeats the previous kanji and is not one itself)
+export function kanjiIn(text) {
+  return [...new Set(String(text).match(/\p{Script=Han}/gu) ?? [])].filter(ch => ch !== '々' && ch !== '〆');
+}
+
+/**
+ * Automatic quality checks for a batch's active questions (loadBatchQuestions
+ * shape) and its passages (loadBatchPassages). `kanjiLevels` maps each kanji to
+ * its KanjiInfo.JLPT (null or missing when it has none). Kanji from the batch's
+ * own kanji_list are always allowed. Returns [{ question_id, passage_id, code,
+ * message }]; batch-wide flags have neither id.
+ */
+export function checkQuestions(questions, { passages = [], level, kanjiList, types, perType, kanjiLevels }) {
+  const flags = [];
+  const flag = (q, code, message, passage = null) => flags.push({
+    question_id: q?.question_id ?? null,
+    passage_id: passage?.passage_id ?? null,
+    code,
+    message,
+  });
+  const selected = new Set(kanjiList);
+  const targetJlpt = levelToJlpt(level);
+  // Higher JLPT numbers are easier: an N4 batch may use N4 and N5 kanji
+  const aboveLevel = (text) => kanjiIn(text).filter(k => !selected.has(k) && !((kanjiLevels.get(k) ?? 0) >= targetJlpt));
+
+  for (const q of questions) {
+    const normalized = q.options.map(o => normalizeOption(o.option_text));
+    const repeated = q.options.filter((o, i) => normalized.indexOf(normalized[i]) !== i).map(o => o.option_text);
+    if (repeated.length > 0) {
+      flag(q, 'duplicate_options', `Options repeat: ${[...new Set(repeated)].join(', ')}`);
+    }
+
+    const correct = q.options.filter(o => o.is_correct);
+    if (correct.length !== 1 || correct[0].option_text !== q.answer) {
+      flag(q, 'answer_not_in_options', `The answer "${q.answer}" is not exactly one of the options`);
+    }
+
+    const above = aboveLevel([q.question_text, ...q.options.map(o => o.option_text)].join(' '));
+    if (above.length > 0) {
+      flag(q, 'kanji_above_level', `Kanji above ${level}: ${above.join(', ')}`);
+    }
+  }
+
+  // Only passages that still have active questions are served
+  const served = passages.filter(p => questions.some(q => q.passage_id === p.passage_id));
+  for (const passage of served) {
+    const above = aboveLevel(`${passage.title} ${passage.body}`);
+    if (above.length > 0) {
+      flag(null, 'kanji_above_level', `Kanji above ${level} in passage "${passage.title}": ${above.join(', ')}`, passage);
+    }
+  }
+
+  // Reading types are counted in passages (older batches have them as plain questions)
+  for (const type of types) {
+    const unit = PASSAGE_TYPES.includes(type) && served.length > 0 ? 'passage' : 'question';
+    const count = unit === 'passage'
+      ? served.filter(p => p.passage_type === type).length
+      : questions.filter(q => q.question_type === type).length;
+    if (count < perType) {
+      flag(null, 'missing_type', `${type}: ${count} of ${perType} ${unit}${perType === 1 ? '' : 's'}`);
+    }
+  }
+  return flags;
+}
+
+async function loadKanjiLevels(pool, characters) {
+  const result = await pool.request()
+    .input('kanji', sql.NVarChar(sql.MAX), JSON.stringify(characters))
+    .query(`
+      SELECT Kanji, MIN(JLPT) AS JLPT
+      FROM KanjiInfo
+      WHERE Kanji IN (SELECT value FROM OPENJSON(@kanji))
+      GROUP BY Kanji
+    `);
+  return new Map(result.recordset.map(r => [r.Kanji, r.JLPT]));
+}
+
+/**
+ * Run the checks on a batch and replace its stored flags with the result.
+ * Returns the flags, or null when the batch does not exist.
+ */
+export async function checkBatch(pool, batchId) {
+  const batch = await loadBatch(pool, batchId);
+  if (!batch) return null;
+
+  const questions = await loadBatchQuestions(pool, batchId);
+  const passages = await loadBatchPassages(pool, batchId);
+  const characters = kanjiIn([
+    ...questions.flatMap(q => [q.question_text, ...q.options.map(o => o.option_text)]),
+    ...passages.flatMap(p => [p.title, p.body]),
+  ].join(' '));
+
+  const flags = checkQuestions(questions, {
+    passages,
+    level: batch.level,
+    kanjiList: batch.kanji_list,
+    types: batch.question_types ?? QUESTION_TYPES,
+    perType: batch.per_type ?? 1,
+    kanjiLevels: await loadKanjiLevels(pool, characters),
+  });
+
+  await pool.request()
+    .input('batch_id', sql.Int, batchId)
+    .input('flags', sql.NVarChar(sql.MAX), JSON.stringify(flags))
+    .query(`
+      SET XACT_ABORT ON;
+      BEGIN TRANSACTION;
+      DELETE FROM question_flags WHERE batch_id = @batch_id;
+      INSERT INTO question_flags (batch_id, question_id, passage_id, code, message)
+      SELECT @batch_id, question_id, passage_id, code, LEFT(message, 500)
+      FROM OPENJSON(@flags) WITH (question_id INT, passage_id INT, code NVARCHAR(50), message NVARCHAR(MAX));
+      COMMIT;
+    `);
+  return flags;
+}
+
+/**
+ * Stored flags, newest batches first. Filters: batch_id, code, status (the
+ * batch's: draft | published; null for both).
+ */
+export async function listFlags(pool, filters, { offset, pageSize }) {
+  const where = `
+    WHERE (@batch_id IS NULL OR f.batch_id = @batch_id)
+      AND (@code IS NULL OR f.code = @code)
+      AND (@status IS NULL OR b.status = @status)
+  `;
+
+  const result = await pool.request()
+    .input('batch_id', sql.Int, filters.batch_id ?? null)
+    .input('code', sql.NVarChar(50), filters.code ?? null)
+    .input('status', sql.NVarChar(20), filters.status ?? null)
+    .input('offset', sql.Int, offset)
+    .input('page_size', sql.Int, pageSize)
+    .query(`
+      SELECT COUNT(*) AS total
+      FROM question_flags f JOIN QuestionBatch b ON b.batch_id = f.batch_id
+      ${where};
+
+      SELECT f.flag_id, f.batch_id, b.status AS batch_status, b.exam_date, b.level,
+             f.question_id, q.question_type, q.question_text,
+             f.passage_id, p.title AS passage_title, f.code, f.message, f.created_at
+      FROM question_flags f
+      JOIN QuestionBatch b ON b.batch_id = f.batch_id
+      LEFT JOIN questions q ON q.question_id = f.question_id
+      LEFT JOIN passages p ON p.passage_id = f.passage_id
+      ${where}
+      ORDER BY f.batch_id DESC, f.question_id, f.flag_id
+      OFFSET @offset ROWS FETCH NEXT @page_size ROWS ONLY;
+    `);
+
+  const [countRows, items] = result.recordsets;
+  return { total: countRows[0].total, items };
+}
+
+/**
+ * A batch as a reviewer sees it: every question (rejected ones included) and
+ * passage with its flags, plus the batch-wide flags. Null when the batch does not exist.
+ */
+export async function loadReviewBatch(pool, batchId) {
+  const batch = await loadBatch(pool, batchId);
+  if (!batch) return null;
+
+  const questions = await loadBatchQuestions(pool, batchId, { includeRejected: true });
+  const passages = await loadBatchPassages(pool, batchId);
+  const flagResult = await pool.request()
+    .input('batch_id', sql.Int, batchId)
+    .query(`
+      SELECT flag_id, question_id, passage_id, code, message, created_at
+      FROM question_flags
+      WHERE batch_id = @batch_id
+      ORDER BY flag_id
+    `);
+  const flags = flagResult.recordset;
+
+  const grouped = groupPassages(
+    questions,
+    passages.map(p => ({ ...p, flags: flags.filter(f => f.passage_id === p.passage_id) })),
+    q => ({ ...q, flags: flags.filter(f => f.question_id === q.question_id) }),
+  );
+
+  return {
+    ...batch,
+    flag_count: flags.length,
+    batch_flags: flags.filter(f => f.question_id === null && f.passage_id === null),
+    ...grouped,
+  };
+}
+
+/**
+ * The question with its batch, for changes that only drafts allow.
+ * 404 when the question is missing, 409 once its batch is published.
+ */
+export async function loadDraftQuestion(pool, questionId) {
+  const result = await pool.request()
+    .input('question_id', sql.Int, questionId)
+    .query(`
+      SELECT q.question_id, q.question_type, q.question_text, q.passage_id, q.batch_id, b.status AS batch_status
+      FROM questions q
+      JOIN QuestionBatch b ON b.batch_id = q.batch_id
+      WHERE q.question_id = @question_id
+    `);
+
+  const question = result.recordset[0];
+  if (!question) throw moderationError(404, 'Question not found');
+  if (question.batch_status !== 'draft') {
+    throw moderationError(409, `Batch ${question.batch_id} is already published`);
+  }
+  return question;
+}
+
+async function markReviewed(conn, questionId, userId) {
+  await new sql.Request(conn)
+    .input('question_id', sql.Int, questionId)
+    .input('user_id', sql.Int, userId ?? null)
+    .query(`
+      UPDATE questions SET reviewed_at = SYSUTCDATETIME(), reviewed_by = @user_id
+      WHERE question_id = @question_id
+    `);
+}
+
+/**
+ * Replace a draft question by hand: { question_type?, question, options,
+ * answer, explanation }. Kanji links are rebuilt; the grammar link is kept.
+ * Questions about a passage keep the passage's type; standalone ones can't
+ * take a passage type they have no passage for (older reading questions with
+ * the passage in their text may keep theirs).
+ * Returns the batch's new flags.
+ */
+export async function editQuestion(pool, questionId, input, { userId } = {}) {
+  const question = await loadDraftQuestion(pool, questionId);
+  const q = { ...input, question_type: input?.question_type ?? question.question_type };
+
+  const allowedTypes = question.passage_id === null
+    ? QUESTION_TYPES.filter(t => !PASSAGE_TYPES.includes(t) || t === question.question_type)
+    : [question.question_type];
+  const errors = validateQuestion(q, '$', allowedTypes);
+  if (errors.length > 0) {
+    const err = moderationError(400, 'Invalid question');
+    err.details = errors;
+    throw err;
+  }
+
+  const batch = await loadBatch(pool, question.batch_id);
+  const { kanjiRows } = await loadLinkContext(pool, [], batch.kanji_list);
+
+  const tx = new sql.Transaction(pool);
+  await tx.begin();
+  try {
+    await rewriteQuestion(tx, questionId, q, { kanjiRows });
+    await markReviewed(tx, questionId, userId);
+    await tx.commit();
+  } catch (err) {
+    await tx.rollback();
+    throw err;
+  }
+
+  return checkBatch(pool, question.batch_id);
+}
+
+/**
+ * Correct a draft passage by hand: any of { title, body, furigana } (furigana
+ * may be null). Returns the batch's new flags.
+ */
+export async function editPassage(pool, passageId, input, { userId } = {}) {
+  const result = await pool.request()
+    .input('passage_id', sql.Int, passageId)
+    .query(`
+      SELECT p.passage_id, p.batch_id, b.status AS batch_status
+      FROM passages p
+      JOIN QuestionBatch b ON b.batch_id = p.batch_id
+      WHERE p.passage_id = @passage_id
+    `);
+
+  const passage = result.recordset[0];
+  if (!passage) throw moderationError(404, 'Passage not found');
+  if (passage.batch_status !== 'draft') {
+    throw moderationError(409, `Batch ${passage.batch_id} is already published`);
+  }
+
+  const errors = validatePassageInput(input);
+  if (errors.length > 0) {
+    const err = moderationError(400, 'Invalid passage');
+    err.details = errors;
+    throw err;
+  }
+
+  // The passage's questions count as reviewed along with it
+  await pool.request()
+    .input('passage_id', sql.Int, passageId)
+    .input('set_title', sql.Bit, 'title' in input)
+    .input('title', sql.NVarChar(255), input.title ?? null)
+    .input('set_body', sql.Bit, 'body' in input)
+    .input('body', sql.NVarChar(sql.MAX), input.body ?? null)
+    .input('set_furigana', sql.Bit, 'furigana' in input)
+    .input('furigana', sql.NVarChar(sql.MAX), input.furigana || null)
+    .input('user_id', sql.Int, userId ?? null)
+    .query(`
+      UPDATE passages
+      SET title = CASE WHEN @set_title = 1 THEN @title ELSE title END,
+          body = CASE WHEN @set_body = 1 THEN @body ELSE body END,
+          furigana = CASE WHEN @set_furigana = 1 THEN @furigana ELSE furigana END
+      WHERE passage_id = @passage_id;
+
+      UPDATE questions SET reviewed_at = SYSUTCDATETIME(), reviewed_by = @user_id
+      WHERE passage_id = @passage_id;
+    `);
+
+  return checkBatch(pool, passage.batch_id);
+}
+
+// Take a draft question out of the batch; returns the batch's new flags
+export async function rejectQuestion(pool, questionId, { reason = null, userId } = {}) {
+  const question = await loadDraftQuestion(pool, questionId);
+
+  await pool.request()
+    .input('question_id', sql.Int, questionId)
+    .input('reason', sql.NVarChar(500), reason)
+    .query(`
+      UPDATE questions SET status = 'rejected', rejected_reason = @reason
+      WHERE question_id = @question_id
+    `);
+  await markReviewed(pool, questionId, userId);
+
+  return checkBatch(pool, question.batch_id);
+}
+
+/**
+ * Serve a draft batch to learners. Refused (409) while it has flags unless
+ * `force` is set, and when every question was rejected.
+ */
+export async function publishBatch(pool, batchId, { force = false, userId = null } = {}) {
+  const batch = await loadBatch(pool, batchId);
+  if (!batch) throw moderationError(404, 'Exam not found');
+  if (batch.status === 'published') throw moderationError(409, `Batch ${batchId} is already published`);
+
+  const flags = await checkBatch(pool, batchId);
+  if (flags.length > 0 && !force) {
+    const err = moderationError(409, `Batch ${batchId} has ${flags.length} open flag${flags.length === 1 ? '' : 's'}; fix them or publish with force`);
+    err.details = flags;
+    throw err;
+  }
+
+  const questions = await loadBatchQuestions(pool, batchId);
+  if (questions.length === 0) throw moderationError(409, `Batch ${batchId} has no active questions`);
+
+  const result = await pool.request()
+    .input('batch_id', sql.Int, batchId)
+    .input('user_id', sql.Int, userId)
+    .query(`
+      UPDATE QuestionBatch
+      SET status = 'published', published_at = SYSUTCDATETIME(), published_by = @user_id
+      WHERE batch_id = @batch_id AND status = 'draft'
+    `);
+  // Someone else published it while the checks ran
+  if (result.rowsAffected[0] === 0) throw moderationError(409, `Batch ${batchId} is already published`);
+  contentCache.invalidate('exam');
+
+  return { ...(await loadBatch(pool, batchId)), question_count: questions.length, open_flags: flags.length };
+}
@@ -0,0 +1,16 @@
+// Offset pagination from ?page (1-based) and ?page_size
+export function parsePagination(query, { defaultSize = 20, maxSize = 100 } = {}) {
+  const page = Math.max(parseInt(query.page ?? '1', 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(query.page_size ?? String(defaultSize), 10) || defaultSize, 1), maxSize);
+  return { page, pageSize, offset: (page - 1) * pageSize };
+}
+
+export function paginated({ page, pageSize }, total, items) {
+  return {
+    page,
+    page_size: pageSize,
+    total,
+    total_pages: Math.ceil(total / pageSize),
+    items,
+  };
+}
@@ -0,0 +1,7 @@
+/**
+ * Query parameters among `names` that were given more than once. Express
+ * parses ?q=a&q=b into an array, which SQL inputs and string checks don't expect.
+ */
+export function repeatedParams(query, names) {
+  return names.filter(name => Array.isArray(query[name]));
+}
@@ -0,0 +1,142 @@
+import sql from 'mssql';
+
+/**
+ * Grammar points and kanji a batch was built from, with the ids needed to link
+ * its questions to them: { kanjiRows: [{ Id, Kanji }], grammarIdMap: concept → GrammarId }.
+ */
+export async function loadLinkContext(conn, grammarList, kanjiList) {
+  const result = await new sql.Request(conn)
+    .input('grammar', sql.NVarChar(sql.MAX), JSON.stringify(grammarList))
+    .input('kanji', sql.NVarChar(sql.MAX), JSON.stringify(kanjiList))
+    .query(`
+      SELECT MIN(k.Id) AS Id, k.Kanji
+      FROM KanjiInfo k
+      WHERE k.Kanji IN (SELECT value FROM OPENJSON(@kanji))
+      GROUP BY k.Kanji;
+
+      SELECT GrammarId, Concept
+      FROM GrammarPoints
+      WHERE IsCurrent = 1 AND Concept IN (SELECT value FROM OPENJSON(@grammar));
+    `);
+
+  const [kanjiRows, grammarRows] = result.recordsets;
+  return { kanjiRows, grammarIdMap: new Map(grammarRows.map(r => [r.Concept, r.GrammarId])) };
+}
+
+// Link a question to the grammar point / kanji it exercises (feeds review scheduling)
+function questionLinks(q, { kanjiRows, grammarIdMap }) {
+  const questionText = [q.question, ...q.options].join(' ');
+  return [
+    ...kanjiRows
+      .filter(k => questionText.includes(k.Kanji))
+      .map(k => ({ item_type: 'kanji', item_id: k.Id })),
+    ...(grammarIdMap?.has(q.grammar_point)
+      ? [{ item_type: 'grammar', item_id: grammarIdMap.get(q.grammar_point) }]
+      : []),
+  ];
+}
+
+async function insertLinksAndOptions(tx, questionId, q, links) {
+  for (const link of links) {
+    await new sql.Request(tx)
+      .input('question_id', sql.Int, questionId)
+      .input('item_type', sql.NVarChar(20), link.item_type)
+      .input('item_id', sql.Int, link.item_id)
+      .query(`
+        INSERT INTO question_links (question_id, item_type, item_id)
+        VALUES (@question_id, @item_type, @item_id)
+      `);
+  }
+
+  for (const opt of q.options) {
+    await new sql.Request(tx)
+      .input('question_id', sql.Int, questionId)
+      .input('option_text', sql.NVarChar(sql.MAX), opt)
+      .input('is_correct', sql.Bit, opt === q.answer)
+      .query(`
+        INSERT INTO question_options (question_id, option_text, is_correct)
+        VALUES (@question_id, @option_text, @is_correct)
+      `);
+  }
+}
+
+/**
+ * Insert one validated MCQ ({ question_type, question, options, answer,
+ * explanation, grammar_point? }) into a batch with its options and links,
+ * under `passageId` when it is about a reading passage.
+ * Returns the new question_id.
+ */
+export async function insertQuestion(tx, batchId, q, context, passageId = null) {
+  const result = await new sql.Request(tx)
+    .input('question_type', sql.NVarChar(255), q.question_type)
+    .input('question_text', sql.NVarChar(sql.MAX), q.question)
+    .input('answer', sql.NVarChar(sql.MAX), q.answer)
+    .input('explanation', sql.NVarChar(sql.MAX), q.explanation)
+    .input('batch_id', sql.Int, batchId)
+    .input('passage_id', sql.Int, passageId)
+    .query(`
+      INSERT INTO questions (question_type, question_text, answer, explanation, batch_id, passage_id)
+      OUTPUT INSERTED.question_id
+      VALUES (@question_type, @question_text, @answer, @explanation, @batch_id, @passage_id)
+    `);
+
+  const questionId = result.recordset[0].question_id;
+  await insertLinksAndOptions(tx, questionId, q, questionLinks(q, context));
+  return questionId;
+}
+
+/**
+ * Insert a validated passage ({ passage_type, title, body, furigana?, questions })
+ * and its questions, which take the passage's type. Returns the new passage_id.
+ */
+export async function insertPassage(tx, batchId, passage, context) {
+  const result = await new sql.Request(tx)
+    .input('batch_id', sql.Int, batchId)
+    .input('passage_type', sql.NVarChar(255), passage.passage_type)
+    .input('title', sql.NVarChar(255), passage.title)
+    .input('body', sql.NVarChar(sql.MAX), passage.body)
+    .input('furigana', sql.NVarChar(sql.MAX), passage.furigana || null)
+    .query(`
+      INSERT INTO passages (batch_id, passage_type, title, body, furigana)
+      OUTPUT INSERTED.passage_id
+      VALUES (@batch_id, @passage_type, @title, @body, @furigana)
+    `);
+
+  const passageId = result.recordset[0].passage_id;
+  for (const q of passage.questions) {
+    await insertQuestion(tx, batchId, { ...q, question_type: passage.passage_type }, context, passageId);
+  }
+  return passageId;
+}
+
+/**
+ * Replace a question's text, options and links in place and make it active
+ * (and unreviewed) again. Without a grammarIdMap in `context` (hand edits,
+ * which carry no grammar_point) the grammar link is kept. Any stored
+ * breakdown is dropped.
+ */
+export async function rewriteQuestion(tx, questionId, q, context) {
+  const keepGrammar = !context.grammarIdMap;
+
+  await new sql.Request(tx)
+    .input('question_id', sql.Int, questionId)
+    .input('question_type', sql.NVarChar(255), q.question_type)
+    .input('question_text', sql.NVarChar(sql.MAX), q.question)
+    .input('answer', sql.NVarChar(sql.MAX), q.answer)
+    .input('explanation', sql.NVarChar(sql.MAX), q.explanation)
+    .input('keep_grammar', sql.Bit, keepGrammar)
+    .query(`
+      UPDATE questions
+      SET question_type = @question_type, question_text = @question_text, answer = @answer,
+          explanation = @explanation, status = 'active', rejected_reason = NULL,
+          reviewed_at = NULL, reviewed_by = NULL
+      WHERE question_id = @question_id;
+
+      DELETE FROM question_options WHERE question_id = @question_id;
+      DELETE FROM question_links
+      WHERE question_id = @question_id AND (@keep_grammar = 0 OR item_type <> 'grammar');
+      DELETE FROM question_explanations WHERE question_id = @question_id;
+    `);
+
+  await insertLinksAndOptions(tx, questionId, q, questionLinks(q, context));
+}
@@ -0,0 +1,160 @@
+import sql from 'mssql';
+import { newState, schedule } from './srs.js';
+
+/**
+ * The current version of the grammar point `grammarId` is a version of, or
+ * null when there is no such grammar point. Reviews always go to the current
+ * version so a concept's schedule isn't split across its versions.
+ */
+export async function currentGrammarId(conn, grammarId) {
+  const result = await new sql.Request(conn)
+    .input('id', sql.Int, grammarId)
+    .query(`
+      SELECT COALESCE(c.GrammarId, g.GrammarId) AS GrammarId
+      FROM GrammarPoints g
+      LEFT JOIN GrammarPoints c ON c.ConceptKey = g.ConceptKey AND c.IsCurrent = 1
+      WHERE g.GrammarId = @id
+    `);
+  return result.recordset[0]?.GrammarId ?? null;
+}
+
+// review_states rows for the same item: for grammar, any version of the concept
+const SAME_ITEM = `
+  r.learner_id = @learner_id AND r.item_type = @item_type
+  AND (r.item_id = @item_id OR (@item_type = 'grammar' AND r.item_id IN (
+    SELECT v.GrammarId FROM GrammarPoints v
+    JOIN GrammarPoints c ON c.ConceptKey = v.ConceptKey
+    WHERE c.GrammarId = @item_id
+  )))
+`;
+
+/**
+ * Record a graded recall for one item and store its next schedule. Grammar
+ * is recorded on the concept's current version, carrying over (and
+ * replacing) the state of older versions.
+ * `conn` is a ConnectionPool or a Transaction.
+ */
+export async function recordReview(conn, learnerId, itemType, itemId, grade, now = new Date()) {
+  if (itemType === 'grammar') itemId = (await currentGrammarId(conn, itemId)) ?? itemId;
+
+  const current = await new sql.Request(conn)
+    .input('learner_id', sql.NVarChar(100), learnerId)
+    .input('item_type', sql.NVarChar(20), itemType)
+    .input('item_id', sql.Int, itemId)
+    .query(`
+      SELECT TOP (1) r.ease_factor, r.interval_days, r.repetitions, r.lapses
+      FROM review_states r
+      WHERE ${SAME_ITEM}
+      ORDER BY CASE WHEN r.item_id = @item_id THEN 0 ELSE 1 END, r.last_reviewed_at DESC
+    `);
+
+  const next = schedule(current.recordset[0] ?? newState(), grade, now);
+
+  await new sql.Request(conn)
+    .input('learner_id', sql.NVarChar(100), learnerId)
+    .input('item_type', sql.NVarChar(20), itemType)
+    .input('item_id', sql.Int, itemId)
+    .input('ease_factor', sql.Float, next.ease_factor)
+    .input('interval_days', sql.Int, next.interval_days)
+    .input('repetitions', sql.Int, next.repetitions)
+    .input('lapses', sql.Int, next.lapses)
+    .input('due_at', sql.DateTime2, next.due_at)
+    .input('last_reviewed_at', sql.DateTime2, next.last_reviewed_at)
+    .query(`
+      MERGE review_states AS t
+      USING (SELECT @learner_id AS learner_id, @item_type AS item_type, @item_id AS item_id) AS s
+        ON t.learner_id = s.learner_id AND t.item_type = s.item_type AND t.item_id = s.item_id
+      WHEN MATCHED THEN UPDATE SET
+        ease_factor = @ease_factor, interval_days = @interval_days, repetitions = @repetitions,
+        lapses = @lapses, due_at = @due_at, last_reviewed_at = @last_reviewed_at
+      WHEN NOT MATCHED THEN INSERT
+        (learner_id, item_type, item_id, ease_factor, interval_days, repetitions, lapses, due_at, last_reviewed_at)
+        VALUES (@learner_id, @item_type, @item_id, @ease_factor, @interval_days, @repetitions, @lapses, @due_at, @last_reviewed_at);
+
+      -- Older versions' states now live on the current version
+      DELETE r FROM review_states r WHERE ${SAME_ITEM} AND r.item_id <> @item_id;
+    `);
+
+  return { item_type: itemType, item_id: itemId, grade, ...next };
+}
+
+/**
+ * Feed graded exam results into the schedule of the grammar points / kanji
+ * linked to each question: correct → good, wrong → again.
+ */
+export async function recordExamReviews(conn, learnerId, results, now = new Date()) {
+  const questionIds = results.map((r) => r.question_id);
+  if (questionIds.length === 0) return [];
+
+  // Grammar links may point at an older version; grade the current one
+  const links = await new sql.Request(conn)
+    .input('ids', sql.NVarChar(sql.MAX), JSON.stringify(questionIds))
+    .query(`
+      SELECT l.question_id, l.item_type,
+             CASE WHEN l.item_type = 'grammar' THEN COALESCE(c.GrammarId, l.item_id) ELSE l.item_id END AS item_id
+      FROM question_links l
+      LEFT JOIN GrammarPoints g ON l.item_type = 'grammar' AND g.GrammarId = l.item_id
+      LEFT JOIN GrammarPoints c ON c.ConceptKey = g.ConceptKey AND c.IsCurrent = 1
+      WHERE l.question_id IN (SELECT CAST(value AS INT) FROM OPENJSON(@ids))
+    `);
+
+  // An item tested by several questions counts as wrong if any of them was wrong
+  const grades = new Map();
+  for (const link of links.recordset) {
+    const result = results.find((r) => r.question_id === link.question_id);
+    const key = `${link.item_type}:${link.item_id}`;
+    if (!result.is_correct || !grades.has(key)) {
+      grades.set(key, result.is_correct ? 'good' : 'again');
+    }
+  }
+
+  const reviews = [];
+  for (const [key, grade] of grades) {
+    const [itemType, itemId] = key.split(':');
+    reviews.push(await recordReview(conn, learnerId, itemType, Number(itemId), grade, now));
+  }
+  return reviews;
+}
+
+/**
+ * Grammar points and kanji a learner has recently struggled with, worst
+ * first: questions linked to them answered wrong in the last `days` days,
+ * plus review lapses for items reviewed in that window.
+ * Returns { grammar: [{ item_id, misses, lapses }], kanji: [...] }.
+ */
+export async function findWeakAreas(conn, learnerId, { days = 30 } = {}) {
+  const result = await new sql.Request(conn)
+    .input('learner_id', sql.NVarChar(100), learnerId)
+    .input('days', sql.Int, days)
+    .query(`
+      WITH missed AS (
+        SELECT l.item_type, l.item_id, COUNT(*) AS misses, MAX(a.submitted_at) AS last_missed_at
+        FROM exam_attempts a
+        JOIN exam_attempt_answers aa ON aa.attempt_id = a.attempt_id AND aa.is_correct = 0
+        JOIN question_links l ON l.question_id = aa.question_id
+        WHERE a.learner_id = @learner_id
+          AND a.submitted_at >= DATEADD(DAY, -@days, SYSUTCDATETIME())
+        GROUP BY l.item_type, l.item_id
+      ),
+      lapsed AS (
+        SELECT item_type, item_id, lapses, last_reviewed_at
+        FROM review_states
+        WHERE learner_id = @learner_id AND lapses > 0
+          AND last_reviewed_at >= DATEADD(DAY, -@days, SYSUTCDATETIME())
+      )
+      SELECT COALESCE(m.item_type, r.item_type) AS item_type,
+             COALESCE(m.item_id, r.item_id) AS item_id,
+             COALESCE(m.misses, 0) AS misses,
+             COALESCE(r.lapses, 0) AS lapses
+      FROM missed m
+      FULL OUTER JOIN lapsed r ON r.item_type = m.item_type AND r.item_id = m.item_id
+      ORDER BY COALESCE(m.misses, 0) * 2 + COALESCE(r.lapses, 0) DESC,
+               COALESCE(m.last_missed_at, r.last_reviewed_at) DESC
+    `);
+
+  const weak = { grammar: [], kanji: [] };
+  for (const { item_type: itemType, ...row } of result.recordset) {
+    weak[itemType]?.push(row);
+  }
+  return weak;
+}
@@ -0,0 +1,142 @@
+import {
+  isKanaOnly,
+  isRomaji,
+  kanaToRomaji,
+  ROMAJI_STYLES,
+  romajiToHiragana,
+  toHiragana,
+} from './kana.js';
+
+// How insert paths treat the model's romaji: overwrite | check | off
+const ROMAJI_MODE = process.env.ROMAJI_MODE || 'overwrite';
+
+export const DEFAULT_ROMAJI_OPTIONS = {
+  style: process.env.ROMAJI_STYLE || 'hepburn',
+  longVowels: process.env.ROMAJI_LONG_VOWELS || 'spelled',
+};
+
+// Read-endpoint option values for ?romaji=
+export const ROMAJI_QUERY_VALUES = [...ROMAJI_STYLES, 'none'];
+
+const EDGE_PUNCTUATION = /^([^a-zA-Zāīūēōâîûêô']*)(.*?)([^a-zA-Zāīūēōâîûêô']*)$/;
+
+// Particles are written は/へ/を but read wa/e/o; compare them as the same sound
+function comparableKana(text) {
+  return toHiragana(text)
+    .replace(/[\s、。！？!?,.・「」]/g, '')
+    .replace(/は/g, 'わ')
+    .replace(/へ/g, 'え')
+    .replace(/を/g, 'お')
+    .replace(/おお/g, 'おう');
+}
+
+/**
+ * Re-spell romaji in the given style, word by word, keeping punctuation,
+ * spacing and capitalisation. Words that aren't clean romaji are left as is.
+ */
+export function restyleRomaji(romaji, options = DEFAULT_ROMAJI_OPTIONS) {
+  if (typeof romaji !== 'string') return romaji;
+
+  return romaji
+    .split(/(\s+)/)
+    .map((token) => {
+      const [, lead, word, trail] = token.match(EDGE_PUNCTUATION);
+      if (!word || !isRomaji(word)) return token;
+
+      const kana = romajiToHiragana(word);
+      if (!isKanaOnly(kana)) return token;
+
+      let styled = kanaToRomaji(kana, options);
+      if (/^[A-ZĀĪŪĒŌÂÎÛÊÔ]/.test(word)) styled = styled[0].toUpperCase() + styled.slice(1);
+      return lead + styled + trail;
+    })
+    .join('');
+}
+
+/**
+ * Compare a romaji field against kana text. Only kana-only text can be
+ * checked; text containing kanji has no local reading to compare with.
+ */
+export function verifyRomaji(text, romaji, options = DEFAULT_ROMAJI_OPTIONS) {
+  if (typeof text !== 'string' || !isKanaOnly(text.trim())) {
+    return { checked: false, romaji };
+  }
+
+  const given = typeof romaji === 'string' ? romaji : '';
+  const givenKana = given
+    .split(/\s+/)
+    .map((token) => romajiToHiragana(token.match(EDGE_PUNCTUATION)[2]))
+    .join('');
+  const matches = comparableKana(givenKana) === comparableKana(text);
+
+  return {
+    checked: true,
+    matches,
+    // Keep the model's word breaks and particle readings when it was right
+    romaji: matches ? restyleRomaji(given, options) : kanaToRomaji(text.trim(), options),
+  };
+}
+
+/**
+ * Check (and in overwrite mode fix) every romaji field of a generated
+ * grammar/kanji payload. Returns the payload and a list of issues found.
+ */
+export function verifyPayloadRomaji(payload, { mode = ROMAJI_MODE, ...options } = {}) {
+  const issues = [];
+  if (mode === 'off' || !Array.isArray(payload?.examples)) return { payload, issues };
+
+  const styleOptions = { ...DEFAULT_ROMAJI_OPTIONS, ...options };
+
+  const check = (obj, textKey, path) => {
+    const result = verifyRomaji(obj[textKey], obj.romaji, styleOptions);
+    if (!result.checked) return;
+
+    if (!result.matches) {
+      issues.push({
+        path,
+        text: obj[textKey],
+        given: obj.romaji,
+        expected: result.romaji,
+        action: mode === 'overwrite' ? 'overwritten' : 'reported',
+      });
+    }
+    if (mode === 'overwrite') obj.romaji = result.romaji;
+  };
+
+  payload.examples.forEach((example, i) => {
+    check(example, 'japanese', `examples[${i}].romaji`);
+    (example.vocab ?? []).forEach((vocab, j) => {
+      check(vocab, 'word', `examples[${i}].vocab[${j}].romaji`);
+    });
+  });
+
+  return { payload, issues };
+}
+
+/**
+ * Apply a read endpoint's ?romaji= option to a response body:
+ * hepburn / kunrei re-spell every romaji field, none removes them.
+ */
+export function applyRomajiOption(value, option) {
+  if (!option) return value;
+
+  const styleOptions = { ...DEFAULT_ROMAJI_OPTIONS, style: option };
+  const isRomajiKey = (key) => /^(romaji|Romaji|VocabRomaji)$/.test(key);
+
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.map(walk);
+    if (node === null || typeof node !== 'object' || node instanceof Date) return node;
+
+    const out = {};
+    for (const [key, child] of Object.entries(node)) {
+      if (isRomajiKey(key)) {
+        if (option !== 'none') out[key] = restyleRomaji(child, styleOptions);
+      } else {
+        out[key] = walk(child);
+      }
+    }
+    return out;
+  };
+
+  return walk(value);
+}
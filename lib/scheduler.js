@@ -0,0 +1,185 @@
+import sql from 'mssql';
+import { generateExam } from './exam-generator.js';
+import { EXAM_TIMEZONE, localDate, localTime } from './time.js';
+import { withUsageRoute } from './usage.js';
+import { DEFAULT_LEVEL, examLevelsFromEnv } from './levels.js';
+
+const GENERATE_AT = process.env.EXAM_GENERATE_AT || '00:00';
+const CHECK_INTERVAL_MS = parseInt(process.env.EXAM_SCHEDULER_INTERVAL_MS ?? '60000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.EXAM_MAX_ATTEMPTS ?? '5', 10);
+const RETRY_DELAY_MS = parseInt(process.env.EXAM_RETRY_DELAY_MS ?? '300000', 10);
+export const EXAM_LEVELS = examLevelsFromEnv();
+// clean: publish a daily exam when the quality checks find nothing; off: always wait for review
+const AUTO_PUBLISH = (process.env.EXAM_AUTO_PUBLISH || 'clean') !== 'off';
+// llm (default) or local: build daily exams offline from stored content
+const GENERATOR = process.env.EXAM_GENERATOR === 'local' ? 'local' : 'llm';
+// A run still marked "running" after this long is assumed to have crashed
+const STALE_RUN_MINUTES = 30;
+
+// Scheduler status for one exam date and level, or null when nothing has happened yet
+export async function getDailyExamRun(pool, examDate, level = DEFAULT_LEVEL) {
+  const result = await pool.request()
+    .input('exam_date', sql.Date, examDate)
+    .input('level', sql.NVarChar(2), level)
+    .query(`
+      SELECT exam_date, level, status, attempts, batch_id, last_error, started_at, next_attempt_at
+      FROM daily_exam_runs
+      WHERE exam_date = @exam_date AND level = @level
+    `);
+  return result.recordset[0] ?? null;
+}
+
+/**
+ * Claim the day's run for a level so only one process (or Azure instance)
+ * generates it. Returns true when this caller owns the run.
+ */
+async function claimRun(pool, examDate, level) {
+  const result = await pool.request()
+    .input('exam_date', sql.Date, examDate)
+    .input('level', sql.NVarChar(2), level)
+    .input('max_attempts', sql.Int, MAX_ATTEMPTS)
+    .input('stale_minutes', sql.Int, STALE_RUN_MINUTES)
+    .query(`
+      IF NOT EXISTS (SELECT 1 FROM daily_exam_runs WHERE exam_date = @exam_date AND level = @level)
+      BEGIN
+        BEGIN TRY
+          INSERT INTO daily_exam_runs (exam_date, level, status, attempts, started_at)
+          VALUES (@exam_date, @level, 'running', 1, SYSUTCDATETIME());
+        END TRY
+        BEGIN CATCH
+          -- Another instance inserted the row first
+        END CATCH
+      END
+      ELSE
+        UPDATE daily_exam_runs
+        SET status = 'running', attempts = attempts + 1,
+            started_at = SYSUTCDATETIME(), updated_at = SYSUTCDATETIME()
+        WHERE exam_date = @exam_date AND level = @level
+          AND attempts < @max_attempts
+          AND (
+            (status = 'failed' AND next_attempt_at <= SYSUTCDATETIME())
+            OR (status = 'running' AND started_at < DATEADD(MINUTE, -@stale_minutes, SYSUTCDATETIME()))
+          );
+    `);
+  return result.rowsAffected.some((n) => n > 0);
+}
+
+// Point the day's run at its batch (creating the run row when the batch came from elsewhere, e.g. an import)
+async function markRunReady(pool, examDate, level, batchId) {
+  await pool.request()
+    .input('exam_date', sql.Date, examDate)
+    .input('level', sql.NVarChar(2), level)
+    .input('batch_id', sql.Int, batchId)
+    .query(`
+      UPDATE daily_exam_runs
+      SET status = 'ready', batch_id = @batch_id, last_error = NULL,
+          next_attempt_at = NULL, updated_at = SYSUTCDATETIME()
+      WHERE exam_date = @exam_date AND level = @level;
+
+      IF @@ROWCOUNT = 0
+      BEGIN
+        BEGIN TRY
+          INSERT INTO daily_exam_runs (exam_date, level, status, attempts, batch_id)
+          VALUES (@exam_date, @level, 'ready', 0, @batch_id);
+        END TRY
+        BEGIN CATCH
+          -- Another instance inserted the row first
+        END CATCH
+      END
+    `);
+}
+
+/**
+ * Generate the `level` exam for `examDate` if it doesn't exist yet and no
+ * other run owns it. Failures are recorded with exponential backoff for the next try.
+ */
+export async function runDailyExam(pool, llm, examDate, level = DEFAULT_LEVEL) {
+  const existing = await pool.request()
+    .input('exam_date', sql.Date, examDate)
+    .input('level', sql.NVarChar(2), level)
+    .query('SELECT batch_id FROM QuestionBatch WHERE exam_date = @exam_date AND level = @level');
+
+  // The batch can outlive a failed run (e.g. the checks threw after it was saved): the run is ready, not failed
+  const batch = existing.recordset[0];
+  if (batch) {
+    const run = await getDailyExamRun(pool, examDate, level);
+    if (run?.status !== 'ready' || run.batch_id !== batch.batch_id) {
+      await markRunReady(pool, examDate, level, batch.batch_id);
+    }
+    return null;
+  }
+
+  if (!(await claimRun(pool, examDate, level))) return null;
+
+  const run = await getDailyExamRun(pool, examDate, level);
+  console.log(`🗓️ Generating ${level} exam for ${examDate} (attempt ${run.attempts})`);
+
+  try {
+    const result = await generateExam(pool, llm, { examDate, level, generator: GENERATOR, autoPublish: AUTO_PUBLISH });
+
+    await markRunReady(pool, examDate, level, result.batch_id);
+
+    if (result.status === 'published') {
+      console.log(`✅ ${level} exam for ${examDate} ready (batch ${result.batch_id})`);
+    } else {
+      console.log(`📝 ${level} exam for ${examDate} waiting for review (batch ${result.batch_id}, ${result.flags.length} flags)`);
+    }
+    return result;
+  } catch (err) {
+    const delay = RETRY_DELAY_MS * 2 ** (run.attempts - 1);
+
+    await pool.request()
+      .input('exam_date', sql.Date, examDate)
+      .input('level', sql.NVarChar(2), level)
+      .input('last_error', sql.NVarChar(sql.MAX), err.message)
+      .input('next_attempt_at', sql.DateTime2, new Date(Date.now() + delay))
+      .query(`
+        UPDATE daily_exam_runs
+        SET status = 'failed', last_error = @last_error,
+            next_attempt_at = @next_attempt_at, updated_at = SYSUTCDATETIME()
+        WHERE exam_date = @exam_date AND level = @level
+      `);
+
+    console.error(`❌ ${level} exam generation for ${examDate} failed:`, err.response?.data || err.message);
+    err.recorded = true;
+    throw err;
+  }
+}
+
+/**
+ * Check every EXAM_SCHEDULER_INTERVAL_MS whether today's exam (in
+ * EXAM_TIMEZONE, after EXAM_GENERATE_AT local time) still needs generating
+ * for each of EXAM_LEVELS. Levels run one after another.
+ * Returns an async function that stops the scheduler and waits for a run in progress.
+ */
+export function startDailyExamScheduler({ db, llm }) {
+  let running = null;
+
+  const tick = async () => {
+    if (running || localTime(EXAM_TIMEZONE) < GENERATE_AT) return;
+
+    running = (async () => {
+      const examDate = localDate(EXAM_TIMEZONE);
+      for (const level of EXAM_LEVELS) {
+        try {
+          const pool = await db.getPool();
+          await withUsageRoute('scheduler daily-exam', () => runDailyExam(pool, llm, examDate, level));
+        } catch (err) {
+          // Failed runs are recorded on daily_exam_runs; the next tick retries after backoff
+          if (!err.recorded) console.error(`❌ Exam scheduler error (${level}):`, err.message);
+        }
+      }
+    })();
+    await running;
+    running = null;
+  };
+
+  const timer = setInterval(tick, CHECK_INTERVAL_MS);
+  tick();
+  console.log(`🗓️ Daily exam scheduler started (${EXAM_LEVELS.join(', ')}; ${EXAM_TIMEZONE}, from ${GENERATE_AT})`);
+
+  return async () => {
+    clearInterval(timer);
+    await running;
+  };
+}
@@ -0,0 +1,465 @@
+// Validators for AI-generated payloads and manual edits.
+// Each validator returns a list of human-readable errors (empty when valid),
+// so the messages can be sent back to the model for repair.
+
+import { isValidDate } from './time.js';
+
+export const JLPT_LEVELS = ['N5', 'N4', 'N3', 'N2', 'N1'];
+
+export const QUESTION_TYPES = [
+  'Vocabulary (Kanji readings)',
+  'Vocabulary (Word usage in context)',
+  'Vocabulary (Paraphrasing)',
+  'Vocabulary (Correct spelling/orthography)',
+  'Grammar & Reading (Grammar completion)',
+  'Grammar & Reading (Sentence rearrangement)',
+  'Grammar & Reading (Short passage comprehension)',
+  'Grammar & Reading (Medium passage comprehension)',
+  'Grammar & Reading (Notices/ads comprehension)',
+];
+
+// Reading types come as passages with several questions each
+export const PASSAGE_TYPES = QUESTION_TYPES.slice(6);
+export const PASSAGE_QUESTIONS = { min: 2, max: 3 };
+
+const OPTION_COUNT = 4;
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function requireString(errors, obj, key, at) {
+  if (typeof obj[key] !== 'string' || obj[key].trim() === '') {
+    errors.push(`${at}.${key} must be a non-empty string`);
+  }
+}
+
+function validateVocab(errors, vocab, at) {
+  if (!isObject(vocab)) {
+    errors.push(`${at} must be an object`);
+    return;
+  }
+  requireString(errors, vocab, 'word', at);
+  requireString(errors, vocab, 'romaji', at);
+  requireString(errors, vocab, 'meaning', at);
+}
+
+function validateExample(errors, example, at, { allowEmpty = false } = {}) {
+  if (!isObject(example)) {
+    errors.push(`${at} must be an object`);
+    return;
+  }
+  requireString(errors, example, 'japanese', at);
+  requireString(errors, example, 'romaji', at);
+  requireString(errors, example, 'english', at);
+
+  const vocab = example.vocab ?? (allowEmpty ? [] : undefined);
+  if (!Array.isArray(vocab) || (!allowEmpty && vocab.length === 0)) {
+    errors.push(`${at}.vocab must be a ${allowEmpty ? '' : 'non-empty '}array`);
+    return;
+  }
+  vocab.forEach((v, j) => validateVocab(errors, v, `${at}.vocab[${j}]`));
+}
+
+// Generated content needs examples with vocab; manual edits may leave them empty
+function validateExamples(errors, examples, at, { allowEmpty = false } = {}) {
+  if (!Array.isArray(examples) || (!allowEmpty && examples.length === 0)) {
+    errors.push(`${at} must be a ${allowEmpty ? '' : 'non-empty '}array`);
+    return;
+  }
+
+  examples.forEach((example, i) => validateExample(errors, example, `${at}[${i}]`, { allowEmpty }));
+}
+
+// { concept, meaning, details, examples: [{ japanese, romaji, english, vocab: [...] }] }
+export function validateGrammar(data) {
+  const errors = [];
+  if (!isObject(data)) return ['response must be a JSON object'];
+
+  requireString(errors, data, 'concept', '$');
+  requireString(errors, data, 'meaning', '$');
+  requireString(errors, data, 'details', '$');
+  validateExamples(errors, data.examples, '$.examples');
+  return errors;
+}
+
+// { kanji, meaning, details, examples: [...] }
+export function validateKanji(data) {
+  const errors = [];
+  if (!isObject(data)) return ['response must be a JSON object'];
+
+  requireString(errors, data, 'kanji', '$');
+  requireString(errors, data, 'meaning', '$');
+  requireString(errors, data, 'details', '$');
+  validateExamples(errors, data.examples, '$.examples');
+  return errors;
+}
+
+// Validate a single MCQ: four unique options and an answer among them
+export function validateQuestion(q, at = '$', types = QUESTION_TYPES) {
+  const errors = [];
+  if (!isObject(q)) return [`${at} must be an object`];
+
+  requireString(errors, q, 'question_type', at);
+  requireString(errors, q, 'question', at);
+  requireString(errors, q, 'answer', at);
+  requireString(errors, q, 'explanation', at);
+
+  if (q.grammar_point !== undefined && typeof q.grammar_point !== 'string') {
+    errors.push(`${at}.grammar_point must be a string when present`);
+  }
+
+  if (typeof q.question_type === 'string' && !types.includes(q.question_type)) {
+    errors.push(`${at}.question_type "${q.question_type}" is not one of the required types`);
+  }
+
+  if (!Array.isArray(q.options)) {
+    errors.push(`${at}.options must be an array`);
+    return errors;
+  }
+  if (q.options.length !== OPTION_COUNT) {
+    errors.push(`${at}.options must have exactly ${OPTION_COUNT} entries`);
+  }
+  if (q.options.some((opt) => typeof opt !== 'string' || opt.trim() === '')) {
+    errors.push(`${at}.options must all be non-empty strings`);
+  }
+  if (new Set(q.options).size !== q.options.length) {
+    errors.push(`${at}.options must be unique`);
+  }
+  if (typeof q.answer === 'string' && !q.options.includes(q.answer)) {
+    errors.push(`${at}.answer must be exactly one of the options`);
+  }
+  return errors;
+}
+
+// { passage_type, title, body, furigana?, questions: [MCQ without question_type] }
+function validatePassage(errors, passage, at, types) {
+  if (!isObject(passage)) {
+    errors.push(`${at} must be an object`);
+    return;
+  }
+  requireString(errors, passage, 'title', at);
+  requireString(errors, passage, 'body', at);
+  if (passage.furigana !== undefined && passage.furigana !== null && typeof passage.furigana !== 'string') {
+    errors.push(`${at}.furigana must be a string when present`);
+  }
+  if (!types.includes(passage.passage_type)) {
+    errors.push(`${at}.passage_type "${passage.passage_type}" is not one of the required passage types`);
+  }
+
+  const { min, max } = PASSAGE_QUESTIONS;
+  if (!Array.isArray(passage.questions) || passage.questions.length < min || passage.questions.length > max) {
+    errors.push(`${at}.questions must be an array of ${min} to ${max} questions`);
+    return;
+  }
+  passage.questions.forEach((q, i) => {
+    errors.push(...validateQuestion({ ...q, question_type: passage.passage_type }, `${at}.questions[${i}]`, types));
+  });
+}
+
+/**
+ * Validator for a generated exam: { questions: [MCQ], passages: [passage] }
+ * with exactly `perType` questions of each requested non-reading type and
+ * `perType` passages (of 2–3 questions) of each requested reading type.
+ */
+export function examValidator({ types = QUESTION_TYPES, perType = 1 } = {}) {
+  const questionTypes = types.filter(t => !PASSAGE_TYPES.includes(t));
+  const passageTypes = types.filter(t => PASSAGE_TYPES.includes(t));
+
+  return (data) => {
+    if (!isObject(data)) return ['response must be a JSON object with "questions" and "passages" arrays'];
+    if (!Array.isArray(data.questions)) return ['$.questions must be an array'];
+    if (!Array.isArray(data.passages)) return ['$.passages must be an array'];
+
+    const errors = data.questions.flatMap((q, i) => validateQuestion(q, `$.questions[${i}]`, questionTypes));
+    data.passages.forEach((p, i) => validatePassage(errors, p, `$.passages[${i}]`, passageTypes));
+
+    const plural = perType === 1 ? '' : 's';
+    for (const type of questionTypes) {
+      const count = data.questions.filter((q) => q?.question_type === type).length;
+      if (count !== perType) {
+        errors.push(`expected exactly ${perType} question${plural} of type "${type}", got ${count}`);
+      }
+    }
+    for (const type of passageTypes) {
+      const count = data.passages.filter((p) => p?.passage_type === type).length;
+      if (count !== perType) {
+        errors.push(`expected exactly ${perType} passage${plural} of type "${type}", got ${count}`);
+      }
+    }
+    return errors;
+  };
+}
+
+// The daily exam: one question or passage of every type
+export const validateExam = examValidator();
+
+/**
+ * Question deep-dive breakdown. Built per question so the option
+ * explanations can be checked against the question's real options.
+ */
+export function explanationValidator(optionTexts) {
+  return (data) => {
+    const errors = [];
+    if (!isObject(data)) return ['response must be a JSON object'];
+
+    requireString(errors, data, 'sentence', '$');
+    requireString(errors, data, 'furigana', '$');
+    requireString(errors, data, 'hiragana', '$');
+    requireString(errors, data, 'translation', '$');
+
+    if (!Array.isArray(data.vocab) || data.vocab.length === 0) {
+      errors.push('$.vocab must be a non-empty array');
+    } else {
+      data.vocab.forEach((vocab, i) => {
+        const vAt = `$.vocab[${i}]`;
+        if (!isObject(vocab)) {
+          errors.push(`${vAt} must be an object`);
+          return;
+        }
+        requireString(errors, vocab, 'word', vAt);
+        requireString(errors, vocab, 'reading', vAt);
+        requireString(errors, vocab, 'romaji', vAt);
+        requireString(errors, vocab, 'meaning', vAt);
+      });
+    }
+
+    if (!isObject(data.grammar_point)) {
+      errors.push('$.grammar_point must be an object');
+    } else {
+      requireString(errors, data.grammar_point, 'concept', '$.grammar_point');
+      requireString(errors, data.grammar_point, 'explanation', '$.grammar_point');
+    }
+
+    if (!Array.isArray(data.options)) {
+      errors.push('$.options must be an array');
+      return errors;
+    }
+    data.options.forEach((opt, i) => {
+      const oAt = `$.options[${i}]`;
+      if (!isObject(opt)) {
+        errors.push(`${oAt} must be an object`);
+        return;
+      }
+      requireString(errors, opt, 'option', oAt);
+      requireString(errors, opt, 'explanation', oAt);
+      if (typeof opt.is_correct !== 'boolean') {
+        errors.push(`${oAt}.is_correct must be a boolean`);
+      }
+    });
+    for (const text of optionTexts) {
+      if (!data.options.some((opt) => opt?.option === text)) {
+        errors.push(`$.options must explain the option "${text}"`);
+      }
+    }
+    return errors;
+  };
+}
+
+function validateOptionalFields(errors, data, keys, at) {
+  for (const key of keys) {
+    if (key in data) requireString(errors, data, key, at);
+  }
+}
+
+function validateLevelAndTags(errors, data, at = '$') {
+  if (data.level !== undefined && !JLPT_LEVELS.includes(data.level)) {
+    errors.push(`${at}.level must be one of ${JLPT_LEVELS.join(', ')}`);
+  }
+  if (data.tags !== undefined
+    && (!Array.isArray(data.tags) || data.tags.some((t) => typeof t !== 'string' || t.trim() === ''))) {
+    errors.push(`${at}.tags must be an array of non-empty strings`);
+  }
+}
+
+/**
+ * Manual grammar point input (POST/PUT /api/grammar): the same nested shape
+ * the GET returns, plus optional level and tags. With `partial` (PATCH) only
+ * the fields present are checked and examples can't be sent.
+ */
+export function validateGrammarInput(data, { partial = false } = {}) {
+  const errors = [];
+  if (!isObject(data)) return ['body must be a JSON object'];
+
+  if (partial) {
+    validateOptionalFields(errors, data, ['concept', 'meaning', 'details'], '$');
+    if ('examples' in data) errors.push('$.examples cannot be patched; edit examples individually');
+  } else {
+    requireString(errors, data, 'concept', '$');
+    requireString(errors, data, 'meaning', '$');
+    requireString(errors, data, 'details', '$');
+    validateExamples(errors, data.examples ?? [], '$.examples', { allowEmpty: true });
+  }
+  validateLevelAndTags(errors, data);
+  return errors;
+}
+
+// Example input (grammar or kanji example): full for POST, partial for PATCH
+export function validateExampleInput(data, { partial = false } = {}) {
+  const errors = [];
+  if (!isObject(data)) return ['body must be a JSON object'];
+
+  if (partial) {
+    validateOptionalFields(errors, data, ['japanese', 'romaji', 'english'], '$');
+    if ('vocab' in data) errors.push('$.vocab cannot be patched; edit vocab entries individually');
+  } else {
+    validateExample(errors, data, '$', { allowEmpty: true });
+  }
+  return errors;
+}
+
+// Vocab entry input: full for POST, partial for PATCH
+export function validateVocabInput(data, { partial = false } = {}) {
+  const errors = [];
+  if (!isObject(data)) return ['body must be a JSON object'];
+
+  if (partial) {
+    validateOptionalFields(errors, data, ['word', 'romaji', 'meaning'], '$');
+  } else {
+    validateVocab(errors, data, '$');
+  }
+  return errors;
+}
+
+// Passage correction (PATCH /api/admin/passages/:id): any of title, body, furigana
+export function validatePassageInput(data) {
+  const errors = [];
+  if (!isObject(data)) return ['body must be a JSON object'];
+
+  const keys = ['title', 'body', 'furigana'];
+  if (!keys.some((key) => key in data)) errors.push(`body must have at least one of: ${keys.join(', ')}`);
+  validateOptionalFields(errors, data, ['title', 'body'], '$');
+  validateOptionalStrings(errors, data, ['furigana'], '$');
+  return errors;
+}
+
+function validateOptionalStrings(errors, data, keys, at) {
+  for (const key of keys) {
+    if (data[key] !== undefined && data[key] !== null && typeof data[key] !== 'string') {
+      errors.push(`${at}.${key} must be a string or null`);
+    }
+  }
+}
+
+function validateDumpExam(errors, exam, at) {
+  if (!isObject(exam)) {
+    errors.push(`${at} must be an object`);
+    return;
+  }
+  if (exam.exam_date != null && !isValidDate(exam.exam_date)) {
+    errors.push(`${at}.exam_date must be a YYYY-MM-DD date or null`);
+  }
+  if (exam.level !== undefined && !JLPT_LEVELS.includes(exam.level)) {
+    errors.push(`${at}.level must be one of ${JLPT_LEVELS.join(', ')}`);
+  }
+  if (exam.status !== undefined && !['draft', 'published'].includes(exam.status)) {
+    errors.push(`${at}.status must be draft or published`);
+  }
+  if (exam.generator !== undefined && !['llm', 'local'].includes(exam.generator)) {
+    errors.push(`${at}.generator must be llm or local`);
+  }
+  if (exam.created_at != null && Number.isNaN(Date.parse(exam.created_at))) {
+    errors.push(`${at}.created_at must be a timestamp`);
+  }
+  for (const key of ['grammar_list', 'kanji_list']) {
+    if (!Array.isArray(exam[key]) || exam[key].some((v) => typeof v !== 'string')) {
+      errors.push(`${at}.${key} must be an array of strings`);
+    }
+  }
+  const passages = exam.passages ?? [];
+  if (!Array.isArray(passages)) {
+    errors.push(`${at}.passages must be an array`);
+    return;
+  }
+  passages.forEach((p, i) => {
+    const pAt = `${at}.passages[${i}]`;
+    if (!isObject(p)) {
+      errors.push(`${pAt} must be an object`);
+      return;
+    }
+    requireString(errors, p, 'passage_type', pAt);
+    requireString(errors, p, 'title', pAt);
+    requireString(errors, p, 'body', pAt);
+    validateOptionalStrings(errors, p, ['furigana'], pAt);
+  });
+  if (!Array.isArray(exam.questions) || exam.questions.length === 0) {
+    errors.push(`${at}.questions must be a non-empty array`);
+    return;
+  }
+  exam.questions.forEach((q, i) => {
+    const qAt = `${at}.questions[${i}]`;
+    if (!isObject(q)) {
+      errors.push(`${qAt} must be an object`);
+      return;
+    }
+    requireString(errors, q, 'question_type', qAt);
+    requireString(errors, q, 'question_text', qAt);
+    requireString(errors, q, 'answer', qAt);
+    validateOptionalStrings(errors, q, ['explanation'], qAt);
+    if (q.passage != null && !(Number.isInteger(q.passage) && q.passage >= 0 && q.passage < passages.length)) {
+      errors.push(`${qAt}.passage must be the index of one of the exam's passages or null`);
+    }
+    if (!Array.isArray(q.options) || q.options.length === 0) {
+      errors.push(`${qAt}.options must be a non-empty array`);
+      return;
+    }
+    q.options.forEach((opt, j) => {
+      const oAt = `${qAt}.options[${j}]`;
+      if (!isObject(opt)) {
+        errors.push(`${oAt} must be an object`);
+        return;
+      }
+      requireString(errors, opt, 'option_text', oAt);
+      if (typeof opt.is_correct !== 'boolean') errors.push(`${oAt}.is_correct must be a boolean`);
+    });
+  });
+}
+
+/**
+ * A dump produced by GET /api/export (format=json). `kanjiFields` are the
+ * optional dictionary columns a kanji entry may carry.
+ */
+export function validateDump(data, { format, version, kanjiFields = [] }) {
+  const errors = [];
+  if (!isObject(data)) return ['body must be a JSON object'];
+
+  if (data.format !== format) errors.push(`$.format must be "${format}"`);
+  if (data.version !== version) errors.push(`$.version must be ${version}`);
+
+  for (const key of ['grammar', 'kanji', 'exams']) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) errors.push(`$.${key} must be an array`);
+  }
+  if (errors.length > 0) return errors;
+
+  (data.grammar ?? []).forEach((g, i) => {
+    const at = `$.grammar[${i}]`;
+    if (!isObject(g)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    requireString(errors, g, 'concept', at);
+    requireString(errors, g, 'meaning', at);
+    requireString(errors, g, 'details', at);
+    validateLevelAndTags(errors, { ...g, level: g.level ?? undefined }, at);
+    validateExamples(errors, g.examples ?? [], `${at}.examples`, { allowEmpty: true });
+  });
+
+  (data.kanji ?? []).forEach((k, i) => {
+    const at = `$.kanji[${i}]`;
+    if (!isObject(k)) {
+      errors.push(`${at} must be an object`);
+      return;
+    }
+    requireString(errors, k, 'kanji', at);
+    validateOptionalStrings(errors, k, ['meaning', 'details'], at);
+    for (const key of kanjiFields) {
+      if (k[key] != null && !['string', 'number'].includes(typeof k[key])) {
+        errors.push(`${at}.${key} must be a string, number or null`);
+      }
+    }
+    validateExamples(errors, k.examples ?? [], `${at}.examples`, { allowEmpty: true });
+  });
+
+  (data.exams ?? []).forEach((exam, i) => validateDumpExam(errors, exam, `$.exams[${i}]`));
+  return errors;
+}
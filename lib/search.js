@@ -0,0 +1,79 @@
+import { isKanaOnly, isRomaji, kanaToRomaji, romajiToHiragana, toHiragana, toKatakana } from './kana.js';
+
+/**
+ * Every spelling a query should match: the text as typed, plus kana for
+ * romaji input and romaji/other-script kana for kana input.
+ * `kana` holds the hiragana form used for reading comparisons.
+ */
+export function expandQuery(q) {
+  const text = q.trim().toLowerCase();
+  const variants = new Set([text]);
+  let kana = null;
+
+  if (isKanaOnly(text)) {
+    kana = toHiragana(text);
+    variants.add(kana);
+    variants.add(toKatakana(text));
+    variants.add(kanaToRomaji(text));
+  } else if (isRomaji(text)) {
+    const converted = romajiToHiragana(text.replace(/[\s-]/g, ''));
+    // Only trust the conversion when every letter became kana
+    if (isKanaOnly(converted)) {
+      kana = converted;
+      variants.add(kana);
+      variants.add(toKatakana(kana));
+    }
+  }
+
+  return { text, kana, variants: [...variants].filter(Boolean) };
+}
+
+// Normalise a stored reading list ("た.べる, く.う" / "ショク") to hiragana tokens
+export function readingTokens(value) {
+  if (!value) return [];
+  return toHiragana(String(value))
+    .replace(/[[\]"]/g, '')
+    .split(/[,、;\s]+/)
+    .map((r) => r.replace(/[.\-－]/g, ''))
+    .filter(Boolean);
+}
+
+function textTokens(value) {
+  return String(value).toLowerCase().split(/[,、;/()（）\s]+/).filter(Boolean);
+}
+
+/**
+ * Match quality of one field: exact 100, exact token 90, prefix 70,
+ * token prefix 60, substring 40, no match 0.
+ */
+export function scoreField(value, variants, { readings = false } = {}) {
+  if (value == null) return 0;
+  const whole = readings ? readingTokens(value).join(' ') : String(value).toLowerCase();
+  const tokens = readings ? readingTokens(value) : textTokens(value);
+  let best = 0;
+
+  for (const v of variants) {
+    const candidate = readings ? toHiragana(v) : v;
+    if (whole === candidate) best = Math.max(best, 100);
+    else if (tokens.includes(candidate)) best = Math.max(best, 90);
+    else if (whole.startsWith(candidate)) best = Math.max(best, 70);
+    else if (tokens.some((t) => t.startsWith(candidate))) best = Math.max(best, 60);
+    else if (whole.includes(candidate)) best = Math.max(best, 40);
+  }
+  return best;
+}
+
+// Best weighted score across the fields of one result row
+export function scoreRow(row, fields, variants) {
+  let best = 0;
+  let matchedField = null;
+
+  for (const { name, weight = 1, readings = false } of fields) {
+    const score = scoreField(row[name], variants, { readings }) * weight;
+    if (score > best) {
+      best = score;
+      matchedField = name;
+    }
+  }
+  return { score: Math.round(best), matched_field: matchedField };
+}
@@ -0,0 +1,61 @@
+// SM-2 style spaced-repetition scheduling (again/hard/good/easy grades, like Anki)
+
+export const GRADES = ['again', 'hard', 'good', 'easy'];
+export const ITEM_TYPES = ['grammar', 'kanji'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_EASE = 1.3;
+const START_EASE = 2.5;
+
+export function newState() {
+  return { ease_factor: START_EASE, interval_days: 0, repetitions: 0, lapses: 0 };
+}
+
+/**
+ * Apply a graded recall to a review state and return the next state.
+ * `state` is a review_states row (or newState()); `now` is a Date.
+ */
+export function schedule(state, grade, now = new Date()) {
+  if (!GRADES.includes(grade)) throw new Error(`Unknown grade: ${grade}`);
+
+  let ease = state.ease_factor;
+  let interval = state.interval_days;
+  let repetitions = state.repetitions;
+  let lapses = state.lapses;
+
+  switch (grade) {
+    case 'again':
+      ease -= 0.2;
+      interval = 1;
+      repetitions = 0;
+      lapses++;
+      break;
+    case 'hard':
+      ease -= 0.15;
+      interval = repetitions === 0 ? 1 : Math.max(interval + 1, Math.round(interval * 1.2));
+      repetitions++;
+      break;
+    case 'good':
+      if (repetitions === 0) interval = 1;
+      else if (repetitions === 1) interval = 6;
+      else interval = Math.round(interval * ease);
+      repetitions++;
+      break;
+    case 'easy':
+      ease += 0.15;
+      interval = repetitions === 0 ? 4 : Math.round(Math.max(interval, 1) * ease * 1.3);
+      repetitions++;
+      break;
+  }
+
+  ease = Math.max(MIN_EASE, Math.round(ease * 100) / 100);
+
+  return {
+    ease_factor: ease,
+    interval_days: interval,
+    repetitions,
+    lapses,
+    last_reviewed_at: now,
+    due_at: new Date(now.getTime() + interval * DAY_MS),
+  };
+}
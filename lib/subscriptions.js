@@ -0,0 +1,419 @@
+import crypto from 'node:crypto';
+import sql from 'mssql';
+import { loadBatchPassages, loadBatchQuestions } from './exam.js';
+import { buildConfirmationEmail, buildExamEmail } from './exam-email.js';
+import { EXAM_TIMEZONE, localDate, localTime } from './time.js';
+import { EXAM_LEVELS } from './scheduler.js';
+import { DEFAULT_LEVEL } from './levels.js';
+
+export const ANSWER_MODES = ['inline', 'next_day'];
+export const DELIVERY_STATUSES = ['sending', 'sent', 'failed'];
+
+const DEFAULT_SEND_TIME = '07:00';
+const MAX_SEND_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS ?? '3', 10);
+// A 'sending' delivery older than this was abandoned (crash, restart) and is retried
+const SEND_LEASE_MINUTES = parseInt(process.env.EMAIL_SEND_LEASE_MINUTES ?? '15', 10);
+// At most one confirmation email per address in this window
+const CONFIRM_RESEND_MINUTES = 60;
+const CHECK_INTERVAL_MS = parseInt(process.env.EMAIL_SCHEDULER_INTERVAL_MS ?? '60000', 10);
+
+const SUBSCRIPTION_COLUMNS = `subscription_id, email, user_id, level, send_time, answers, status,
+  unsubscribe_token, created_at, updated_at, confirmed_at, unsubscribed_at`;
+
+export function isSendTime(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+// Validate { email, level, send_time, answers } for create (full) or update (partial)
+export function subscriptionInputErrors(body, { partial = false } = {}) {
+  const errors = [];
+  const { email, level, send_time: sendTime, answers } = body ?? {};
+
+  if (!partial && !(typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()))) {
+    errors.push('email must be a valid email address');
+  }
+  // Only levels the scheduler generates a daily exam for can be delivered
+  if (level !== undefined && !EXAM_LEVELS.includes(level)) {
+    errors.push(`level must be one of: ${EXAM_LEVELS.join(', ')}`);
+  }
+  if (sendTime !== undefined && !isSendTime(sendTime)) {
+    errors.push(`send_time must be HH:MM (24h, ${EXAM_TIMEZONE})`);
+  }
+  if (answers !== undefined && !ANSWER_MODES.includes(answers)) {
+    errors.push(`answers must be one of: ${ANSWER_MODES.join(', ')}`);
+  }
+  return errors;
+}
+
+function subscriptionError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function publicUrl(path, token) {
+  const base = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+  return `${base}${path}?token=${encodeURIComponent(token)}`;
+}
+
+export const unsubscribeUrl = (token) => publicUrl('/api/subscriptions/unsubscribe', token);
+export const confirmUrl = (token) => publicUrl('/api/subscriptions/confirm', token);
+
+const newToken = () => crypto.randomBytes(24).toString('base64url');
+
+// SQL Server errors for a duplicate key in a unique index / constraint
+const isDuplicateKey = (err) => err.number === 2601 || err.number === 2627;
+
+/**
+ * Ask the owner of `email` to confirm a subscription: stores it as 'pending'
+ * (reusing an unconfirmed one for the same address and level) and emails
+ * them a confirmation link; nothing else is sent until they follow
+ * it. Returns the pending subscription without its tokens. Throws 409 when
+ * the address is already subscribed, 429 when a confirmation went to it in
+ * the last CONFIRM_RESEND_MINUTES, 502 when the email can't be sent.
+ */
+export async function requestSubscription(pool, mailer, { email, level, sendTime, answers, userId }) {
+  const confirmToken = newToken();
+  const result = await pool.request()
+    .input('email', sql.NVarChar(255), email.trim().toLowerCase())
+    .input('user_id', sql.Int, userId ?? null)
+    .input('level', sql.NVarChar(2), level ?? DEFAULT_LEVEL)
+    .input('send_time', sql.Char(5), sendTime ?? DEFAULT_SEND_TIME)
+    .input('answers', sql.NVarChar(20), answers ?? 'next_day')
+    .input('token', sql.NVarChar(64), newToken())
+    .input('confirm_token', sql.NVarChar(64), confirmToken)
+    .input('resend_minutes', sql.Int, CONFIRM_RESEND_MINUTES)
+    .query(`
+      IF EXISTS (SELECT 1 FROM email_subscriptions WHERE email = @email AND status = 'active')
+        SELECT 'active' AS conflict;
+      ELSE IF EXISTS (
+        SELECT 1 FROM email_subscriptions
+        WHERE email = @email AND status = 'pending'
+          AND updated_at > DATEADD(MINUTE, -@resend_minutes, SYSUTCDATETIME())
+      )
+        SELECT 'recent' AS conflict;
+      ELSE
+      BEGIN
+        -- A request for the same address and level that was never confirmed is
+        -- reused with a new link; the old link stops working
+        UPDATE TOP (1) email_subscriptions
+        SET user_id = @user_id, send_time = @send_time, answers = @answers,
+            confirm_token = @confirm_token, updated_at = SYSUTCDATETIME()
+        OUTPUT ${SUBSCRIPTION_COLUMNS.split(',').map(c => `INSERTED.${c.trim()}`).join(', ')}
+        WHERE email = @email AND level = @level AND status = 'pending';
+
+        IF @@ROWCOUNT = 0
+          INSERT INTO email_subscriptions (email, user_id, level, send_time, answers, unsubscribe_token, status, confirm_token)
+          OUTPUT ${SUBSCRIPTION_COLUMNS.split(',').map(c => `INSERTED.${c.trim()}`).join(', ')}
+          VALUES (@email, @user_id, @level, @send_time, @answers, @token, 'pending', @confirm_token);
+      END
+    `);
+
+  const row = result.recordsets.flat()[0];
+  if (row.conflict === 'active') throw subscriptionError('This address is already subscribed', 409);
+  if (row.conflict === 'recent') {
+    throw subscriptionError('A confirmation email was sent to this address recently; check the inbox', 429);
+  }
+
+  try {
+    await mailer.send({
+      to: row.email,
+      ...buildConfirmationEmail({ level: row.level, sendTime: row.send_time, confirmUrl: confirmUrl(confirmToken) }),
+    });
+  } catch (err) {
+    // Drop the row so the address can be asked again straight away
+    await pool.request()
+      .input('subscription_id', sql.Int, row.subscription_id)
+      .query(`DELETE FROM email_subscriptions WHERE subscription_id = @subscription_id AND status = 'pending'`);
+    console.error(`❌ Confirmation email for subscription ${row.subscription_id} failed:`, err.message);
+    throw subscriptionError('The confirmation email could not be sent', 502);
+  }
+
+  const { unsubscribe_token: _unsubscribeToken, ...subscription } = row;
+  return subscription;
+}
+
+export async function getSubscriptionByConfirmToken(pool, confirmToken) {
+  const result = await pool.request()
+    .input('confirm_token', sql.NVarChar(64), confirmToken)
+    .query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM email_subscriptions WHERE confirm_token = @confirm_token`);
+  return result.recordset[0] ?? null;
+}
+
+/**
+ * Activate a pending subscription. Returns it (already confirmed or
+ * unsubscribed ones unchanged), or null for an unknown token. Throws 409 when
+ * another subscription for the address became active first.
+ */
+export async function confirmSubscription(pool, confirmToken) {
+  try {
+    await pool.request()
+      .input('confirm_token', sql.NVarChar(64), confirmToken)
+      .query(`
+        UPDATE email_subscriptions
+        SET status = 'active', confirmed_at = SYSUTCDATETIME(), updated_at = SYSUTCDATETIME()
+        WHERE confirm_token = @confirm_token AND status = 'pending'
+      `);
+  } catch (err) {
+    // UX_email_subscriptions_active_email: one active subscription per address
+    if (isDuplicateKey(err)) throw subscriptionError('This address is already subscribed', 409);
+    throw err;
+  }
+  return getSubscriptionByConfirmToken(pool, confirmToken);
+}
+
+export async function getSubscriptionByToken(pool, token) {
+  const result = await pool.request()
+    .input('token', sql.NVarChar(64), token)
+    .query(`SELECT ${SUBSCRIPTION_COLUMNS} FROM email_subscriptions WHERE unsubscribe_token = @token`);
+  return result.recordset[0] ?? null;
+}
+
+// Change level / send_time / answers of an active subscription; returns it, or null
+export async function updateSubscription(pool, token, { level, sendTime, answers }) {
+  await pool.request()
+    .input('token', sql.NVarChar(64), token)
+    .input('level', sql.NVarChar(2), level ?? null)
+    .input('send_time', sql.Char(5), sendTime ?? null)
+    .input('answers', sql.NVarChar(20), answers ?? null)
+    .query(`
+      UPDATE email_subscriptions
+      SET level = COALESCE(@level, level),
+          send_time = COALESCE(@send_time, send_time),
+          answers = COALESCE(@answers, answers),
+          updated_at = SYSUTCDATETIME()
+      WHERE unsubscribe_token = @token AND status = 'active'
+    `);
+  const subscription = await getSubscriptionByToken(pool, token);
+  return subscription?.status === 'active' ? subscription : null;
+}
+
+// Returns the subscription (already unsubscribed ones included), or null for an unknown token
+export async function unsubscribe(pool, token) {
+  await pool.request()
+    .input('token', sql.NVarChar(64), token)
+    .query(`
+      UPDATE email_subscriptions
+      SET status = 'unsubscribed', unsubscribed_at = SYSUTCDATETIME(), updated_at = SYSUTCDATETIME()
+      WHERE unsubscribe_token = @token AND status IN ('pending', 'active')
+    `);
+  return getSubscriptionByToken(pool, token);
+}
+
+// Delivery log, newest first. Filters: exam_date, status, email.
+export async function listDeliveries(pool, filters, { offset, pageSize }) {
+  const where = `
+    WHERE (@exam_date IS NULL OR d.exam_date = @exam_date)
+      AND (@status IS NULL OR d.status = @status)
+      AND (@email IS NULL OR s.email = @email)
+  `;
+
+  const result = await pool.request()
+    .input('exam_date', sql.Date, filters.exam_date ?? null)
+    .input('status', sql.NVarChar(20), filters.status ?? null)
+    .input('email', sql.NVarChar(255), filters.email?.trim().toLowerCase() ?? null)
+    .input('offset', sql.Int, offset)
+    .input('page_size', sql.Int, pageSize)
+    .query(`
+      SELECT COUNT(*) AS total
+      FROM email_deliveries d JOIN email_subscriptions s ON s.subscription_id = d.subscription_id
+      ${where};
+
+      SELECT d.delivery_id, d.subscription_id, s.email, d.exam_date, d.batch_id, d.status,
+             d.attempts, d.message_id, d.last_error, d.created_at, d.sent_at
+      FROM email_deliveries d JOIN email_subscriptions s ON s.subscription_id = d.subscription_id
+      ${where}
+      ORDER BY d.created_at DESC, d.delivery_id DESC
+      OFFSET @offset ROWS FETCH NEXT @page_size ROWS ONLY;
+    `);
+
+  const [countRows, items] = result.recordsets;
+  return { total: countRows[0].total, items };
+}
+
+// ---- Delivery ----
+
+function previousDate(examDate) {
+  const date = new Date(`${examDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - 1);
+  return date.toISOString().slice(0, 10);
+}
+
+async function batchForDate(pool, examDate, level) {
+  const result = await pool.request()
+    .input('exam_date', sql.Date, examDate)
+    .input('level', sql.NVarChar(2), level)
+    .query(`
+      SELECT batch_id FROM QuestionBatch
+      WHERE exam_date = @exam_date AND level = @level AND status = 'published'
+    `);
+  return result.recordset[0]?.batch_id ?? null;
+}
+
+/**
+ * Claim today's delivery for a subscription: a new row, or one with attempts
+ * left that failed or was left 'sending' for longer than SEND_LEASE_MINUTES.
+ * Returns true when this caller should send it.
+ */
+async function claimDelivery(pool, subscriptionId, examDate, batchId) {
+  const result = await pool.request()
+    .input('subscription_id', sql.Int, subscriptionId)
+    .input('exam_date', sql.Date, examDate)
+    .input('batch_id', sql.Int, batchId)
+    .input('max_attempts', sql.Int, MAX_SEND_ATTEMPTS)
+    .input('lease_minutes', sql.Int, SEND_LEASE_MINUTES)
+    .query(`
+      IF NOT EXISTS (SELECT 1 FROM email_deliveries WHERE subscription_id = @subscription_id AND exam_date = @exam_date)
+      BEGIN
+        BEGIN TRY
+          INSERT INTO email_deliveries (subscription_id, exam_date, batch_id, status, attempts, claimed_at)
+          VALUES (@subscription_id, @exam_date, @batch_id, 'sending', 1, SYSUTCDATETIME());
+        END TRY
+        BEGIN CATCH
+          -- Another instance claimed it first
+        END CATCH
+      END
+      ELSE
+        UPDATE email_deliveries
+        SET status = 'sending', attempts = attempts + 1, claimed_at = SYSUTCDATETIME()
+        WHERE subscription_id = @subscription_id AND exam_date = @exam_date AND attempts < @max_attempts
+          AND (status = 'failed'
+            OR (status = 'sending' AND COALESCE(claimed_at, created_at) < DATEADD(MINUTE, -@lease_minutes, SYSUTCDATETIME())));
+    `);
+  return result.rowsAffected.some((n) => n > 0);
+}
+
+async function finishDelivery(pool, subscriptionId, examDate, { messageId = null, error = null }) {
+  await pool.request()
+    .input('subscription_id', sql.Int, subscriptionId)
+    .input('exam_date', sql.Date, examDate)
+    .input('status', sql.NVarChar(20), error ? 'failed' : 'sent')
+    .input('message_id', sql.NVarChar(255), messageId)
+    .input('last_error', sql.NVarChar(sql.MAX), error)
+    .query(`
+      UPDATE email_deliveries
+      SET status = @status, message_id = @message_id, last_error = @last_error,
+          sent_at = CASE WHEN @status = 'sent' THEN SYSUTCDATETIME() ELSE sent_at END
+      WHERE subscription_id = @subscription_id AND exam_date = @exam_date
+    `);
+}
+
+/**
+ * Email the day's exam at their level to every active subscriber whose send
+ * time (in EXAM_TIMEZONE) has passed and who hasn't received it yet. A level
+ * is skipped until its QuestionBatch for the day is published. Returns { sent, failed }.
+ */
+export async function deliverDailyExamEmails(pool, mailer, now = new Date()) {
+  const examDate = localDate(EXAM_TIMEZONE, now);
+
+  const due = await pool.request()
+    .input('exam_date', sql.Date, examDate)
+    .input('now', sql.Char(5), localTime(EXAM_TIMEZONE, now))
+    .input('max_attempts', sql.Int, MAX_SEND_ATTEMPTS)
+    .input('lease_minutes', sql.Int, SEND_LEASE_MINUTES)
+    .query(`
+      SELECT s.subscription_id, s.email, s.level, s.answers, s.unsubscribe_token
+      FROM email_subscriptions s
+      WHERE s.status = 'active' AND s.send_time <= @now
+        AND NOT EXISTS (
+          SELECT 1 FROM email_deliveries d
+          WHERE d.subscription_id = s.subscription_id AND d.exam_date = @exam_date
+            AND (d.status = 'sent' OR d.attempts >= @max_attempts
+              OR (d.status = 'sending' AND COALESCE(d.claimed_at, d.created_at) >= DATEADD(MINUTE, -@lease_minutes, SYSUTCDATETIME())))
+        )
+      ORDER BY s.subscription_id
+    `);
+
+  const counts = { sent: 0, failed: 0 };
+  const byLevel = new Map();
+  for (const s of due.recordset) byLevel.set(s.level, [...(byLevel.get(s.level) ?? []), s]);
+
+  for (const [level, subscriptions] of byLevel) {
+    const batchId = await batchForDate(pool, examDate, level);
+    if (!batchId) continue;
+
+    const questions = await loadBatchQuestions(pool, batchId);
+    const passages = await loadBatchPassages(pool, batchId);
+
+    // Yesterday's answers, for subscribers who get them the next day
+    let previous = null;
+    if (subscriptions.some(s => s.answers === 'next_day')) {
+      const date = previousDate(examDate);
+      const previousBatchId = await batchForDate(pool, date, level);
+      if (previousBatchId) {
+        previous = { examDate: date, questions: await loadBatchQuestions(pool, previousBatchId) };
+      }
+    }
+
+    for (const subscription of subscriptions) {
+      await sendExamEmail(pool, mailer, subscription, { examDate, level, batchId, questions, passages, previous }, counts);
+    }
+  }
+
+  if (counts.sent || counts.failed) {
+    console.log(`📧 Exam emails for ${examDate}: ${counts.sent} sent, ${counts.failed} failed`);
+  }
+  return counts;
+}
+
+// Claim, build and send one subscriber's email, counting the outcome in `counts`
+async function sendExamEmail(pool, mailer, subscription, { examDate, level, batchId, questions, passages, previous }, counts) {
+  if (!(await claimDelivery(pool, subscription.subscription_id, examDate, batchId))) return;
+
+  const url = unsubscribeUrl(subscription.unsubscribe_token);
+  const email = buildExamEmail({
+    examDate,
+    level,
+    questions,
+    passages,
+    answers: subscription.answers,
+    previous: subscription.answers === 'next_day' ? previous : null,
+    unsubscribeUrl: url,
+  });
+
+  try {
+    const messageId = await mailer.send({
+      to: subscription.email,
+      ...email,
+      // RFC 8058 one-click: mail clients POST to the URL, which is what unsubscribes
+      headers: { 'List-Unsubscribe': `<${url}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' },
+    });
+    await finishDelivery(pool, subscription.subscription_id, examDate, { messageId });
+    counts.sent++;
+  } catch (err) {
+    await finishDelivery(pool, subscription.subscription_id, examDate, { error: err.message });
+    console.error(`❌ Exam email to subscription ${subscription.subscription_id} failed:`, err.message);
+    counts.failed++;
+  }
+}
+
+/**
+ * Check every EMAIL_SCHEDULER_INTERVAL_MS for exam emails that are due.
+ * Returns an async function that stops the scheduler and waits for sends in progress.
+ */
+export function startEmailScheduler({ db, mailer }) {
+  let running = null;
+
+  const tick = async () => {
+    if (running) return;
+
+    running = (async () => {
+      try {
+        await deliverDailyExamEmails(await db.getPool(), mailer);
+      } catch (err) {
+        console.error('❌ Email scheduler error:', err.message);
+      }
+    })();
+    await running;
+    running = null;
+  };
+
+  const timer = setInterval(tick, CHECK_INTERVAL_MS);
+  tick();
+  console.log(`📧 Exam email scheduler started (${EXAM_TIMEZONE})`);
+
+  return async () => {
+    clearInterval(timer);
+    await running;
+  };
+}
@@ -0,0 +1,35 @@
+export const EXAM_TIMEZONE = process.env.EXAM_TIMEZONE || 'Asia/Tokyo';
+
+function parts(timeZone, date) {
+  const values = {};
+  const formatter = new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  });
+  for (const { type, value } of formatter.formatToParts(date)) values[type] = value;
+  return values;
+}
+
+// Calendar date ('YYYY-MM-DD') in the given timezone
+export function localDate(timeZone = EXAM_TIMEZONE, date = new Date()) {
+  const p = parts(timeZone, date);
+  return `${p.year}-${p.month}-${p.day}`;
+}
+
+// Wall-clock time ('HH:MM') in the given timezone
+export function localTime(timeZone = EXAM_TIMEZONE, date = new Date()) {
+  const p = parts(timeZone, date);
+  return `${p.hour}:${p.minute}`;
+}
+
+// A real 'YYYY-MM-DD' calendar date that SQL Server's DATE can hold (2024-13-45 is not)
+export function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || value < '0001-01-01') return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
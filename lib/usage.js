@@ -0,0 +1,107 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import sql from 'mssql';
+
+export const USAGE_OUTCOMES = ['ok', 'rate_limited', 'server_error', 'error', 'invalid_response'];
+
+// The request (or background job) an LLM call is made for
+const routeContext = new AsyncLocalStorage();
+
+// Express middleware: LLM calls made while handling this request are logged against its route
+export function trackUsageRoute(req, res, next) {
+  routeContext.run({ req }, next);
+}
+
+// Run `fn` with LLM calls logged against `route` (for scheduled work outside requests)
+export function withUsageRoute(route, fn) {
+  return routeContext.run({ route }, fn);
+}
+
+function currentRoute() {
+  const store = routeContext.getStore();
+  if (!store) return 'background';
+  if (store.route) return store.route;
+
+  const { req } = store;
+  return `${req.method} ${req.route ? `${req.baseUrl}${req.route.path}` : req.path}`;
+}
+
+/**
+ * Usage ledger: `record` is passed to createLlm as `onUsage` and writes one
+ * llm_usage row per call. Writes happen in the background, so a ledger
+ * failure never fails the generation itself.
+ */
+export function createUsageLedger(db) {
+  return {
+    record(entry) {
+      const route = currentRoute();
+
+      db.getPool()
+        .then((pool) => pool.request()
+          .input('route', sql.NVarChar(200), route)
+          .input('task', sql.NVarChar(50), entry.task ?? null)
+          .input('provider', sql.NVarChar(20), entry.provider)
+          .input('model', sql.NVarChar(100), entry.model)
+          .input('key_alias', sql.NVarChar(100), entry.key_alias ?? null)
+          .input('prompt_tokens', sql.Int, entry.prompt_tokens ?? null)
+          .input('output_tokens', sql.Int, entry.output_tokens ?? null)
+          .input('total_tokens', sql.Int, entry.total_tokens ?? null)
+          .input('latency_ms', sql.Int, entry.latency_ms)
+          .input('outcome', sql.NVarChar(30), entry.outcome)
+          .input('status_code', sql.Int, entry.status_code ?? null)
+          .input('error', sql.NVarChar(1000), entry.error ? String(entry.error).slice(0, 1000) : null)
+          .query(`
+            INSERT INTO llm_usage (route, task, provider, model, key_alias, prompt_tokens, output_tokens,
+                                   total_tokens, latency_ms, outcome, status_code, error)
+            VALUES (@route, @task, @provider, @model, @key_alias, @prompt_tokens, @output_tokens,
+                    @total_tokens, @latency_ms, @outcome, @status_code, @error)
+          `))
+        .catch((err) => console.error('⚠️ Usage ledger write failed:', err.message));
+    },
+  };
+}
+
+/**
+ * Ledger rows matching the filters, newest first, plus per-key totals.
+ * Filters: from/to (YYYY-MM-DD, UTC, inclusive), key_alias, route, outcome.
+ */
+export async function queryUsage(pool, filters, { offset, pageSize }) {
+  const where = `
+    WHERE (@from IS NULL OR created_at >= @from)
+      AND (@to IS NULL OR created_at < DATEADD(DAY, 1, @to))
+      AND (@key_alias IS NULL OR key_alias = @key_alias)
+      AND (@route IS NULL OR route = @route)
+      AND (@outcome IS NULL OR outcome = @outcome)
+  `;
+
+  const result = await pool.request()
+    .input('from', sql.Date, filters.from)
+    .input('to', sql.Date, filters.to)
+    .input('key_alias', sql.NVarChar(100), filters.key_alias)
+    .input('route', sql.NVarChar(200), filters.route)
+    .input('outcome', sql.NVarChar(30), filters.outcome)
+    .input('offset', sql.Int, offset)
+    .input('page_size', sql.Int, pageSize)
+    .query(`
+      SELECT COUNT(*) AS total FROM llm_usage ${where};
+
+      SELECT key_alias,
+             COUNT(*) AS calls,
+             SUM(CASE WHEN outcome = 'ok' THEN 1 ELSE 0 END) AS ok,
+             SUM(CASE WHEN outcome = 'rate_limited' THEN 1 ELSE 0 END) AS rate_limited,
+             SUM(CASE WHEN outcome NOT IN ('ok', 'rate_limited') THEN 1 ELSE 0 END) AS failed,
+             SUM(COALESCE(total_tokens, 0)) AS total_tokens,
+             AVG(latency_ms) AS avg_latency_ms
+      FROM llm_usage ${where}
+      GROUP BY key_alias
+      ORDER BY key_alias;
+
+      SELECT usage_id, created_at, route, task, provider, model, key_alias, prompt_tokens,
+             output_tokens, total_tokens, latency_ms, outcome, status_code, error
+      FROM llm_usage ${where}
+      ORDER BY created_at DESC, usage_id DESC
+      OFFSET @offset ROWS FETCH NEXT @page_size ROWS ONLY;
+    `);
+
+  const [countRows, totals, items] = result.recordsets;
+  return { total: countRows[0].total, totals, items };
+}
@@ -0,0 +1,69 @@
+import sql from 'mssql';
+import { hashPassword } from './auth.js';
+
+const USER_COLUMNS = 'user_id, email, role, created_at';
+
+export function normalizeEmail(email) {
+  return String(email ?? '').trim().toLowerCase();
+}
+
+export function isEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+}
+
+// Create an account; returns null when the email is already taken
+export async function createUser(conn, { email, password, role = 'learner' }) {
+  const passwordHash = await hashPassword(password);
+
+  try {
+    const result = await new sql.Request(conn)
+      .input('email', sql.NVarChar(255), normalizeEmail(email))
+      .input('password_hash', sql.NVarChar(255), passwordHash)
+      .input('role', sql.NVarChar(20), role)
+      .query(`
+        IF NOT EXISTS (SELECT 1 FROM users WHERE email = @email)
+          INSERT INTO users (email, password_hash, role)
+          OUTPUT INSERTED.user_id, INSERTED.email, INSERTED.role, INSERTED.created_at
+          VALUES (@email, @password_hash, @role);
+      `);
+    return result.recordset?.[0] ?? null;
+  } catch (err) {
+    // A concurrent signup with the same email won the race for UX_users_email
+    if (err.number === 2601 || err.number === 2627) return null;
+    throw err;
+  }
+}
+
+// Includes password_hash, for login only
+export async function findUserByEmail(conn, email) {
+  const result = await new sql.Request(conn)
+    .input('email', sql.NVarChar(255), normalizeEmail(email))
+    .query(`SELECT ${USER_COLUMNS}, password_hash FROM users WHERE email = @email`);
+  return result.recordset[0] ?? null;
+}
+
+export async function getUser(conn, userId) {
+  const result = await new sql.Request(conn)
+    .input('user_id', sql.Int, userId)
+    .query(`SELECT ${USER_COLUMNS} FROM users WHERE user_id = @user_id`);
+  return result.recordset[0] ?? null;
+}
+
+export async function listUsers(conn) {
+  const result = await new sql.Request(conn)
+    .query(`SELECT ${USER_COLUMNS} FROM users ORDER BY user_id`);
+  return result.recordset;
+}
+
+// Returns the updated user, or null when it doesn't exist
+export async function setUserRole(conn, userId, role) {
+  const result = await new sql.Request(conn)
+    .input('user_id', sql.Int, userId)
+    .input('role', sql.NVarChar(20), role)
+    .query(`
+      UPDATE users SET role = @role
+      OUTPUT INSERTED.user_id, INSERTED.email, INSERTED.role, INSERTED.created_at
+      WHERE user_id = @user_id
+    `);
+  return result.recordset[0] ?? null;
+}
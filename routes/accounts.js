@@ -0,0 +1,129 @@
+import express from 'express';
+import {
+  MAX_PASSWORD_LENGTH,
+  MIN_PASSWORD_LENGTH,
+  requireAdmin,
+  requireUser,
+  ROLES,
+  signToken,
+  verifyPassword,
+} from '../lib/auth.js';
+import {
+  createUser,
+  findUserByEmail,
+  getUser,
+  isEmail,
+  listUsers,
+  normalizeEmail,
+  setUserRole,
+} from '../lib/users.js';
+
+function accountInputErrors({ email, password } = {}) {
+  const errors = [];
+  if (!isEmail(normalizeEmail(email))) errors.push('email must be a valid email address');
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+  }
+  return errors;
+}
+
+export function accountsRouter({ db }) {
+  const router = express.Router();
+
+  // Register a learner account: { "email": "...", "password": "..." }
+  router.post('/api/auth/register', async (req, res) => {
+    try {
+      const errors = accountInputErrors(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid input', details: errors });
+      }
+
+      const pool = await db.getPool();
+      const user = await createUser(pool, { email: req.body.email, password: req.body.password });
+      if (!user) {
+        return res.status(409).json({ error: 'An account with this email already exists' });
+      }
+
+      res.status(201).json({ user, ...signToken(user) });
+    } catch (err) {
+      console.error('❌ Register error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Exchange email + password for a bearer token
+  router.post('/api/auth/login', async (req, res) => {
+    try {
+      const { email, password } = req.body ?? {};
+      if (typeof email !== 'string' || typeof password !== 'string') {
+        return res.status(400).json({ error: 'email and password are required' });
+      }
+      if (password.length > MAX_PASSWORD_LENGTH) {
+        return res.status(400).json({ error: `password must be at most ${MAX_PASSWORD_LENGTH} characters` });
+      }
+
+      const pool = await db.getPool();
+      const found = await findUserByEmail(pool, email);
+      // Unknown emails still pay for a hash, so response times don't reveal which accounts exist
+      if (!(await verifyPassword(password, found?.password_hash ?? null))) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+      }
+
+      const { password_hash: _, ...user } = found;
+      res.json({ user, ...signToken(user) });
+    } catch (err) {
+      console.error('❌ Login error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/api/auth/me', requireUser, async (req, res) => {
+    try {
+      const pool = await db.getPool();
+      const user = await getUser(pool, parseInt(req.user.id, 10));
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json(user);
+    } catch (err) {
+      console.error('❌ Current user error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/api/users', requireAdmin, async (req, res) => {
+    try {
+      const pool = await db.getPool();
+      res.json(await listUsers(pool));
+    } catch (err) {
+      console.error('❌ List users error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Promote or demote an account: { "role": "learner" | "admin" }
+  router.patch('/api/users/:id/role', requireAdmin, async (req, res) => {
+    try {
+      const userId = parseInt(req.params.id, 10);
+      const { role } = req.body ?? {};
+      if (Number.isNaN(userId)) {
+        return res.status(400).json({ error: 'Invalid user id' });
+      }
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+      }
+
+      const pool = await db.getPool();
+      const user = await setUserRole(pool, userId, role);
+      if (!user) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      res.json(user);
+    } catch (err) {
+      console.error('❌ Set role error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,78 @@
+import express from 'express';
+import { DELIVERY_STATUSES, listDeliveries } from '../lib/subscriptions.js';
+import { queryUsage, USAGE_OUTCOMES } from '../lib/usage.js';
+import { paginated, parsePagination } from '../lib/pagination.js';
+import { requireAdmin } from '../lib/auth.js';
+import { repeatedParams } from '../lib/query.js';
+import { isValidDate } from '../lib/time.js';
+
+export function adminRouter({ db, llm }) {
+  const router = express.Router();
+
+  /**
+   * LLM usage ledger (admin): per-key totals and the matching calls, newest first.
+   * Filters: from, to (YYYY-MM-DD, UTC), key_alias, route, outcome. Pages: page, page_size (max 200).
+   * `keys` shows this server's live key pool: calls, in-flight requests and cool-downs.
+   */
+  router.get('/api/admin/usage', requireAdmin, async (req, res) => {
+    try {
+      const repeated = repeatedParams(req.query, ['from', 'to', 'key_alias', 'route', 'outcome', 'page', 'page_size']);
+      if (repeated.length > 0) {
+        return res.status(400).json({ error: `${repeated.join(', ')} may only be given once` });
+      }
+
+      const { from = null, to = null, key_alias = null, route = null, outcome = null } = req.query;
+      if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+      }
+      if (outcome && !USAGE_OUTCOMES.includes(outcome)) {
+        return res.status(400).json({ error: `outcome must be one of: ${USAGE_OUTCOMES.join(', ')}` });
+      }
+
+      const pagination = parsePagination(req.query, { defaultSize: 50, maxSize: 200 });
+
+      const pool = await db.getPool();
+      const usage = await queryUsage(pool, { from, to, key_alias, route, outcome }, pagination);
+
+      res.json({
+        provider: llm.provider,
+        model: llm.model,
+        keys: llm.keyStatus(),
+        totals: usage.totals,
+        ...paginated(pagination, usage.total, usage.items),
+      });
+    } catch (err) {
+      console.error('❌ Usage ledger error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Delivery log (admin). Filters: exam_date, status, email. Pages: page, page_size (max 200).
+  router.get('/api/admin/deliveries', requireAdmin, async (req, res) => {
+    try {
+      const repeated = repeatedParams(req.query, ['exam_date', 'status', 'email', 'page', 'page_size']);
+      if (repeated.length > 0) {
+        return res.status(400).json({ error: `${repeated.join(', ')} may only be given once` });
+      }
+
+      const { exam_date = null, status = null, email = null } = req.query;
+      if (exam_date && !isValidDate(exam_date)) {
+        return res.status(400).json({ error: 'exam_date must be a YYYY-MM-DD date' });
+      }
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}` });
+      }
+
+      const pagination = parsePagination(req.query, { defaultSize: 50, maxSize: 200 });
+
+      const pool = await db.getPool();
+      const deliveries = await listDeliveries(pool, { exam_date, status, email }, pagination);
+      res.json(paginated(pagination, deliveries.total, deliveries.items));
+    } catch (err) {
+      console.error('❌ Delivery log error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
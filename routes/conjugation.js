@@ -0,0 +1,115 @@
+import express from 'express';
+import {
+  CONJUGATION_FORMS,
+  WORD_TYPES,
+  classifyWord,
+  conjugateAll,
+  formsFor,
+  lexiconEntry,
+} from '../lib/conjugation.js';
+import { buildConjugationDrill, drillRequestErrors, gradeConjugationDrill } from '../lib/drills.js';
+
+// Drill errors carry a status and sometimes per-item details
+function sendDrillError(res, err) {
+  res.status(err.status || 500).json({ error: err.message, ...(err.details && { details: err.details }) });
+}
+
+export function conjugationRouter({ db }) {
+  const router = express.Router();
+
+  /**
+   * Conjugate a verb or adjective: word (dictionary form), form (one of
+   * CONJUGATION_FORMS; every form the word has when omitted), type (godan,
+   * ichidan, suru, kuru, i_adjective, na_adjective; worked out from the word
+   * otherwise, with "guessed": true unless it is a known word).
+   */
+  router.get('/api/conjugate', (req, res) => {
+    try {
+      const word = String(req.query.word ?? '').trim();
+      const { form, type } = req.query;
+      if (!word) {
+        return res.status(400).json({ error: 'word is required' });
+      }
+      if (word.length > 50) {
+        return res.status(400).json({ error: 'word must be at most 50 characters' });
+      }
+      if (type !== undefined && !WORD_TYPES.includes(type)) {
+        return res.status(400).json({ error: `type must be one of: ${WORD_TYPES.join(', ')}` });
+      }
+      if (form !== undefined && !CONJUGATION_FORMS[form]) {
+        return res.status(400).json({ error: `form must be one of: ${Object.keys(CONJUGATION_FORMS).join(', ')}` });
+      }
+
+      const entry = lexiconEntry(word);
+      const wordType = type ?? classifyWord(word);
+      if (!wordType) {
+        return res.status(400).json({
+          error: `"${word}" is not a Japanese verb or adjective in dictionary form; pass type to conjugate it anyway`,
+        });
+      }
+      if (form && !formsFor(wordType).includes(form)) {
+        return res.status(400).json({
+          error: `${wordType} words have no ${CONJUGATION_FORMS[form]} (forms: ${formsFor(wordType).join(', ')})`,
+        });
+      }
+
+      const all = conjugateAll(word, wordType);
+      const readings = entry && wordType === entry.type && entry.reading !== word
+        ? conjugateAll(entry.reading, entry.type)
+        : null;
+      const forms = (form ? [form] : formsFor(wordType)).map(f => ({
+        form: f,
+        form_label: CONJUGATION_FORMS[f],
+        conjugated: all[f],
+        ...(readings && { conjugated_reading: readings[f] }),
+      }));
+
+      res.json({
+        word,
+        type: wordType,
+        ...(!type && !entry && { guessed: true }),
+        ...(entry && { reading: entry.reading, meaning: entry.meaning }),
+        ...(form ? forms[0] : { forms }),
+      });
+    } catch (err) {
+      console.error('❌ Conjugate error:', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * A randomized conjugation drill:
+   * { count? (1–50, default 10), forms?, types?, level? (default N4), grammar_ids?, seed?, answers? }
+   * The seed is returned so the same drill can be drawn again.
+   */
+  router.post('/api/drills/conjugation', async (req, res) => {
+    try {
+      const errors = drillRequestErrors(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid drill request', details: errors });
+      }
+
+      const { count, forms, types, level, grammar_ids: grammarIds, seed, answers } = req.body ?? {};
+      const pool = grammarIds ? await db.getPool() : null;
+      const drill = await buildConjugationDrill(pool, {
+        count, forms, types, level, grammarIds, seed, answers,
+      });
+      res.json(drill);
+    } catch (err) {
+      console.error('❌ Conjugation drill error:', err.message);
+      sendDrillError(res, err);
+    }
+  });
+
+  // Grade a drill: { "answers": [{ "word", "form", "type"?, "answer" }] }
+  router.post('/api/drills/conjugation/grade', (req, res) => {
+    try {
+      res.json(gradeConjugationDrill(req.body?.answers));
+    } catch (err) {
+      console.error('❌ Grade drill error:', err.message);
+      sendDrillError(res, err);
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,184 @@
+import express from 'express';
+import sql from 'mssql';
+import { badRequest } from './helpers.js';
+import {
+  deleteExample,
+  deleteVocab,
+  findVocabExample,
+  insertExample,
+  insertVocab,
+  loadExample,
+  patchExample,
+  patchVocab,
+} from '../lib/examples.js';
+import { requireAdmin } from '../lib/auth.js';
+import { validateExampleInput, validateVocabInput } from '../lib/schemas.js';
+import { contentCache } from '../lib/cache.js';
+
+// Parent table holding each kind of example, for 404 checks (kinds double as cache tags)
+const EXAMPLE_PARENTS = {
+  grammar: { table: 'GrammarPoints', column: 'GrammarId', label: 'Grammar point' },
+  kanji: { table: 'KanjiInfo', column: 'Id', label: 'Kanji' },
+};
+
+function addExampleHandler(db, kind) {
+  return async (req, res) => {
+    let tx;
+    try {
+      const parentId = parseInt(req.params.id, 10);
+      if (badRequest(res, parentId, validateExampleInput(req.body))) return;
+
+      const parent = EXAMPLE_PARENTS[kind];
+      const pool = await db.getPool();
+      const found = await pool.request()
+        .input('id', sql.Int, parentId)
+        .query(`SELECT 1 AS found FROM ${parent.table} WHERE ${parent.column} = @id`);
+      if (found.recordset.length === 0) {
+        return res.status(404).json({ error: `${parent.label} not found` });
+      }
+
+      tx = new sql.Transaction(pool);
+      await tx.begin();
+      const exampleId = await insertExample(tx, kind, parentId, req.body);
+      await tx.commit();
+
+      contentCache.invalidate(kind);
+      res.status(201).json(await loadExample(pool, kind, exampleId));
+    } catch (err) {
+      if (tx) await tx.rollback();
+      console.error('❌ Example create error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+function patchExampleHandler(db, kind) {
+  return async (req, res) => {
+    try {
+      const exampleId = parseInt(req.params.exampleId, 10);
+      if (badRequest(res, exampleId, validateExampleInput(req.body, { partial: true }))) return;
+
+      const pool = await db.getPool();
+      if (!(await patchExample(pool, kind, exampleId, req.body))) {
+        return res.status(404).json({ error: 'Example not found' });
+      }
+
+      contentCache.invalidate(kind);
+      res.json(await loadExample(pool, kind, exampleId));
+    } catch (err) {
+      console.error('❌ Example update error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+function deleteExampleHandler(db, kind) {
+  return async (req, res) => {
+    let tx;
+    try {
+      const exampleId = parseInt(req.params.exampleId, 10);
+      if (badRequest(res, exampleId, [])) return;
+
+      const pool = await db.getPool();
+      tx = new sql.Transaction(pool);
+      await tx.begin();
+
+      if (!(await deleteExample(tx, kind, exampleId))) {
+        await tx.rollback();
+        tx = null;
+        return res.status(404).json({ error: 'Example not found' });
+      }
+      await tx.commit();
+
+      contentCache.invalidate(kind);
+      res.status(204).end();
+    } catch (err) {
+      if (tx) await tx.rollback();
+      console.error('❌ Example delete error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+function addVocabHandler(db, kind) {
+  return async (req, res) => {
+    try {
+      const exampleId = parseInt(req.params.exampleId, 10);
+      if (badRequest(res, exampleId, validateVocabInput(req.body))) return;
+
+      const pool = await db.getPool();
+      if (!(await loadExample(pool, kind, exampleId))) {
+        return res.status(404).json({ error: 'Example not found' });
+      }
+
+      await insertVocab(pool, kind, exampleId, req.body);
+      contentCache.invalidate(kind);
+      res.status(201).json(await loadExample(pool, kind, exampleId));
+    } catch (err) {
+      console.error('❌ Vocab create error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+function patchVocabHandler(db, kind) {
+  return async (req, res) => {
+    try {
+      const vocabId = parseInt(req.params.vocabId, 10);
+      if (badRequest(res, vocabId, validateVocabInput(req.body, { partial: true }))) return;
+
+      const pool = await db.getPool();
+      if (!(await patchVocab(pool, kind, vocabId, req.body))) {
+        return res.status(404).json({ error: 'Vocabulary entry not found' });
+      }
+
+      const exampleId = await findVocabExample(pool, kind, vocabId);
+      contentCache.invalidate(kind);
+      res.json(await loadExample(pool, kind, exampleId));
+    } catch (err) {
+      console.error('❌ Vocab update error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+function deleteVocabHandler(db, kind) {
+  return async (req, res) => {
+    try {
+      const vocabId = parseInt(req.params.vocabId, 10);
+      if (badRequest(res, vocabId, [])) return;
+
+      const pool = await db.getPool();
+      if (!(await deleteVocab(pool, kind, vocabId))) {
+        return res.status(404).json({ error: 'Vocabulary entry not found' });
+      }
+
+      contentCache.invalidate(kind);
+      res.status(204).end();
+    } catch (err) {
+      console.error('❌ Vocab delete error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  };
+}
+
+export function examplesRouter({ db }) {
+  const router = express.Router();
+
+  router.post('/api/grammar/:id/examples', requireAdmin, addExampleHandler(db, 'grammar'));
+  router.patch('/api/examples/:exampleId', requireAdmin, patchExampleHandler(db, 'grammar'));
+  router.delete('/api/examples/:exampleId', requireAdmin, deleteExampleHandler(db, 'grammar'));
+  router.post('/api/examples/:exampleId/vocab', requireAdmin, addVocabHandler(db, 'grammar'));
+  router.patch('/api/vocabulary/:vocabId', requireAdmin, patchVocabHandler(db, 'grammar'));
+  router.delete('/api/vocabulary/:vocabId', requireAdmin, deleteVocabHandler(db, 'grammar'));
+
+  // Kanji examples use their own tables, so their ids live under /api/kanji
+  router.post('/api/kanji/:id/examples', requireAdmin, addExampleHandler(db, 'kanji'));
+  router.patch('/api/kanji/examples/:exampleId', requireAdmin, patchExampleHandler(db, 'kanji'));
+  router.delete('/api/kanji/examples/:exampleId', requireAdmin, deleteExampleHandler(db, 'kanji'));
+  router.post('/api/kanji/examples/:exampleId/vocab', requireAdmin, addVocabHandler(db, 'kanji'));
+  router.patch('/api/kanji/vocab/:vocabId', requireAdmin, patchVocabHandler(db, 'kanji'));
+  router.delete('/api/kanji/vocab/:vocabId', requireAdmin, deleteVocabHandler(db, 'kanji'));
+
+  return router;
+}
@@ -0,0 +1,449 @@
+import express from 'express';
+import sql from 'mssql';
+import { EXAM_TIMEZONE, isValidDate, localDate } from '../lib/time.js';
+import { EXAM_LEVELS, getDailyExamRun } from '../lib/scheduler.js';
+import { DEFAULT_LEVEL, STUDY_LEVELS } from '../lib/levels.js';
+import { BATCH_STATUSES } from '../lib/moderation.js';
+import {
+  ANSWERS_LOCKED,
+  canSeeAnswers,
+  canViewBatch,
+  gradeQuestions,
+  groupPassages,
+  loadBatch,
+  loadBatchPassages,
+  loadAttemptResults,
+  loadBatchQuestions,
+  toAnswerSheetEntry,
+  toStudentQuestion,
+} from '../lib/exam.js';
+import { learnerIdFor, requireUser } from '../lib/auth.js';
+import { paginated, parsePagination } from '../lib/pagination.js';
+import { repeatedParams } from '../lib/query.js';
+import { recordExamReviews } from '../lib/review.js';
+import { cachedEntry, sendEntry } from '../lib/cache.js';
+
+const EXAM_VIEWS = ['student', 'full'];
+
+// ?view= of the exam routes: student (no answers, the default) or full
+function parseView(req, res) {
+  const view = req.query.view ?? 'student';
+  if (!EXAM_VIEWS.includes(view)) {
+    res.status(400).json({ error: `view must be one of: ${EXAM_VIEWS.join(', ')}` });
+    return null;
+  }
+  if (view === 'full' && !req.user) {
+    res.status(401).json({ error: 'Sign in required' });
+    return null;
+  }
+  return view;
+}
+
+export function examsRouter({ db }) {
+  const router = express.Router();
+
+  /**
+   * Today's exam for ?level= (N5–N2, default N4), without answers.
+   * ?view=full adds them for admins and learners who have submitted an attempt.
+   */
+  router.get('/api/exam/today', async (req, res) => {
+    try {
+      const level = req.query.level ?? DEFAULT_LEVEL;
+      if (!STUDY_LEVELS.includes(level)) {
+        return res.status(400).json({ error: `level must be one of: ${STUDY_LEVELS.join(', ')}` });
+      }
+      const view = parseView(req, res);
+      if (!view) return;
+
+      // 1. Resolve "today" in the exam timezone
+      const today = localDate(EXAM_TIMEZONE);
+      const studentView = view === 'student';
+
+      // 2. Serve that day's batch from the cache, or load it with its questions and options
+      const key = `exam:today:${today}:${level}:${studentView ? 'student' : 'full'}`;
+      const entry = await cachedEntry(key, ['exam'], async () => {
+        const pool = await db.getPool();
+        const batchResult = await pool.request()
+          .input('exam_date', sql.Date, today)
+          .input('level', sql.NVarChar(2), level)
+          .query(`
+            SELECT batch_id, created_at, exam_date, level, grammar_list, kanji_list
+            FROM QuestionBatch
+            WHERE exam_date = @exam_date AND level = @level AND status = 'published';
+          `);
+        if (batchResult.recordset.length === 0) return null;
+
+        const batch = batchResult.recordset[0];
+        const questions = await loadBatchQuestions(pool, batch.batch_id);
+        const passages = await loadBatchPassages(pool, batch.batch_id);
+        return {
+          status: 'ready',
+          batch_id: batch.batch_id,
+          created_at: batch.created_at,
+          exam_date: today,
+          level,
+          timezone: EXAM_TIMEZONE,
+          grammar_list: JSON.parse(batch.grammar_list),
+          kanji_list: JSON.parse(batch.kanji_list),
+          ...groupPassages(questions, passages, studentView ? toStudentQuestion : undefined),
+        };
+      });
+      if (entry) {
+        if (!studentView && !(await canSeeAnswers(await db.getPool(), JSON.parse(entry.body).batch_id, req.user))) {
+          return res.status(403).json({ error: ANSWERS_LOCKED });
+        }
+        return sendEntry(req, res, entry);
+      }
+
+      // 3. No published batch yet: explain why (not cached, so the exam shows up as soon as it is published)
+      if (!EXAM_LEVELS.includes(level)) {
+        return res.status(404).json({ message: `No daily exam is generated for ${level}` });
+      }
+      const run = await getDailyExamRun(await db.getPool(), today, level);
+
+      if (run?.status === 'ready') {
+        return res.status(202).json({
+          status: 'in_review',
+          exam_date: today,
+          level,
+          timezone: EXAM_TIMEZONE,
+          message: 'Today\'s exam is waiting for review, try again later',
+        });
+      }
+
+      if (run?.status === 'failed') {
+        return res.status(503).json({
+          status: 'failed',
+          exam_date: today,
+          level,
+          timezone: EXAM_TIMEZONE,
+          message: 'Generating today\'s exam failed',
+          attempts: run.attempts,
+          last_error: run.last_error,
+          next_attempt_at: run.next_attempt_at,
+        });
+      }
+      if (!run || run.status === 'running') {
+        return res.status(202).json({
+          status: 'pending',
+          exam_date: today,
+          level,
+          timezone: EXAM_TIMEZONE,
+          message: 'Today\'s exam is being generated, try again shortly',
+          attempts: run?.attempts ?? 0,
+        });
+      }
+      res.status(404).json({ message: 'No exam found for today' });
+    } catch (err) {
+      console.error('❌ Get today exam error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Exam archive: batch metadata, newest first.
+   * Query: from / to (YYYY-MM-DD, inclusive), type (daily | practice | all),
+   * level (N5–N2), page (1-based) and page_size (max 100). Learners only see
+   * published batches; admins see drafts too and may filter with status.
+   */
+  router.get('/api/exams', async (req, res) => {
+    try {
+      const repeated = repeatedParams(req.query, ['from', 'to', 'type', 'level', 'status', 'page', 'page_size']);
+      if (repeated.length > 0) {
+        return res.status(400).json({ error: `${repeated.join(', ')} may only be given once` });
+      }
+
+      const { from = null, to = null, type = 'all', level = null } = req.query;
+      const isAdmin = req.user?.role === 'admin';
+      const status = isAdmin ? req.query.status ?? null : 'published';
+      if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+      }
+      if (!['daily', 'practice', 'all'].includes(type)) {
+        return res.status(400).json({ error: 'type must be daily, practice or all' });
+      }
+      if (level && !STUDY_LEVELS.includes(level)) {
+        return res.status(400).json({ error: `level must be one of: ${STUDY_LEVELS.join(', ')}` });
+      }
+      if (status && !BATCH_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${BATCH_STATUSES.join(', ')}` });
+      }
+
+      const pagination = parsePagination(req.query);
+
+      const pool = await db.getPool();
+
+      // Daily exams are dated by exam_date; practice batches by their creation day
+      const where = `
+        WHERE (@from IS NULL OR COALESCE(b.exam_date, CAST(b.created_at AS DATE)) >= @from)
+          AND (@to IS NULL OR COALESCE(b.exam_date, CAST(b.created_at AS DATE)) <= @to)
+          AND (@type = 'all'
+            OR (@type = 'daily' AND b.exam_date IS NOT NULL)
+            OR (@type = 'practice' AND b.exam_date IS NULL))
+          AND (@level IS NULL OR b.level = @level)
+          AND (@status IS NULL OR b.status = @status)
+      `;
+
+      const result = await pool.request()
+        .input('from', sql.Date, from)
+        .input('to', sql.Date, to)
+        .input('type', sql.NVarChar(20), type)
+        .input('level', sql.NVarChar(2), level)
+        .input('status', sql.NVarChar(20), status)
+        .input('offset', sql.Int, pagination.offset)
+        .input('page_size', sql.Int, pagination.pageSize)
+        .query(`
+          SELECT COUNT(*) AS total FROM QuestionBatch b ${where};
+
+          SELECT b.batch_id, b.created_at, b.exam_date, b.level, b.status, b.generator, b.grammar_list, b.kanji_list,
+                 (SELECT COUNT(*) FROM questions q WHERE q.batch_id = b.batch_id AND q.status = 'active') AS question_count
+          FROM QuestionBatch b
+          ${where}
+          ORDER BY b.created_at DESC
+          OFFSET @offset ROWS FETCH NEXT @page_size ROWS ONLY;
+        `);
+
+      const [countRows, batchRows] = result.recordsets;
+
+      res.json(paginated(pagination, countRows[0].total, batchRows.map(batch => ({
+        ...batch,
+        grammar_list: JSON.parse(batch.grammar_list),
+        kanji_list: JSON.parse(batch.kanji_list),
+      }))));
+    } catch (err) {
+      console.error('❌ List exams error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * A batch without answers; ?view=full adds them for admins and learners who
+   * have submitted an attempt. Reading questions sit under their passages.
+   */
+  router.get('/api/exam/:batchId', async (req, res) => {
+    try {
+      const batchId = parseInt(req.params.batchId, 10);
+      if (Number.isNaN(batchId)) {
+        return res.status(400).json({ error: 'Invalid batch id' });
+      }
+      const view = parseView(req, res);
+      if (!view) return;
+
+      const pool = await db.getPool();
+
+      const batch = await loadBatch(pool, batchId);
+      if (!batch || !canViewBatch(batch, req.user)) {
+        return res.status(404).json({ error: 'Exam not found' });
+      }
+      const studentView = view === 'student';
+      if (!studentView && !(await canSeeAnswers(pool, batchId, req.user))) {
+        return res.status(403).json({ error: ANSWERS_LOCKED });
+      }
+
+      const questions = await loadBatchQuestions(pool, batchId);
+      const passages = await loadBatchPassages(pool, batchId);
+
+      res.json({
+        ...batch,
+        ...groupPassages(questions, passages, studentView ? toStudentQuestion : undefined),
+      });
+    } catch (err) {
+      console.error('❌ Get exam error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Answer sheet: correct option and explanation per question (admins, and learners who have submitted an attempt)
+  router.get('/api/exam/:batchId/answers', requireUser, async (req, res) => {
+    try {
+      const batchId = parseInt(req.params.batchId, 10);
+      if (Number.isNaN(batchId)) {
+        return res.status(400).json({ error: 'Invalid batch id' });
+      }
+
+      const pool = await db.getPool();
+
+      const batch = await loadBatch(pool, batchId);
+      if (!batch || !canViewBatch(batch, req.user)) {
+        return res.status(404).json({ error: 'Exam not found' });
+      }
+      if (!(await canSeeAnswers(pool, batchId, req.user))) {
+        return res.status(403).json({ error: ANSWERS_LOCKED });
+      }
+
+      const questions = await loadBatchQuestions(pool, batchId);
+
+      res.json({
+        batch_id: batch.batch_id,
+        created_at: batch.created_at,
+        exam_date: batch.exam_date,
+        level: batch.level,
+        answers: questions.map(toAnswerSheetEntry),
+      });
+    } catch (err) {
+      console.error('❌ Get answer sheet error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Student view of a batch: questions and options only, no answers
+  router.get('/api/exam/:batchId/student', async (req, res) => {
+    try {
+      const batchId = parseInt(req.params.batchId, 10);
+      if (Number.isNaN(batchId)) {
+        return res.status(400).json({ error: 'Invalid batch id' });
+      }
+
+      const pool = await db.getPool();
+
+      const batch = await loadBatch(pool, batchId);
+      if (!batch || !canViewBatch(batch, req.user)) {
+        return res.status(404).json({ error: 'Exam not found' });
+      }
+
+      const questions = await loadBatchQuestions(pool, batchId);
+      const passages = await loadBatchPassages(pool, batchId);
+
+      res.json({
+        ...batch,
+        ...groupPassages(questions, passages, toStudentQuestion),
+      });
+    } catch (err) {
+      console.error('❌ Get student exam error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Submit an attempt for the signed-in learner:
+   * { "answers": [{ "question_id": 1, "option_id": 3 }] }
+   * Admins may add "learner_id" to submit on a learner's behalf.
+   */
+  router.post('/api/exam/:batchId/attempts', requireUser, async (req, res) => {
+    let tx;
+    try {
+      const batchId = parseInt(req.params.batchId, 10);
+      if (Number.isNaN(batchId)) {
+        return res.status(400).json({ error: 'Invalid batch id' });
+      }
+
+      const { answers } = req.body ?? {};
+      const learnerId = learnerIdFor(req, req.body?.learner_id);
+      if (!Array.isArray(answers) || !answers.every(a => a !== null && typeof a === 'object'
+        && Number.isInteger(a.question_id) && Number.isInteger(a.option_id))) {
+        return res.status(400).json({ error: '"answers" must be an array of { question_id, option_id } with integer ids' });
+      }
+
+      const pool = await db.getPool();
+
+      // 1. Load the batch questions to grade against (drafts can't be taken)
+      const batch = await loadBatch(pool, batchId);
+      const questions = batch?.status === 'published' ? await loadBatchQuestions(pool, batchId) : [];
+      if (questions.length === 0) {
+        return res.status(404).json({ error: 'Exam not found' });
+      }
+
+      // 2. Check every answer refers to an option of a question in this batch
+      const chosen = new Map();
+      for (const { question_id: questionId, option_id: optionId } of answers) {
+        const question = questions.find((q) => q.question_id === questionId);
+        if (!question) {
+          return res.status(400).json({ error: `Question ${questionId} is not part of exam ${batchId}` });
+        }
+        if (!question.options.some((o) => o.option_id === optionId)) {
+          return res.status(400).json({ error: `Option ${optionId} does not belong to question ${questionId}` });
+        }
+        chosen.set(questionId, optionId);
+      }
+
+      // 3. Grade
+      const graded = gradeQuestions(questions, chosen);
+
+      // 4. Store attempt + answers
+      tx = new sql.Transaction(pool);
+      await tx.begin();
+
+      const attemptResult = await new sql.Request(tx)
+        .input('batch_id', sql.Int, batchId)
+        .input('learner_id', sql.NVarChar(100), learnerId)
+        .input('score', sql.Int, graded.score)
+        .input('total', sql.Int, graded.total)
+        .query(`
+          INSERT INTO exam_attempts (batch_id, learner_id, score, total)
+          OUTPUT INSERTED.attempt_id, INSERTED.submitted_at
+          VALUES (@batch_id, @learner_id, @score, @total);
+        `);
+
+      const { attempt_id: attemptId, submitted_at: submittedAt } = attemptResult.recordset[0];
+
+      for (const result of graded.results) {
+        await new sql.Request(tx)
+          .input('attempt_id', sql.Int, attemptId)
+          .input('question_id', sql.Int, result.question_id)
+          .input('option_id', sql.Int, result.chosen_option_id)
+          .input('is_correct', sql.Bit, result.is_correct)
+          .query(`
+            INSERT INTO exam_attempt_answers (attempt_id, question_id, option_id, is_correct)
+            VALUES (@attempt_id, @question_id, @option_id, @is_correct);
+          `);
+      }
+
+      // 5. Feed results into the learner's review schedule
+      const reviews = await recordExamReviews(tx, learnerId, graded.results);
+
+      await tx.commit();
+
+      res.status(201).json({
+        attempt_id: attemptId,
+        batch_id: batchId,
+        learner_id: learnerId,
+        submitted_at: submittedAt,
+        ...graded,
+        reviews,
+      });
+    } catch (err) {
+      if (tx) await tx.rollback();
+      console.error('❌ Submit attempt error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Review a stored attempt as it was graded, with the same shape the submission returned
+  router.get('/api/exam/:batchId/attempts/:attemptId', requireUser, async (req, res) => {
+    try {
+      const batchId = parseInt(req.params.batchId, 10);
+      const attemptId = parseInt(req.params.attemptId, 10);
+      if (Number.isNaN(batchId) || Number.isNaN(attemptId)) {
+        return res.status(400).json({ error: 'Invalid batch or attempt id' });
+      }
+
+      const pool = await db.getPool();
+
+      const attemptResult = await pool.request()
+        .input('attempt_id', sql.Int, attemptId)
+        .input('batch_id', sql.Int, batchId)
+        .query(`
+          SELECT attempt_id, batch_id, learner_id, submitted_at, score, total
+          FROM exam_attempts
+          WHERE attempt_id = @attempt_id AND batch_id = @batch_id;
+        `);
+
+      // Learners only see their own attempts
+      const attempt = attemptResult.recordset[0];
+      if (!attempt || (req.user.role !== 'admin' && attempt.learner_id !== req.user.id)) {
+        return res.status(404).json({ error: 'Attempt not found' });
+      }
+
+      // Stored correctness and score, so later edits to the batch don't change a past result
+      res.json({
+        ...attempt,
+        ...(await loadAttemptResults(pool, attempt)),
+      });
+    } catch (err) {
+      console.error('❌ Get attempt error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
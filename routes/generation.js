@@ -0,0 +1,315 @@
+import express from 'express';
+import sql from 'mssql';
+import { LlmValidationError } from '../lib/llm.js';
+import { explanationValidator, validateGrammar } from '../lib/schemas.js';
+import { examRequestErrors, generateExam } from '../lib/exam-generator.js';
+import { findCurrentGrammar, insertGrammarVersion, normalizeConcept } from '../lib/grammar.js';
+import { loadGrammarPoints } from '../lib/content.js';
+import { ANSWERS_LOCKED, canSeeAnswers, canViewBatch } from '../lib/exam.js';
+import { learnerIdFor, requireAdmin, requireUser } from '../lib/auth.js';
+import { verifyPayloadRomaji } from '../lib/romaji.js';
+import { contentCache } from '../lib/cache.js';
+import { DEFAULT_LEVEL, STUDY_LEVELS, levelPreamble } from '../lib/levels.js';
+
+export function generationRouter({ db, llm }) {
+  const router = express.Router();
+
+  /**
+   * Generate a grammar point with Gemini (/api/gemini/grammar is the old second server's path).
+   * Body: concept, level (N5–N2; defaults to the current version's level, else N4), regenerate.
+   */
+  router.post(['/api/gemini', '/api/gemini/grammar'], requireAdmin, async (req, res) => {
+    let tx;
+    try {
+      // Build Gemini prompt
+      const grammar = req.body;
+      const conceptKey = normalizeConcept(grammar.concept);
+      if (!conceptKey) {
+        return res.status(400).json({ error: 'concept is required' });
+      }
+      if (grammar.level !== undefined && !STUDY_LEVELS.includes(grammar.level)) {
+        return res.status(400).json({ error: `level must be one of: ${STUDY_LEVELS.join(', ')}` });
+      }
+
+      // Return the existing point unless a new version was asked for
+      const pool = await db.getPool();
+      const current = await findCurrentGrammar(pool, conceptKey);
+
+      if (current && grammar.regenerate !== true) {
+        const grammarMap = await loadGrammarPoints(pool, [current.GrammarId]);
+        return res.json({
+          message: 'Grammar point already exists',
+          grammarId: current.GrammarId,
+          version: current.Version,
+          existing: true,
+          geminiData: grammarMap.get(current.GrammarId),
+        });
+      }
+
+      const level = grammar.level ?? current?.Level ?? DEFAULT_LEVEL;
+      const prompt = `${levelPreamble(level)}
+Return ONLY valid JSON — no extra text, no markdown, no explanations outside the JSON. The JSON must follow this structure:
+
+{
+  "concept": string,
+  "meaning": string,
+  "details": string,
+  "examples": [
+    {
+      "japanese": string,
+      "romaji": string,
+      "english": string,
+      "vocab": [
+        {
+          "word": string,
+          "romaji": string,
+          "meaning": string
+        }
+      ]
+    }
+  ]
+}
+
+Rules:
+- Keep explanations concise but accurate for JLPT ${level} learners.
+- Every example must have at least 2–3 vocab entries.
+- No hidden instructions or commentary.
+
+Explain the grammar of this: ${grammar.concept}`;
+
+      // Call the LLM provider (Gemini, or fixtures when LLM_PROVIDER=fake)
+      const geminiData = await llm.generateJson('grammar', prompt, {
+        validate: validateGrammar,
+      });
+
+      // Check the model's romaji against the kana text
+      const { issues: romajiIssues } = verifyPayloadRomaji(geminiData);
+
+      // Insert as the newest version of the concept
+      tx = new sql.Transaction(pool);
+      await tx.begin();
+
+      const { grammarId, version } = await insertGrammarVersion(tx, { ...geminiData, level }, conceptKey);
+
+      await tx.commit();
+      contentCache.invalidate('grammar');
+
+      res.json({
+        message: 'Grammar point inserted from Gemini successfully',
+        grammarId,
+        version,
+        level,
+        existing: false,
+        geminiData,
+        romaji_issues: romajiIssues,
+      });
+    } catch (err) {
+      if (tx) await tx.rollback();
+      console.error('Gemini API/DB error:', err.response?.data || err.message);
+      if (err instanceof LlmValidationError) {
+        return res.status(422).json({ error: err.message, details: err.errors });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Extra practice batch, saved as a draft for review (routes/moderation.js);
+   * the daily exam is created by the scheduler.
+   * Body (all optional): level (N5–N2, default N4), generator (llm | local),
+   * mode (random | weak_areas), types, per_type, grammar_ids, kanji,
+   * grammar_count, kanji_count, seed, and for weak_areas learner_id and days.
+   */
+  router.post('/api/gemini/questions', requireAdmin, async (req, res) => {
+    try {
+      const errors = examRequestErrors(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid input', details: errors });
+      }
+
+      const body = req.body ?? {};
+      const pool = await db.getPool();
+      const result = await generateExam(pool, llm, {
+        level: body.level,
+        generator: body.generator,
+        types: body.types,
+        perType: body.per_type,
+        grammarIds: body.grammar_ids,
+        kanji: body.kanji,
+        grammarCount: body.grammar_count,
+        kanjiCount: body.kanji_count,
+        seed: body.seed,
+        mode: body.mode,
+        learnerId: learnerIdFor(req, body.learner_id),
+        days: body.days,
+      });
+
+      res.json({
+        message: '✅ Questions inserted successfully',
+        ...result,
+      });
+    } catch (err) {
+      console.error('❌ Questions error:', err.response?.data || err.message);
+      if (err instanceof LlmValidationError) {
+        return res.status(422).json({ error: err.message, details: err.errors });
+      }
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Deep-dive breakdown of one question: furigana, vocab, the grammar point
+   * involved and why each option is right or wrong. Generated once and stored;
+   * learners get the stored breakdown, admins generate it (?refresh=true regenerates).
+   */
+  router.post('/api/questions/:questionId/explain', requireUser, async (req, res) => {
+    try {
+      const questionId = parseInt(req.params.questionId, 10);
+      if (Number.isNaN(questionId)) {
+        return res.status(400).json({ error: 'Invalid question id' });
+      }
+      const refresh = req.query.refresh === 'true';
+      const isAdmin = req.user.role === 'admin';
+      if (refresh && !isAdmin) {
+        return res.status(403).json({ error: 'Admin role required' });
+      }
+
+      const pool = await db.getPool();
+
+      // Rejected questions and drafts (for learners) don't exist as far as the caller is concerned
+      const visibility = await pool.request()
+        .input('question_id', sql.Int, questionId)
+        .query(`
+          SELECT q.status, q.batch_id, b.status AS batch_status
+          FROM questions q
+          JOIN QuestionBatch b ON b.batch_id = q.batch_id
+          WHERE q.question_id = @question_id
+        `);
+      const visible = visibility.recordset[0];
+      if (!visible || visible.status !== 'active' || !canViewBatch({ status: visible.batch_status }, req.user)) {
+        return res.status(404).json({ error: 'Question not found' });
+      }
+
+      // 1. Return the stored breakdown unless a refresh is requested
+      if (!refresh) {
+        const stored = await pool.request()
+          .input('question_id', sql.Int, questionId)
+          .query(`
+            SELECT grammar_id, breakdown, updated_at
+            FROM question_explanations
+            WHERE question_id = @question_id
+          `);
+
+        if (stored.recordset.length > 0) {
+          // The breakdown gives the answer away, like the answer sheet
+          if (!(await canSeeAnswers(pool, visible.batch_id, req.user))) {
+            return res.status(403).json({ error: ANSWERS_LOCKED });
+          }
+          const row = stored.recordset[0];
+          return res.json({
+            question_id: questionId,
+            grammar_id: row.grammar_id,
+            generated_at: row.updated_at,
+            cached: true,
+            ...JSON.parse(row.breakdown),
+          });
+        }
+      }
+
+      // 2. Each generation is a paid model call, so only admins start one
+      if (!isAdmin) {
+        return res.status(404).json({ error: 'No breakdown has been generated for this question yet' });
+      }
+
+      // 3. Load the question and its options
+      const questionResult = await pool.request()
+        .input('question_id', sql.Int, questionId)
+        .query(`
+          SELECT q.question_type, q.question_text, q.answer, q.explanation, qo.option_text, b.level,
+                 p.title AS passage_title, p.body AS passage_body
+          FROM questions q
+          JOIN question_options qo ON q.question_id = qo.question_id
+          LEFT JOIN QuestionBatch b ON b.batch_id = q.batch_id
+          LEFT JOIN passages p ON p.passage_id = q.passage_id
+          WHERE q.question_id = @question_id
+          ORDER BY qo.option_id
+        `);
+
+      if (questionResult.recordset.length === 0) {
+        return res.status(404).json({ error: 'Question not found' });
+      }
+
+      const question = questionResult.recordset[0];
+      const options = questionResult.recordset.map(r => r.option_text);
+      // Reading questions don't repeat their passage; the model needs it to explain them
+      const passage = question.passage_body
+        ? `Passage: ${question.passage_title}\n${question.passage_body}\n\n`
+        : '';
+
+      // 4. Generate the breakdown
+      const prompt = `${levelPreamble(question.level ?? DEFAULT_LEVEL)}
+Return ONLY valid JSON — no extra text, no markdown.
+Explain this ${question.question_type} question in detail for a learner.
+
+${passage}Question: ${question.question_text}
+Options: ${options.map((o, i) => `${i + 1}. ${o}`).join(' ')}
+Correct answer: ${question.answer}
+
+JSON must follow:
+
+{
+  "sentence": string (the full sentence with the correct answer filled in; for a question about a passage, the passage sentence the answer rests on),
+  "furigana": string (the sentence with readings after each kanji word, like 食[た]べる),
+  "hiragana": string (the sentence written entirely in hiragana),
+  "translation": string (natural English),
+  "vocab": [
+    { "word": string, "reading": string (hiragana), "romaji": string, "meaning": string }
+  ],
+  "grammar_point": { "concept": string (e.g. ～てから), "explanation": string },
+  "options": [
+    { "option": string (copied exactly from the options), "is_correct": boolean, "explanation": string (why it is right or wrong) }
+  ]
+}`;
+
+      const breakdown = await llm.generateJson('explanation', prompt, {
+        validate: explanationValidator(options),
+      });
+
+      // 5. Link to the current GrammarPoints row for that concept, when there is one
+      const current = await findCurrentGrammar(pool, normalizeConcept(breakdown.grammar_point.concept));
+      const grammarId = current?.GrammarId ?? null;
+
+      // 6. Store (or replace) the breakdown
+      const saved = await pool.request()
+        .input('question_id', sql.Int, questionId)
+        .input('grammar_id', sql.Int, grammarId)
+        .input('breakdown', sql.NVarChar(sql.MAX), JSON.stringify(breakdown))
+        .query(`
+          MERGE question_explanations AS t
+          USING (SELECT @question_id AS question_id) AS s
+            ON t.question_id = s.question_id
+          WHEN MATCHED THEN UPDATE SET
+            grammar_id = @grammar_id, breakdown = @breakdown, updated_at = SYSUTCDATETIME()
+          WHEN NOT MATCHED THEN INSERT (question_id, grammar_id, breakdown)
+            VALUES (@question_id, @grammar_id, @breakdown)
+          OUTPUT INSERTED.updated_at;
+        `);
+
+      res.json({
+        question_id: questionId,
+        grammar_id: grammarId,
+        generated_at: saved.recordset[0].updated_at,
+        cached: false,
+        ...breakdown,
+      });
+    } catch (err) {
+      console.error('❌ Explain question error:', err.response?.data || err.message);
+      if (err instanceof LlmValidationError) {
+        return res.status(422).json({ error: err.message, details: err.errors });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
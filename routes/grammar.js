@@ -0,0 +1,379 @@
+import express from 'express';
+import sql from 'mssql';
+import { applyRomajiOption, ROMAJI_QUERY_VALUES } from '../lib/romaji.js';
+import {
+  deleteGrammar,
+  findCurrentGrammar,
+  insertGrammarVersion,
+  listGrammarVersions,
+  normalizeConcept,
+  replaceGrammar,
+  setCurrentGrammarVersion,
+  setGrammarTags,
+  updateGrammarFields,
+} from '../lib/grammar.js';
+import { loadGrammarPoints } from '../lib/content.js';
+import { paginated, parsePagination } from '../lib/pagination.js';
+import { requireAdmin } from '../lib/auth.js';
+import { validateGrammarInput } from '../lib/schemas.js';
+import { cachedEntry, contentCache, sendEntry } from '../lib/cache.js';
+import { badRequest } from './helpers.js';
+
+/**
+ * A grammar point of another concept already stored under `conceptKey` (its
+ * current version first), or null. Versions of the point's own concept don't
+ * count: a concept change moves them along (see updateGrammarFields).
+ */
+async function conflictingGrammar(conn, conceptKey, grammarId) {
+  const result = await new sql.Request(conn)
+    .input('key', sql.NVarChar(200), conceptKey)
+    .input('id', sql.Int, grammarId)
+    .query(`
+      SELECT TOP (1) GrammarId
+      FROM GrammarPoints
+      WHERE ConceptKey = @key AND GrammarId <> @id
+        AND ConceptKey <> ISNULL((SELECT ConceptKey FROM GrammarPoints WHERE GrammarId = @id), N'')
+      ORDER BY IsCurrent DESC, Version DESC
+    `);
+  return result.recordset[0] ?? null;
+}
+
+export function grammarRouter({ db }) {
+  const router = express.Router();
+
+  router.get('/api/grammar/:id', async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const romaji = req.query.romaji;
+      if (romaji && !ROMAJI_QUERY_VALUES.includes(romaji)) {
+        return res.status(400).json({ error: `romaji must be one of: ${ROMAJI_QUERY_VALUES.join(', ')}` });
+      }
+
+      const pool = await db.getPool();
+
+      const result = await pool.request()
+        .input('GrammarId', sql.Int, id)
+        .query(`
+          SELECT g.GrammarId, g.Concept, g.Meaning, g.Details, g.Version, g.IsCurrent,
+                 e.ExampleId, e.Japanese, e.Romaji, e.English,
+                 v.VocabId, v.Word, v.Romaji AS VocabRomaji, v.Meaning AS VocabMeaning
+          FROM GrammarPoints g
+          LEFT JOIN Examples e ON g.GrammarId = e.GrammarId
+          LEFT JOIN Vocabulary v ON e.ExampleId = v.ExampleId
+          WHERE g.GrammarId = @GrammarId
+          ORDER BY e.ExampleId, v.VocabId
+        `);
+
+      if (result.recordset.length === 0) {
+        return res.status(404).json({ error: "Grammar point not found" });
+      }
+
+      // Transform flat rows → nested JSON
+      const rows = result.recordset;
+      const grammar = {
+        id: rows[0].GrammarId,
+        concept: rows[0].Concept,
+        meaning: rows[0].Meaning,
+        details: rows[0].Details,
+        version: rows[0].Version,
+        is_current: rows[0].IsCurrent,
+        examples: []
+      };
+
+      let exampleMap = {};
+
+      for (const row of rows) {
+        if (row.ExampleId) {
+          if (!exampleMap[row.ExampleId]) {
+            exampleMap[row.ExampleId] = {
+              id: row.ExampleId,
+              japanese: row.Japanese,
+              romaji: row.Romaji,
+              english: row.English,
+              vocab: []
+            };
+            grammar.examples.push(exampleMap[row.ExampleId]);
+          }
+
+          if (row.VocabId) {
+            exampleMap[row.ExampleId].vocab.push({
+              id: row.VocabId,
+              word: row.Word,
+              romaji: row.VocabRomaji,
+              meaning: row.VocabMeaning
+            });
+          }
+        }
+      }
+
+      res.json(applyRomajiOption(grammar, romaji));
+
+    } catch (err) {
+      console.error("Retrieve error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // All versions of the concept this grammar point belongs to, newest first
+  router.get('/api/grammar/:id/versions', async (req, res) => {
+    try {
+      const grammarId = parseInt(req.params.id, 10);
+      if (Number.isNaN(grammarId)) {
+        return res.status(400).json({ error: 'Invalid grammar id' });
+      }
+
+      const pool = await db.getPool();
+      const versions = await listGrammarVersions(pool, grammarId);
+      if (versions.length === 0) {
+        return res.status(404).json({ error: 'Grammar point not found' });
+      }
+
+      res.json({ grammarId, versions });
+    } catch (err) {
+      console.error('❌ Grammar versions error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Roll back: make this version the current one for its concept
+  router.post('/api/grammar/:id/rollback', requireAdmin, async (req, res) => {
+    let tx;
+    try {
+      const grammarId = parseInt(req.params.id, 10);
+      if (Number.isNaN(grammarId)) {
+        return res.status(400).json({ error: 'Invalid grammar id' });
+      }
+
+      const pool = await db.getPool();
+      const versions = await listGrammarVersions(pool, grammarId);
+      if (versions.length === 0) {
+        return res.status(404).json({ error: 'Grammar point not found' });
+      }
+
+      tx = new sql.Transaction(pool);
+      await tx.begin();
+      await setCurrentGrammarVersion(tx, grammarId);
+      await tx.commit();
+      contentCache.invalidate('grammar');
+
+      res.json({
+        message: 'Grammar version is now current',
+        grammarId,
+        versions: await listGrammarVersions(pool, grammarId),
+      });
+    } catch (err) {
+      if (tx) await tx.rollback();
+      console.error('❌ Grammar rollback error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ---- Manual grammar editing ----
+
+  // Create a grammar point by hand (same nested shape the GET returns)
+  router.post('/api/grammar', requireAdmin, async (req, res) => {
+    let tx;
+    try {
+      const errors = validateGrammarInput(req.body);
+      if (badRequest(res, 0, errors)) return;
+
+      const conceptKey = normalizeConcept(req.body.concept);
+
+      const pool = await db.getPool();
+      tx = new sql.Transaction(pool);
+      await tx.begin();
+
+      const existing = await findCurrentGrammar(tx, conceptKey, { lock: true });
+      if (existing) {
+        await tx.rollback();
+        tx = null;
+        return res.status(409).json({ error: 'Grammar point already exists', grammarId: existing.GrammarId });
+      }
+
+      const { grammarId, version } = await insertGrammarVersion(tx, req.body, conceptKey);
+      await tx.commit();
+      contentCache.invalidate('grammar');
+
+      const grammarMap = await loadGrammarPoints(pool, [grammarId]);
+      res.status(201).json({ grammarId, version, grammar: grammarMap.get(grammarId) });
+    } catch (err) {
+      if (tx) await tx.rollback();
+      console.error('❌ Grammar create error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Replace a grammar point's fields, tags and examples
+  router.put('/api/grammar/:id', requireAdmin, async (req, res) => {
+    let tx;
+    try {
+      const grammarId = parseInt(req.params.id, 10);
+      if (badRequest(res, grammarId, validateGrammarInput(req.body))) return;
+
+      const pool = await db.getPool();
+      tx = new sql.Transaction(pool);
+      await tx.begin();
+
+      const conflict = await conflictingGrammar(tx, normalizeConcept(req.body.concept), grammarId);
+      if (conflict) {
+        await tx.rollback();
+        tx = null;
+        return res.status(409).json({ error: 'Another grammar point has this concept', grammarId: conflict.GrammarId });
+      }
+
+      if (!(await replaceGrammar(tx, grammarId, req.body))) {
+        await tx.rollback();
+        tx = null;
+        return res.status(404).json({ error: 'Grammar point not found' });
+      }
+      await tx.commit();
+      contentCache.invalidate('grammar');
+
+      const grammarMap = await loadGrammarPoints(pool, [grammarId]);
+      res.json(grammarMap.get(grammarId));
+    } catch (err) {
+      if (tx) await tx.rollback();
+      console.error('❌ Grammar replace error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Update some of concept, meaning, details, level and tags
+  router.patch('/api/grammar/:id', requireAdmin, async (req, res) => {
+    let tx;
+    try {
+      const grammarId = parseInt(req.params.id, 10);
+      if (badRequest(res, grammarId, validateGrammarInput(req.body, { partial: true }))) return;
+
+      const pool = await db.getPool();
+      tx = new sql.Transaction(pool);
+      await tx.begin();
+
+      if (req.body.concept !== undefined) {
+        const conflict = await conflictingGrammar(tx, normalizeConcept(req.body.concept), grammarId);
+        if (conflict) {
+          await tx.rollback();
+          tx = null;
+          return res.status(409).json({ error: 'Another grammar point has this concept', grammarId: conflict.GrammarId });
+        }
+      }
+
+      if (!(await updateGrammarFields(tx, grammarId, req.body))) {
+        await tx.rollback();
+        tx = null;
+        return res.status(404).json({ error: 'Grammar point not found' });
+      }
+      if (req.body.tags) await setGrammarTags(tx, grammarId, req.body.tags);
+      await tx.commit();
+      contentCache.invalidate('grammar');
+
+      const grammarMap = await loadGrammarPoints(pool, [grammarId]);
+      res.json(grammarMap.get(grammarId));
+    } catch (err) {
+      if (tx) await tx.rollback();
+      console.error('❌ Grammar update error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Delete a grammar point with its examples, vocab and tags
+  router.delete('/api/grammar/:id', requireAdmin, async (req, res) => {
+    let tx;
+    try {
+      const grammarId = parseInt(req.params.id, 10);
+      if (badRequest(res, grammarId, [])) return;
+
+      const pool = await db.getPool();
+      tx = new sql.Transaction(pool);
+      await tx.begin();
+
+      if (!(await deleteGrammar(tx, grammarId))) {
+        await tx.rollback();
+        tx = null;
+        return res.status(404).json({ error: 'Grammar point not found' });
+      }
+      await tx.commit();
+      contentCache.invalidate('grammar');
+
+      res.status(204).end();
+    } catch (err) {
+      if (tx) await tx.rollback();
+      console.error('❌ Grammar delete error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Grammar listing, paginated.
+   * Filters: level (e.g. N4), tag. mode=list leaves out the nested examples.
+   * Pages: page, page_size (max 100).
+   */
+  router.get('/api/grammar', async (req, res) => {
+    try {
+      const { level = null, tag = null, mode = 'full' } = req.query;
+      if (!['full', 'list'].includes(mode)) {
+        return res.status(400).json({ error: 'mode must be full or list' });
+      }
+      const romaji = req.query.romaji;
+      if (romaji && !ROMAJI_QUERY_VALUES.includes(romaji)) {
+        return res.status(400).json({ error: `romaji must be one of: ${ROMAJI_QUERY_VALUES.join(', ')}` });
+      }
+      const pagination = parsePagination(req.query);
+
+      const entry = await cachedEntry(req.originalUrl, ['grammar'], async () => {
+        const pool = await db.getPool();
+
+        const where = `
+          WHERE g.IsCurrent = 1
+            AND (@level IS NULL OR g.Level = @level)
+            AND (@tag IS NULL OR EXISTS (
+              SELECT 1 FROM GrammarTags t WHERE t.GrammarId = g.GrammarId AND t.Tag = @tag
+            ))
+        `;
+
+        const result = await pool.request()
+          .input('level', sql.NVarChar(2), level)
+          .input('tag', sql.NVarChar(50), tag)
+          .input('offset', sql.Int, pagination.offset)
+          .input('page_size', sql.Int, pagination.pageSize)
+          .query(`
+            SELECT COUNT(*) AS total FROM GrammarPoints g ${where};
+
+            SELECT g.GrammarId, g.Concept, g.Meaning, g.Level,
+                   (SELECT STRING_AGG(t.Tag, ',') FROM GrammarTags t WHERE t.GrammarId = g.GrammarId) AS Tags
+            FROM GrammarPoints g
+            ${where}
+            ORDER BY g.GrammarId
+            OFFSET @offset ROWS FETCH NEXT @page_size ROWS ONLY;
+          `);
+
+        const [countRows, grammarRows] = result.recordsets;
+        const total = countRows[0].total;
+
+        // Lightweight list: no examples or vocab
+        if (mode === 'list') {
+          return paginated(pagination, total, grammarRows.map(row => ({
+            id: row.GrammarId,
+            concept: row.Concept,
+            meaning: row.Meaning,
+            level: row.Level,
+            tags: row.Tags ? row.Tags.split(',').sort() : [],
+          })));
+        }
+
+        const grammarMap = await loadGrammarPoints(pool, grammarRows.map(row => row.GrammarId));
+        return applyRomajiOption(
+          paginated(pagination, total, grammarRows.map(row => grammarMap.get(row.GrammarId))),
+          romaji
+        );
+      });
+      sendEntry(req, res, entry);
+    } catch (err) {
+      console.error("Retrieve all error:", err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,6 @@
+// Reject invalid ids and bodies with a 400 before touching the database
+export function badRequest(res, id, errors) {
+  if (Number.isNaN(id)) return res.status(400).json({ error: 'Invalid id' });
+  if (errors.length > 0) return res.status(400).json({ error: 'Invalid input', details: errors });
+  return null;
+}
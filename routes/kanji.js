@@ -0,0 +1,201 @@
+import express from 'express';
+import sql from 'mssql';
+import { LlmValidationError } from '../lib/llm.js';
+import { applyRomajiOption, ROMAJI_QUERY_VALUES } from '../lib/romaji.js';
+import { enrichKanji, getEnrichJob, resumeEnrichJob, startEnrichJob } from '../lib/kanji.js';
+import { paginated, parsePagination } from '../lib/pagination.js';
+import { requireAdmin } from '../lib/auth.js';
+import { cachedEntry, sendEntry } from '../lib/cache.js';
+import { loadKanjiDetail } from '../lib/content.js';
+import { JLPT_LEVELS } from '../lib/schemas.js';
+import { levelToJlpt } from '../lib/levels.js';
+
+// ORDER BY for each sort and direction; kanji without a frequency rank stay last either way
+const KANJI_SORTS = {
+  id: (direction) => `Id ${direction}`,
+  frequency: (direction) => `CASE WHEN FreqMainichiShinbun IS NULL THEN 1 ELSE 0 END, FreqMainichiShinbun ${direction}`,
+  strokes: (direction) => `StrokeCount ${direction}`,
+};
+
+export function kanjiRouter({ db, llm }) {
+  const router = express.Router();
+
+  /**
+   * Kanji listing, paginated.
+   * Filters: jlpt (or level, e.g. N4), grade, min_strokes, max_strokes.
+   * Sort: sort=id|frequency|strokes, order=asc|desc. Pages: page, page_size (max 200).
+   */
+  router.get('/api/kanji', async (req, res) => {
+    try {
+      const { sort = 'id', order = 'asc' } = req.query;
+      if (!KANJI_SORTS[sort]) {
+        return res.status(400).json({ error: `sort must be one of: ${Object.keys(KANJI_SORTS).join(', ')}` });
+      }
+      if (!['asc', 'desc'].includes(order)) {
+        return res.status(400).json({ error: 'order must be asc or desc' });
+      }
+
+      const { level } = req.query;
+      if (level !== undefined && !JLPT_LEVELS.includes(level)) {
+        return res.status(400).json({ error: `level must be one of: ${JLPT_LEVELS.join(', ')}` });
+      }
+
+      const toInt = (value) => (value === undefined ? null : parseInt(value, 10));
+      const filters = {
+        jlpt: level ? levelToJlpt(level) : toInt(req.query.jlpt),
+        grade: toInt(req.query.grade),
+        min_strokes: toInt(req.query.min_strokes),
+        max_strokes: toInt(req.query.max_strokes),
+      };
+      const invalid = Object.keys(filters).filter(key => Number.isNaN(filters[key]));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `${invalid.join(', ')} must be numbers` });
+      }
+
+      const pagination = parsePagination(req.query, { defaultSize: 50, maxSize: 200 });
+      const direction = order === 'desc' ? 'DESC' : 'ASC';
+      const orderBy = KANJI_SORTS[sort](direction);
+
+      const entry = await cachedEntry(req.originalUrl, ['kanji'], async () => {
+        const pool = await db.getPool();
+
+        const where = `
+          WHERE (@jlpt IS NULL OR JLPT = @jlpt)
+            AND (@grade IS NULL OR Grade = @grade)
+            AND (@min_strokes IS NULL OR StrokeCount >= @min_strokes)
+            AND (@max_strokes IS NULL OR StrokeCount <= @max_strokes)
+        `;
+
+        const result = await pool.request()
+          .input('jlpt', sql.Int, filters.jlpt)
+          .input('grade', sql.Int, filters.grade)
+          .input('min_strokes', sql.Int, filters.min_strokes)
+          .input('max_strokes', sql.Int, filters.max_strokes)
+          .input('offset', sql.Int, pagination.offset)
+          .input('page_size', sql.Int, pagination.pageSize)
+          .query(`
+            SELECT COUNT(*) AS total FROM KanjiInfo ${where};
+
+            SELECT Id, Kanji, Meanings, KunReadings, OnReadings, Grade, JLPT, StrokeCount, Unicode, HeisigEn, FreqMainichiShinbun
+            FROM KanjiInfo
+            ${where}
+            ORDER BY ${orderBy}, Id
+            OFFSET @offset ROWS FETCH NEXT @page_size ROWS ONLY;
+          `);
+
+        const [countRows, kanjiRows] = result.recordsets;
+        return paginated(pagination, countRows[0].total, kanjiRows);
+      });
+      sendEntry(req, res, entry);
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/api/kanji/:id', async (req, res) => {
+    try {
+      const romaji = req.query.romaji;
+      if (romaji && !ROMAJI_QUERY_VALUES.includes(romaji)) {
+        return res.status(400).json({ error: `romaji must be one of: ${ROMAJI_QUERY_VALUES.join(', ')}` });
+      }
+
+      const kanjiId = parseInt(req.params.id, 10);
+      if (Number.isNaN(kanjiId)) {
+        return res.status(400).json({ error: 'Invalid kanji id' });
+      }
+
+      const entry = await cachedEntry(req.originalUrl, ['kanji'], async () => {
+        const kanji = await loadKanjiDetail(await db.getPool(), kanjiId);
+        return kanji && applyRomajiOption(kanji, romaji);
+      });
+      if (!entry) {
+        return res.status(404).json({ error: 'Kanji not found' });
+      }
+
+      sendEntry(req, res, entry);
+    } catch (err) {
+      console.error('❌ Error fetching kanji details:', err);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Enrich one kanji with details, examples and vocab (?force=true to regenerate)
+  router.post('/api/kanji/:id/enrich', requireAdmin, async (req, res) => {
+    try {
+      const kanjiId = parseInt(req.params.id, 10);
+      if (Number.isNaN(kanjiId)) {
+        return res.status(400).json({ error: 'Invalid kanji id' });
+      }
+
+      const pool = await db.getPool();
+      const result = await enrichKanji(pool, llm, kanjiId, { force: req.query.force === 'true' });
+      res.json(result);
+    } catch (err) {
+      console.error('❌ Enrich kanji error:', err.response?.data || err.message);
+      if (err instanceof LlmValidationError) {
+        return res.status(422).json({ error: err.message, details: err.errors });
+      }
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Start a background job that enriches every kanji with empty Details.
+   * Body: { "jlpt": 4, "force": false } — both optional.
+   */
+  router.post('/api/kanji/enrich', requireAdmin, async (req, res) => {
+    try {
+      const jlpt = req.body?.jlpt != null ? parseInt(req.body.jlpt, 10) : null;
+      if (Number.isNaN(jlpt)) {
+        return res.status(400).json({ error: 'jlpt must be a number' });
+      }
+
+      const pool = await db.getPool();
+      const job = await startEnrichJob(pool, llm, { jlpt, force: req.body?.force === true });
+      res.status(202).json(job);
+    } catch (err) {
+      console.error('❌ Start enrich job error:', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  // Progress of a batch enrichment job
+  router.get('/api/kanji/enrich/jobs/:jobId', requireAdmin, async (req, res) => {
+    try {
+      const jobId = parseInt(req.params.jobId, 10);
+      if (Number.isNaN(jobId)) {
+        return res.status(400).json({ error: 'Invalid job id' });
+      }
+
+      const pool = await db.getPool();
+      const job = await getEnrichJob(pool, jobId);
+      if (!job) {
+        return res.status(404).json({ error: 'Enrich job not found' });
+      }
+      res.json(job);
+    } catch (err) {
+      console.error('❌ Get enrich job error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Resume a failed or interrupted job; kanji already enriched are not redone
+  router.post('/api/kanji/enrich/jobs/:jobId/resume', requireAdmin, async (req, res) => {
+    try {
+      const jobId = parseInt(req.params.jobId, 10);
+      if (Number.isNaN(jobId)) {
+        return res.status(400).json({ error: 'Invalid job id' });
+      }
+
+      const pool = await db.getPool();
+      const job = await resumeEnrichJob(pool, llm, jobId);
+      res.status(202).json(job);
+    } catch (err) {
+      console.error('❌ Resume enrich job error:', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,209 @@
+import express from 'express';
+import { LlmValidationError } from '../lib/llm.js';
+import { regenerateQuestion } from '../lib/exam-generator.js';
+import {
+  BATCH_STATUSES,
+  FLAG_CODES,
+  checkBatch,
+  editPassage,
+  editQuestion,
+  listFlags,
+  loadReviewBatch,
+  publishBatch,
+  rejectQuestion,
+} from '../lib/moderation.js';
+import { paginated, parsePagination } from '../lib/pagination.js';
+import { requireAdmin } from '../lib/auth.js';
+
+// Moderation errors carry a status and sometimes the validation errors or open flags
+function sendModerationError(res, err) {
+  if (err instanceof LlmValidationError) {
+    return res.status(422).json({ error: err.message, details: err.errors });
+  }
+  res.status(err.status || 500).json({ error: err.message, ...(err.details && { details: err.details }) });
+}
+
+const parseId = (value) => parseInt(value, 10);
+
+// Review queue for generated exams (admin only): drafts are checked, fixed and published here
+export function moderationRouter({ db, llm }) {
+  const router = express.Router();
+
+  /**
+   * Flagged items, newest batches first.
+   * Filters: batch_id, code, status (batch status, default draft; all for both).
+   * Pages: page, page_size (max 200).
+   */
+  router.get('/api/admin/flags', requireAdmin, async (req, res) => {
+    try {
+      const { code = null, status = 'draft' } = req.query;
+      const batchId = req.query.batch_id === undefined ? null : parseId(req.query.batch_id);
+      if (Number.isNaN(batchId)) {
+        return res.status(400).json({ error: 'batch_id must be a number' });
+      }
+      if (code && !FLAG_CODES.includes(code)) {
+        return res.status(400).json({ error: `code must be one of: ${FLAG_CODES.join(', ')}` });
+      }
+      if (status !== 'all' && !BATCH_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `status must be one of: ${BATCH_STATUSES.join(', ')}, all` });
+      }
+
+      const pagination = parsePagination(req.query, { defaultSize: 50, maxSize: 200 });
+
+      const pool = await db.getPool();
+      const flags = await listFlags(pool, {
+        batch_id: batchId,
+        code,
+        status: status === 'all' ? null : status,
+      }, pagination);
+
+      res.json(paginated(pagination, flags.total, flags.items));
+    } catch (err) {
+      console.error('❌ List flags error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // A batch as reviewers see it: every question (rejected ones too) and passage with its flags
+  router.get('/api/admin/batches/:batchId', requireAdmin, async (req, res) => {
+    try {
+      const batchId = parseId(req.params.batchId);
+      if (Number.isNaN(batchId)) {
+        return res.status(400).json({ error: 'Invalid batch id' });
+      }
+
+      const pool = await db.getPool();
+      const batch = await loadReviewBatch(pool, batchId);
+      if (!batch) {
+        return res.status(404).json({ error: 'Exam not found' });
+      }
+      res.json(batch);
+    } catch (err) {
+      console.error('❌ Review batch error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Run the quality checks again (e.g. after KanjiInfo levels changed)
+  router.post('/api/admin/batches/:batchId/check', requireAdmin, async (req, res) => {
+    try {
+      const batchId = parseId(req.params.batchId);
+      if (Number.isNaN(batchId)) {
+        return res.status(400).json({ error: 'Invalid batch id' });
+      }
+
+      const pool = await db.getPool();
+      const flags = await checkBatch(pool, batchId);
+      if (!flags) {
+        return res.status(404).json({ error: 'Exam not found' });
+      }
+      res.json({ batch_id: batchId, flags });
+    } catch (err) {
+      console.error('❌ Check batch error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Serve a draft to learners. Refused with 409 (and the flags as details)
+   * while flags remain, unless the body has "force": true.
+   */
+  router.post('/api/admin/batches/:batchId/publish', requireAdmin, async (req, res) => {
+    try {
+      const batchId = parseId(req.params.batchId);
+      if (Number.isNaN(batchId)) {
+        return res.status(400).json({ error: 'Invalid batch id' });
+      }
+
+      const pool = await db.getPool();
+      const batch = await publishBatch(pool, batchId, {
+        force: req.body?.force === true,
+        userId: parseId(req.user.id),
+      });
+      res.json({ message: 'Exam published', ...batch });
+    } catch (err) {
+      console.error('❌ Publish batch error:', err.message);
+      sendModerationError(res, err);
+    }
+  });
+
+  /**
+   * Replace a draft question by hand:
+   * { "question_type"?, "question", "options": [4 strings], "answer", "explanation" }
+   */
+  router.patch('/api/admin/questions/:questionId', requireAdmin, async (req, res) => {
+    try {
+      const questionId = parseId(req.params.questionId);
+      if (Number.isNaN(questionId)) {
+        return res.status(400).json({ error: 'Invalid question id' });
+      }
+
+      const pool = await db.getPool();
+      const flags = await editQuestion(pool, questionId, req.body, { userId: parseId(req.user.id) });
+      res.json({ message: 'Question updated', question_id: questionId, flags });
+    } catch (err) {
+      console.error('❌ Edit question error:', err.message);
+      sendModerationError(res, err);
+    }
+  });
+
+  // Correct a draft reading passage: any of { "title", "body", "furigana" }
+  router.patch('/api/admin/passages/:passageId', requireAdmin, async (req, res) => {
+    try {
+      const passageId = parseId(req.params.passageId);
+      if (Number.isNaN(passageId)) {
+        return res.status(400).json({ error: 'Invalid passage id' });
+      }
+
+      const pool = await db.getPool();
+      const flags = await editPassage(pool, passageId, req.body, { userId: parseId(req.user.id) });
+      res.json({ message: 'Passage updated', passage_id: passageId, flags });
+    } catch (err) {
+      console.error('❌ Edit passage error:', err.message);
+      sendModerationError(res, err);
+    }
+  });
+
+  // Take a draft question out of its batch: { "reason"?: "..." }
+  router.post('/api/admin/questions/:questionId/reject', requireAdmin, async (req, res) => {
+    try {
+      const questionId = parseId(req.params.questionId);
+      if (Number.isNaN(questionId)) {
+        return res.status(400).json({ error: 'Invalid question id' });
+      }
+      const reason = req.body?.reason;
+      if (reason !== undefined && typeof reason !== 'string') {
+        return res.status(400).json({ error: 'reason must be a string' });
+      }
+
+      const pool = await db.getPool();
+      const flags = await rejectQuestion(pool, questionId, {
+        reason: reason?.slice(0, 500) ?? null,
+        userId: parseId(req.user.id),
+      });
+      res.json({ message: 'Question rejected', question_id: questionId, flags });
+    } catch (err) {
+      console.error('❌ Reject question error:', err.message);
+      sendModerationError(res, err);
+    }
+  });
+
+  // Generate a new question of the same type (and passage) in place (a rejected one becomes active again)
+  router.post('/api/admin/questions/:questionId/regenerate', requireAdmin, async (req, res) => {
+    try {
+      const questionId = parseId(req.params.questionId);
+      if (Number.isNaN(questionId)) {
+        return res.status(400).json({ error: 'Invalid question id' });
+      }
+
+      const pool = await db.getPool();
+      const flags = await regenerateQuestion(pool, llm, questionId);
+      res.json({ message: 'Question regenerated', question_id: questionId, flags });
+    } catch (err) {
+      console.error('❌ Regenerate question error:', err.response?.data || err.message);
+      sendModerationError(res, err);
+    }
+  });
+
+  return router;
+}
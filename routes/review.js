@@ -0,0 +1,140 @@
+import express from 'express';
+import sql from 'mssql';
+import { GRADES, ITEM_TYPES } from '../lib/srs.js';
+import { applyRomajiOption, ROMAJI_QUERY_VALUES } from '../lib/romaji.js';
+import { learnerIdFor, requireUser } from '../lib/auth.js';
+import { loadGrammarPoints, loadKanji } from '../lib/content.js';
+import { currentGrammarId, recordReview } from '../lib/review.js';
+
+export function reviewRouter({ db }) {
+  const router = express.Router();
+
+  /**
+   * Today's review queue for the signed-in learner (admins may pass learner_id): items that are due, then up to `new`
+   * unseen grammar points and kanji (each), with nested examples/vocab.
+   */
+  router.get('/api/review/due', requireUser, async (req, res) => {
+    try {
+      const learnerId = learnerIdFor(req, req.query.learner_id);
+      const romaji = req.query.romaji;
+      if (romaji && !ROMAJI_QUERY_VALUES.includes(romaji)) {
+        return res.status(400).json({ error: `romaji must be one of: ${ROMAJI_QUERY_VALUES.join(', ')}` });
+      }
+      const limit = Math.min(parseInt(req.query.limit ?? '50', 10) || 50, 200);
+      const newCount = Math.min(parseInt(req.query.new ?? '5', 10) || 0, 50);
+
+      const pool = await db.getPool();
+
+      // 1. Items already in review that are due now; grammar as its concept's current version
+      const dueResult = await pool.request()
+        .input('learner_id', sql.NVarChar(100), learnerId)
+        .input('limit', sql.Int, limit)
+        .query(`
+          SELECT TOP (@limit) r.item_type,
+                 CASE WHEN r.item_type = 'grammar' THEN COALESCE(c.GrammarId, r.item_id) ELSE r.item_id END AS item_id,
+                 r.ease_factor, r.interval_days, r.repetitions, r.lapses, r.due_at, r.last_reviewed_at
+          FROM review_states r
+          LEFT JOIN GrammarPoints g ON r.item_type = 'grammar' AND g.GrammarId = r.item_id
+          LEFT JOIN GrammarPoints c ON c.ConceptKey = g.ConceptKey AND c.IsCurrent = 1
+          WHERE r.learner_id = @learner_id AND r.due_at <= SYSUTCDATETIME()
+          ORDER BY r.due_at
+        `);
+
+      // 2. Unseen grammar points (no version of the concept reviewed yet) and kanji
+      const newResult = await pool.request()
+        .input('learner_id', sql.NVarChar(100), learnerId)
+        .input('new', sql.Int, newCount)
+        .query(`
+          SELECT * FROM (
+            SELECT TOP (@new) 'grammar' AS item_type, g.GrammarId AS item_id
+            FROM GrammarPoints g
+            WHERE g.IsCurrent = 1 AND NOT EXISTS (
+              SELECT 1 FROM review_states r
+              JOIN GrammarPoints v ON v.GrammarId = r.item_id
+              WHERE r.learner_id = @learner_id AND r.item_type = 'grammar'
+                AND (v.GrammarId = g.GrammarId OR v.ConceptKey = g.ConceptKey)
+            )
+            ORDER BY g.GrammarId
+          ) AS g
+          UNION ALL
+          SELECT * FROM (
+            SELECT TOP (@new) 'kanji' AS item_type, k.Id AS item_id
+            FROM KanjiInfo k
+            WHERE NOT EXISTS (
+              SELECT 1 FROM review_states r
+              WHERE r.learner_id = @learner_id AND r.item_type = 'kanji' AND r.item_id = k.Id
+            )
+            ORDER BY k.Id
+          ) AS k
+        `);
+
+      // 3. Attach nested content
+      // States left on several versions of one concept show up once, earliest due first
+      const seen = new Set();
+      const due = dueResult.recordset.filter(({ item_type, item_id }) => {
+        const key = `${item_type}:${item_id}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      const items = [
+        ...due.map(({ item_type, item_id, ...state }) => ({ item_type, item_id, is_new: false, state })),
+        ...newResult.recordset.map(({ item_type, item_id }) => ({ item_type, item_id, is_new: true, state: null })),
+      ];
+
+      const idsOf = (type) => items.filter((i) => i.item_type === type).map((i) => i.item_id);
+      const grammarMap = await loadGrammarPoints(pool, idsOf('grammar'));
+      const kanjiMap = await loadKanji(pool, idsOf('kanji'));
+
+      res.json(applyRomajiOption({
+        learner_id: learnerId,
+        count: items.length,
+        items: items.map((item) => ({
+          ...item,
+          content: (item.item_type === 'grammar' ? grammarMap : kanjiMap).get(item.item_id) ?? null,
+        })),
+      }, romaji));
+    } catch (err) {
+      console.error('❌ Review queue error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Record a graded recall for the signed-in learner: { "grade": "again|hard|good|easy" }
+  router.post('/api/review/:itemType/:id', requireUser, async (req, res) => {
+    try {
+      const { itemType } = req.params;
+      const itemId = parseInt(req.params.id, 10);
+      const { grade } = req.body ?? {};
+      const learnerId = learnerIdFor(req, req.body?.learner_id);
+
+      if (!ITEM_TYPES.includes(itemType) || Number.isNaN(itemId)) {
+        return res.status(400).json({ error: `Item type must be one of: ${ITEM_TYPES.join(', ')}` });
+      }
+      if (!GRADES.includes(grade)) {
+        return res.status(400).json({ error: `grade must be one of: ${GRADES.join(', ')}` });
+      }
+
+      const pool = await db.getPool();
+
+      // An older grammar version is reviewed as its concept's current version
+      const found = itemType === 'grammar'
+        ? await currentGrammarId(pool, itemId)
+        : (await pool.request()
+          .input('id', sql.Int, itemId)
+          .query('SELECT Id FROM KanjiInfo WHERE Id = @id')).recordset[0]?.Id ?? null;
+
+      if (found === null) {
+        return res.status(404).json({ error: `${itemType} ${itemId} not found` });
+      }
+
+      const review = await recordReview(pool, learnerId, itemType, found, grade);
+      res.json({ learner_id: learnerId, ...review });
+    } catch (err) {
+      console.error('❌ Record review error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
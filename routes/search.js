@@ -0,0 +1,164 @@
+import express from 'express';
+import sql from 'mssql';
+import { expandQuery, scoreRow } from '../lib/search.js';
+import { JLPT_LEVELS } from '../lib/schemas.js';
+import { levelToJlpt } from '../lib/levels.js';
+import { repeatedParams } from '../lib/query.js';
+
+// Search groups: the SQL columns to LIKE-match and how to rank each field.
+// `order` ranks the candidates in SQL (see candidateRank) so the best matches survive TOP.
+// @level / @jlpt are NULL unless the search is limited to one JLPT level; examples
+// and vocabulary follow the level of the grammar point they belong to.
+const SEARCH_GROUPS = {
+  grammar: {
+    columns: ['Concept', 'Meaning'],
+    fields: [{ name: 'Concept' }, { name: 'Meaning', weight: 0.8 }],
+    query: (where, order) => `
+      SELECT TOP (@candidates) GrammarId, Concept, Meaning, Level
+      FROM GrammarPoints
+      WHERE IsCurrent = 1 AND (${where})
+        AND (@level IS NULL OR Level = @level)
+      ORDER BY ${order}, GrammarId
+    `,
+  },
+  examples: {
+    columns: ['Japanese', 'English'],
+    fields: [{ name: 'Japanese' }, { name: 'English', weight: 0.8 }],
+    query: (where, order) => `
+      SELECT TOP (@candidates) ExampleId, GrammarId, Japanese, Romaji, English
+      FROM Examples
+      WHERE (${where})
+        AND (@level IS NULL OR GrammarId IN (SELECT GrammarId FROM GrammarPoints WHERE Level = @level))
+      ORDER BY ${order}, ExampleId
+    `,
+  },
+  vocabulary: {
+    columns: ['Word', 'Romaji', 'Meaning'],
+    fields: [{ name: 'Word' }, { name: 'Romaji', weight: 0.9 }, { name: 'Meaning', weight: 0.8 }],
+    query: (where, order) => `
+      SELECT TOP (@candidates) VocabId, ExampleId, Word, Romaji, Meaning
+      FROM Vocabulary
+      WHERE (${where})
+        AND (@level IS NULL OR ExampleId IN (
+          SELECT e.ExampleId FROM Examples e
+          JOIN GrammarPoints g ON g.GrammarId = e.GrammarId
+          WHERE g.Level = @level))
+      ORDER BY ${order}, VocabId
+    `,
+  },
+  kanji: {
+    // Readings are stored like た.べる / ショク; strip okurigana markers before matching
+    columns: ['Kanji', 'Meanings', "REPLACE(REPLACE(KunReadings, '.', ''), '-', '')", "REPLACE(OnReadings, '-', '')"],
+    fields: [
+      { name: 'Kanji' },
+      { name: 'KunReadings', readings: true, weight: 0.95 },
+      { name: 'OnReadings', readings: true, weight: 0.95 },
+      { name: 'Meanings', weight: 0.8 },
+    ],
+    query: (where, order) => `
+      SELECT TOP (@candidates) Id, Kanji, Meanings, KunReadings, OnReadings, JLPT, StrokeCount
+      FROM KanjiInfo
+      WHERE (${where})
+        AND (@jlpt IS NULL OR JLPT = @jlpt)
+      ORDER BY ${order}, Id
+    `,
+  },
+};
+
+/**
+ * SQL rank of a candidate row, in the order scoreRow ranks matches: 0 when a
+ * column equals a variant (@e0…), 1 for a whole word between spaces or
+ * punctuation (@w0…, e.g. "eat" in "eat, food"), 2 for a prefix
+ * (@s0…), 3 for any other substring.
+ */
+function candidateRank(columns, variantCount) {
+  const any = (test) => columns.flatMap(col => Array.from({ length: variantCount }, (_, i) => test(col, i))).join(' OR ');
+  return `CASE
+        WHEN ${any((col, i) => `${col} = @e${i}`)} THEN 0
+        WHEN ${any((col, i) => `CONCAT(' ', ${col}, ' ') LIKE @w${i}`)} THEN 1
+        WHEN ${any((col, i) => `${col} LIKE @s${i}`)} THEN 2
+        ELSE 3
+      END`;
+}
+
+export function searchRouter({ db }) {
+  const router = express.Router();
+
+  /**
+   * Search grammar points, examples, vocabulary and kanji at once.
+   * Romaji, hiragana, katakana and English all work ("taberu", "たべる", "eat" → 食).
+   * Query: q, types (comma separated, default all), level (N5–N1), limit per group (max 50).
+   */
+  router.get('/api/search', async (req, res) => {
+    try {
+      const repeated = repeatedParams(req.query, ['q', 'types', 'level', 'limit']);
+      if (repeated.length > 0) {
+        return res.status(400).json({ error: `${repeated.join(', ')} may only be given once` });
+      }
+
+      const q = String(req.query.q ?? '').trim();
+      if (!q) {
+        return res.status(400).json({ error: 'q is required' });
+      }
+
+      const types = req.query.types ? req.query.types.split(',') : Object.keys(SEARCH_GROUPS);
+      const unknown = types.filter(t => !SEARCH_GROUPS[t]);
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `Unknown search types: ${unknown.join(', ')}` });
+      }
+      const level = req.query.level ?? null;
+      if (level && !JLPT_LEVELS.includes(level)) {
+        return res.status(400).json({ error: `level must be one of: ${JLPT_LEVELS.join(', ')}` });
+      }
+      const requestedLimit = Number(req.query.limit ?? 20);
+      if (!Number.isInteger(requestedLimit) || requestedLimit < 1) {
+        return res.status(400).json({ error: 'limit must be a positive integer' });
+      }
+      const limit = Math.min(requestedLimit, 50);
+
+      const { variants } = expandQuery(q);
+      const escapeLike = (v) => v.replace(/[[%_]/g, (m) => `[${m}]`);
+
+      const pool = await db.getPool();
+
+      const results = {};
+      for (const type of types) {
+        const group = SEARCH_GROUPS[type];
+        const request = pool.request()
+          .input('candidates', sql.Int, 200)
+          .input('level', sql.NVarChar(2), level)
+          .input('jlpt', sql.Int, level ? levelToJlpt(level) : null);
+
+        variants.forEach((v, i) => request
+          .input(`p${i}`, sql.NVarChar, `%${escapeLike(v)}%`)
+          .input(`e${i}`, sql.NVarChar, v)
+          .input(`w${i}`, sql.NVarChar, `%[ ,;/()]${escapeLike(v)}[ ,;/()]%`)
+          .input(`s${i}`, sql.NVarChar, `${escapeLike(v)}%`));
+        const where = group.columns
+          .flatMap(col => variants.map((_, i) => `${col} LIKE @p${i}`))
+          .join(' OR ');
+
+        const result = await request.query(group.query(where, candidateRank(group.columns, variants.length)));
+
+        results[type] = result.recordset
+          .map(row => ({ ...row, ...scoreRow(row, group.fields, variants) }))
+          .filter(row => row.score > 0)
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit);
+      }
+
+      res.json({
+        query: q,
+        level,
+        variants,
+        counts: Object.fromEntries(Object.entries(results).map(([type, rows]) => [type, rows.length])),
+        results,
+      });
+    } catch (err) {
+      console.error('❌ Search error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
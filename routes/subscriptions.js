@@ -0,0 +1,217 @@
+import express from 'express';
+import {
+  confirmSubscription,
+  getSubscriptionByConfirmToken,
+  getSubscriptionByToken,
+  requestSubscription,
+  subscriptionInputErrors,
+  unsubscribe,
+  updateSubscription,
+} from '../lib/subscriptions.js';
+import { requireUser } from '../lib/auth.js';
+import { escapeHtml } from '../lib/exam-email.js';
+
+// Small HTML page for the links in the email
+function page(title, body) {
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:sans-serif;max-width:480px;margin:2em auto;color:#1a202c">
+<h2>${escapeHtml(title)}</h2>
+${body}
+</body>
+</html>`;
+}
+
+const tokenFrom = (req) => {
+  const token = req.query.token ?? req.body?.token;
+  return typeof token === 'string' && token ? token : null;
+};
+
+export function subscriptionsRouter({ db, mailer }) {
+  const router = express.Router();
+
+  /**
+   * Subscribe an address to the daily exam email:
+   * { "email": "...", "level"?: "N4", "send_time"?: "07:00", "answers"?: "inline" | "next_day" }
+   * The subscription stays pending until the address owner confirms it from
+   * the email sent to them.
+   */
+  router.post('/api/subscriptions', requireUser, async (req, res) => {
+    try {
+      const errors = subscriptionInputErrors(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid input', details: errors });
+      }
+
+      const pool = await db.getPool();
+      const subscription = await requestSubscription(pool, mailer, {
+        email: req.body.email,
+        level: req.body.level,
+        sendTime: req.body.send_time,
+        answers: req.body.answers,
+        userId: parseInt(req.user.id, 10),
+      });
+
+      res.status(202).json({ ...subscription, message: 'Check the inbox for a confirmation link' });
+    } catch (err) {
+      console.error('❌ Subscribe error:', err.message);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  // The confirmation link in the email: a page whose button POSTs, like unsubscribe
+  router.get('/api/subscriptions/confirm', async (req, res) => {
+    try {
+      const token = tokenFrom(req);
+      if (!token) {
+        return res.status(400).type('html').send(page('Confirm', '<p>This link is missing its token.</p>'));
+      }
+
+      const pool = await db.getPool();
+      const subscription = await getSubscriptionByConfirmToken(pool, token);
+      if (!subscription) {
+        return res.status(404).type('html').send(page('Confirm', '<p>This subscription does not exist.</p>'));
+      }
+      if (subscription.status !== 'pending') {
+        return res.type('html').send(page('Confirm', `<p>This subscription is already ${escapeHtml(subscription.status)}.</p>`));
+      }
+
+      res.type('html').send(page('Confirm', `<p>Send the JLPT ${escapeHtml(subscription.level)} daily exam to ${escapeHtml(subscription.email)} every day at ${escapeHtml(subscription.send_time)}?</p>
+<form method="post" action="?token=${escapeHtml(encodeURIComponent(token))}"><button type="submit">Subscribe</button></form>`));
+    } catch (err) {
+      console.error('❌ Confirm page error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Confirm a pending subscription (token from the query or { "token" }).
+   * Responds with the subscription, whose unsubscribe_token manages it.
+   */
+  router.post('/api/subscriptions/confirm', async (req, res) => {
+    const isForm = req.is('application/x-www-form-urlencoded');
+    try {
+      const token = tokenFrom(req);
+      if (!token) {
+        return res.status(400).json({ error: 'token is required' });
+      }
+
+      const pool = await db.getPool();
+      const subscription = await confirmSubscription(pool, token);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      if (subscription.status === 'unsubscribed') {
+        return res.status(409).json({ error: 'This subscription was unsubscribed' });
+      }
+
+      if (isForm) {
+        return res.type('html').send(page('Subscribed', `<p>The JLPT ${escapeHtml(subscription.level)} daily exam will arrive every day at ${escapeHtml(subscription.send_time)}.</p>`));
+      }
+      res.json(subscription);
+    } catch (err) {
+      console.error('❌ Confirm subscription error:', err.message);
+      if (isForm && err.status === 409) {
+        return res.status(409).type('html').send(page('Confirm', '<p>This address is already subscribed.</p>'));
+      }
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * The unsubscribe link in the email only shows a confirmation page: mail
+   * scanners and link prefetchers follow GET links, so only POST unsubscribes.
+   */
+  router.get('/api/subscriptions/unsubscribe', async (req, res) => {
+    try {
+      const token = tokenFrom(req);
+      if (!token) {
+        return res.status(400).type('html').send(page('Unsubscribe', '<p>This link is missing its token.</p>'));
+      }
+
+      const pool = await db.getPool();
+      const subscription = await getSubscriptionByToken(pool, token);
+      if (!subscription) {
+        return res.status(404).type('html').send(page('Unsubscribe', '<p>This subscription does not exist.</p>'));
+      }
+      if (subscription.status === 'unsubscribed') {
+        return res.type('html').send(page('Unsubscribe', '<p>You are already unsubscribed from the JLPT daily exam email.</p>'));
+      }
+
+      res.type('html').send(page('Unsubscribe', `<p>Stop sending the JLPT daily exam email to ${escapeHtml(subscription.email)}?</p>
+<form method="post" action="?token=${escapeHtml(encodeURIComponent(token))}"><button type="submit">Unsubscribe</button></form>`));
+    } catch (err) {
+      console.error('❌ Unsubscribe page error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  /**
+   * Unsubscribe: the confirmation page's form, RFC 8058 one-click POSTs from
+   * mail clients (List-Unsubscribe-Post), or API clients with { "token" }.
+   */
+  router.post('/api/subscriptions/unsubscribe', async (req, res) => {
+    try {
+      const token = tokenFrom(req);
+      if (!token) {
+        return res.status(400).json({ error: 'token is required' });
+      }
+
+      const pool = await db.getPool();
+      const subscription = await unsubscribe(pool, token);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+
+      // Form posts (the page and one-click) get a page back, API clients JSON
+      if (req.is('application/x-www-form-urlencoded')) {
+        return res.type('html').send(page('Unsubscribed', '<p>You have been unsubscribed from the JLPT daily exam email.</p>'));
+      }
+      res.json({ message: 'Unsubscribed', subscription_id: subscription.subscription_id });
+    } catch (err) {
+      console.error('❌ Unsubscribe error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/api/subscriptions/:token', async (req, res) => {
+    try {
+      const pool = await db.getPool();
+      const subscription = await getSubscriptionByToken(pool, req.params.token);
+      if (!subscription) {
+        return res.status(404).json({ error: 'Subscription not found' });
+      }
+      res.json(subscription);
+    } catch (err) {
+      console.error('❌ Get subscription error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Change preferences: { "level"?: "N5", "send_time"?: "HH:MM", "answers"?: "inline" | "next_day" }
+  router.patch('/api/subscriptions/:token', async (req, res) => {
+    try {
+      const errors = subscriptionInputErrors(req.body, { partial: true });
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid input', details: errors });
+      }
+
+      const pool = await db.getPool();
+      const subscription = await updateSubscription(pool, req.params.token, {
+        level: req.body.level,
+        sendTime: req.body.send_time,
+        answers: req.body.answers,
+      });
+      if (!subscription) {
+        return res.status(404).json({ error: 'Active subscription not found' });
+      }
+      res.json(subscription);
+    } catch (err) {
+      console.error('❌ Update subscription error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
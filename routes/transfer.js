@@ -0,0 +1,107 @@
+import express from 'express';
+import {
+  ANKI_TYPES,
+  buildDump,
+  dumpToAnki,
+  dumpToCsv,
+  EXPORT_FORMATS,
+  EXPORT_TYPES,
+  unknownAnkiFields,
+} from '../lib/export.js';
+import { IMPORT_CONFLICT_MODES, importDump, validateImport } from '../lib/import.js';
+import { requireAdmin } from '../lib/auth.js';
+
+export function transferRouter({ db }) {
+  const router = express.Router();
+
+  /**
+   * Export grammar, kanji and exams.
+   * format=json (default): a dump POST /api/import accepts; type=grammar,kanji,exams (default all).
+   * format=csv: one type, flattened to one row per example (per question for exams).
+   * format=anki: grammar or kanji as an Anki plain-text import, with front/back templates and deck.
+   * Filters: level (grammar, e.g. N4), jlpt (kanji).
+   */
+  router.get('/api/export', requireAdmin, async (req, res) => {
+    try {
+      const { format = 'json', level = null, deck = null } = req.query;
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+      }
+
+      const types = (req.query.type ?? EXPORT_TYPES.join(',')).split(',').map(t => t.trim());
+      const unknown = types.filter(t => !EXPORT_TYPES.includes(t));
+      if (unknown.length > 0) {
+        return res.status(400).json({ error: `type must be among: ${EXPORT_TYPES.join(', ')}` });
+      }
+      if (format !== 'json' && types.length !== 1) {
+        return res.status(400).json({ error: `${format} export needs exactly one type` });
+      }
+      if (format === 'anki' && !ANKI_TYPES.includes(types[0])) {
+        return res.status(400).json({ error: `anki export supports type ${ANKI_TYPES.join(' or ')}` });
+      }
+
+      const jlpt = req.query.jlpt === undefined ? null : parseInt(req.query.jlpt, 10);
+      if (Number.isNaN(jlpt)) {
+        return res.status(400).json({ error: 'jlpt must be a number' });
+      }
+
+      const templates = { front: req.query.front, back: req.query.back };
+      if (format === 'anki') {
+        const badFields = [templates.front, templates.back]
+          .filter(Boolean)
+          .flatMap(template => unknownAnkiFields(types[0], template));
+        if (badFields.length > 0) {
+          return res.status(400).json({ error: `Unknown template fields: ${[...new Set(badFields)].join(', ')}` });
+        }
+      }
+
+      const pool = await db.getPool();
+      const dump = await buildDump(pool, types, { level, jlpt });
+      const stamp = dump.exported_at.slice(0, 10);
+
+      if (format === 'json') {
+        res.attachment(`export-${stamp}.json`);
+        return res.json(dump);
+      }
+
+      const [type] = types;
+      if (format === 'csv') {
+        res.type('text/csv; charset=utf-8');
+        res.attachment(`${type}-${stamp}.csv`);
+        return res.send(dumpToCsv(type, dump[type]));
+      }
+
+      res.type('text/tab-separated-values; charset=utf-8');
+      res.attachment(`${type}-anki-${stamp}.txt`);
+      res.send(dumpToAnki(type, dump[type], { ...templates, deck }));
+    } catch (err) {
+      console.error('❌ Export error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Load a JSON export; existing items are skipped, or replaced with ?on_conflict=replace
+  router.post('/api/import', requireAdmin, async (req, res) => {
+    try {
+      const onConflict = req.query.on_conflict ?? 'skip';
+      if (!IMPORT_CONFLICT_MODES.includes(onConflict)) {
+        return res.status(400).json({ error: `on_conflict must be one of: ${IMPORT_CONFLICT_MODES.join(', ')}` });
+      }
+
+      const errors = validateImport(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid import', details: errors });
+      }
+
+      const pool = await db.getPool();
+      const counts = await importDump(pool, req.body, { onConflict });
+
+      res.json({ message: 'Import complete', on_conflict: onConflict, ...counts });
+    } catch (err) {
+      console.error('❌ Import error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
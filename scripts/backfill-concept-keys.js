@@ -0,0 +1,62 @@
+import dotenv from 'dotenv';
+import sql from 'mssql';
+import { dbConfigFromEnv } from '../lib/db.js';
+import { normalizeConcept } from '../lib/grammar.js';
+
+dotenv.config();
+
+const config = dbConfigFromEnv();
+
+// Fill GrammarPoints.ConceptKey and turn existing duplicates into versions:
+// the oldest row becomes version 1 and the newest one is current.
+async function backfillConceptKeys() {
+  const pool = await sql.connect(config);
+  const tx = new sql.Transaction(pool);
+
+  try {
+    const result = await pool.request().query(`
+      SELECT GrammarId, Concept
+      FROM GrammarPoints
+      WHERE ConceptKey IS NULL
+      ORDER BY GrammarId
+    `);
+
+    const groups = new Map();
+    for (const row of result.recordset) {
+      const key = normalizeConcept(row.Concept);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(row.GrammarId);
+    }
+
+    await tx.begin();
+
+    for (const [key, ids] of groups) {
+      // Non-current versions first so the unique "current" index is never violated
+      for (const [index, id] of ids.entries()) {
+        await new sql.Request(tx)
+          .input('id', sql.Int, id)
+          .input('key', sql.NVarChar(200), key)
+          .input('version', sql.Int, index + 1)
+          .input('current', sql.Bit, index === ids.length - 1)
+          .query(`
+            UPDATE GrammarPoints
+            SET ConceptKey = @key, Version = @version, IsCurrent = @current
+            WHERE GrammarId = @id
+          `);
+      }
+    }
+
+    await tx.commit();
+    console.log(`✅ Backfilled ${result.recordset.length} grammar points into ${groups.size} concepts.`);
+  } catch (err) {
+    await tx.rollback().catch(() => {});
+    throw err;
+  } finally {
+    await pool.close();
+  }
+}
+
+backfillConceptKeys().catch((err) => {
+  console.error('❌ Backfill failed:', err.message);
+  process.exit(1);
+});
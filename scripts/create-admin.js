@@ -0,0 +1,38 @@
+import dotenv from 'dotenv';
+import sql from 'mssql';
+import { dbConfigFromEnv } from '../lib/db.js';
+import { MAX_PASSWORD_LENGTH, MIN_PASSWORD_LENGTH } from '../lib/auth.js';
+import { createUser, findUserByEmail, isEmail, normalizeEmail, setUserRole } from '../lib/users.js';
+
+dotenv.config();
+
+const config = dbConfigFromEnv();
+
+// Create the first admin, or promote an existing account:
+//   npm run create:admin -- admin@example.com 'a long password'
+async function createAdmin(email, password) {
+  if (!isEmail(normalizeEmail(email))) throw new Error('Usage: create-admin <email> <password>');
+
+  const pool = await sql.connect(config);
+  try {
+    const existing = await findUserByEmail(pool, email);
+    if (existing) {
+      await setUserRole(pool, existing.user_id, 'admin');
+      console.log(`✅ ${existing.email} is now an admin.`);
+      return;
+    }
+
+    if (!password || password.length < MIN_PASSWORD_LENGTH || password.length > MAX_PASSWORD_LENGTH) {
+      throw new Error(`Password must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    const user = await createUser(pool, { email, password, role: 'admin' });
+    console.log(`✅ Created admin ${user.email} (user_id ${user.user_id}).`);
+  } finally {
+    await pool.close();
+  }
+}
+
+createAdmin(process.argv[2], process.argv[3]).catch((err) => {
+  console.error('❌ Create admin failed:', err.message);
+  process.exit(1);
+});
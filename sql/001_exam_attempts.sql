@@ -0,0 +1,19 @@
+-- Learner exam attempts and the option chosen for each question
+CREATE TABLE exam_attempts (
+  attempt_id INT IDENTITY(1,1) PRIMARY KEY,
+  batch_id INT NOT NULL REFERENCES QuestionBatch(batch_id),
+  learner_id NVARCHAR(100) NULL,
+  score INT NOT NULL,
+  total INT NOT NULL,
+  submitted_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+);
+
+CREATE TABLE exam_attempt_answers (
+  attempt_id INT NOT NULL REFERENCES exam_attempts(attempt_id) ON DELETE CASCADE,
+  question_id INT NOT NULL REFERENCES questions(question_id),
+  option_id INT NULL REFERENCES question_options(option_id),
+  is_correct BIT NOT NULL,
+  PRIMARY KEY (attempt_id, question_id)
+);
+
+CREATE INDEX IX_exam_attempts_batch ON exam_attempts(batch_id);
@@ -0,0 +1,23 @@
+-- Spaced-repetition state per learner per grammar point / kanji
+CREATE TABLE review_states (
+  learner_id NVARCHAR(100) NOT NULL,
+  item_type NVARCHAR(20) NOT NULL, -- 'grammar' | 'kanji'
+  item_id INT NOT NULL,
+  ease_factor FLOAT NOT NULL,
+  interval_days INT NOT NULL,
+  repetitions INT NOT NULL,
+  lapses INT NOT NULL,
+  due_at DATETIME2 NOT NULL,
+  last_reviewed_at DATETIME2 NOT NULL,
+  PRIMARY KEY (learner_id, item_type, item_id)
+);
+
+CREATE INDEX IX_review_states_due ON review_states(learner_id, due_at);
+
+-- Grammar points / kanji that a generated question exercises
+CREATE TABLE question_links (
+  question_id INT NOT NULL REFERENCES questions(question_id) ON DELETE CASCADE,
+  item_type NVARCHAR(20) NOT NULL, -- 'grammar' | 'kanji'
+  item_id INT NOT NULL,
+  PRIMARY KEY (question_id, item_type, item_id)
+);
@@ -0,0 +1,8 @@
+-- AI deep-dive breakdown for a question, generated once and reused
+CREATE TABLE question_explanations (
+  question_id INT PRIMARY KEY REFERENCES questions(question_id) ON DELETE CASCADE,
+  grammar_id INT NULL REFERENCES GrammarPoints(GrammarId),
+  breakdown NVARCHAR(MAX) NOT NULL,
+  created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+  updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+);
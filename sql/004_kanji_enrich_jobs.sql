@@ -0,0 +1,15 @@
+-- Progress of batch kanji enrichment runs (POST /api/kanji/enrich)
+CREATE TABLE kanji_enrich_jobs (
+  job_id INT IDENTITY(1,1) PRIMARY KEY,
+  jlpt INT NULL,
+  force BIT NOT NULL DEFAULT 0,
+  status NVARCHAR(20) NOT NULL, -- running | completed | failed
+  total INT NOT NULL DEFAULT 0,
+  succeeded INT NOT NULL DEFAULT 0,
+  failed INT NOT NULL DEFAULT 0,
+  current_kanji NVARCHAR(10) NULL,
+  errors NVARCHAR(MAX) NULL, -- JSON array of { kanji_id, kanji, error }
+  started_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+  updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+  finished_at DATETIME2 NULL
+);
@@ -0,0 +1,19 @@
+-- One QuestionBatch per calendar day (in EXAM_TIMEZONE); practice batches keep exam_date NULL
+ALTER TABLE QuestionBatch ADD exam_date DATE NULL;
+GO
+
+CREATE UNIQUE INDEX UX_QuestionBatch_exam_date
+  ON QuestionBatch(exam_date)
+  WHERE exam_date IS NOT NULL;
+
+-- Scheduler bookkeeping for each day's generation
+CREATE TABLE daily_exam_runs (
+  exam_date DATE PRIMARY KEY,
+  status NVARCHAR(20) NOT NULL, -- running | ready | failed
+  attempts INT NOT NULL DEFAULT 0,
+  batch_id INT NULL REFERENCES QuestionBatch(batch_id),
+  last_error NVARCHAR(MAX) NULL,
+  started_at DATETIME2 NULL,
+  next_attempt_at DATETIME2 NULL,
+  updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+);
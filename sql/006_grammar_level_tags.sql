@@ -0,0 +1,11 @@
+-- JLPT level and free-form tags for grammar points (existing content is N4)
+ALTER TABLE GrammarPoints ADD Level NVARCHAR(2) NOT NULL
+  CONSTRAINT DF_GrammarPoints_Level DEFAULT 'N4';
+
+CREATE TABLE GrammarTags (
+  GrammarId INT NOT NULL REFERENCES GrammarPoints(GrammarId) ON DELETE CASCADE,
+  Tag NVARCHAR(50) NOT NULL,
+  PRIMARY KEY (GrammarId, Tag)
+);
+
+CREATE INDEX IX_GrammarTags_Tag ON GrammarTags(Tag);
@@ -0,0 +1,11 @@
+-- Grammar point versions: rows sharing a ConceptKey are versions of one concept.
+-- Run `npm run backfill:concepts` afterwards to fill ConceptKey for existing rows.
+ALTER TABLE GrammarPoints ADD
+  ConceptKey NVARCHAR(200) NULL,
+  Version INT NOT NULL CONSTRAINT DF_GrammarPoints_Version DEFAULT 1,
+  IsCurrent BIT NOT NULL CONSTRAINT DF_GrammarPoints_IsCurrent DEFAULT 1;
+GO
+
+CREATE UNIQUE INDEX UX_GrammarPoints_CurrentConcept
+  ON GrammarPoints(ConceptKey)
+  WHERE IsCurrent = 1 AND ConceptKey IS NOT NULL;
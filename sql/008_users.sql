@@ -0,0 +1,14 @@
+-- Learner and admin accounts. exam_attempts.learner_id and
+-- review_states.learner_id hold the user_id (as text) of signed-in learners.
+CREATE TABLE users (
+  user_id INT IDENTITY(1,1) PRIMARY KEY,
+  email NVARCHAR(255) NOT NULL,
+  password_hash NVARCHAR(255) NOT NULL,
+  role NVARCHAR(20) NOT NULL DEFAULT 'learner'
+    CONSTRAINT CK_users_role CHECK (role IN ('learner', 'admin')),
+  created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+);
+
+CREATE UNIQUE INDEX UX_users_email ON users(email);
+
+CREATE INDEX IX_exam_attempts_learner ON exam_attempts(learner_id, submitted_at);
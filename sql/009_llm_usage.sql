@@ -0,0 +1,20 @@
+-- One row per LLM provider call, written by lib/usage.js
+CREATE TABLE llm_usage (
+  usage_id BIGINT IDENTITY(1,1) PRIMARY KEY,
+  created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+  route NVARCHAR(200) NOT NULL,
+  task NVARCHAR(50) NULL,
+  provider NVARCHAR(20) NOT NULL,
+  model NVARCHAR(100) NOT NULL,
+  key_alias NVARCHAR(100) NULL,
+  prompt_tokens INT NULL,
+  output_tokens INT NULL,
+  total_tokens INT NULL,
+  latency_ms INT NOT NULL,
+  outcome NVARCHAR(30) NOT NULL, -- ok | rate_limited | server_error | error | invalid_response
+  status_code INT NULL,
+  error NVARCHAR(1000) NULL
+);
+
+CREATE INDEX IX_llm_usage_created ON llm_usage(created_at);
+CREATE INDEX IX_llm_usage_key ON llm_usage(key_alias, created_at);
@@ -0,0 +1,38 @@
+-- Daily exam email subscriptions and the delivery log
+CREATE TABLE email_subscriptions (
+  subscription_id INT IDENTITY(1,1) PRIMARY KEY,
+  email NVARCHAR(255) NOT NULL,
+  user_id INT NULL REFERENCES users(user_id),
+  send_time CHAR(5) NOT NULL DEFAULT '07:00', -- HH:MM in EXAM_TIMEZONE
+  answers NVARCHAR(20) NOT NULL DEFAULT 'next_day'
+    CONSTRAINT CK_email_subscriptions_answers CHECK (answers IN ('inline', 'next_day')),
+  unsubscribe_token NVARCHAR(64) NOT NULL,
+  status NVARCHAR(20) NOT NULL DEFAULT 'active'
+    CONSTRAINT CK_email_subscriptions_status CHECK (status IN ('active', 'unsubscribed')),
+  created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+  updated_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+  unsubscribed_at DATETIME2 NULL
+);
+
+CREATE UNIQUE INDEX UX_email_subscriptions_token ON email_subscriptions(unsubscribe_token);
+
+-- One active subscription per address
+CREATE UNIQUE INDEX UX_email_subscriptions_active_email
+  ON email_subscriptions(email) WHERE status = 'active';
+
+-- One delivery per subscription per exam date; failed sends are retried in place
+CREATE TABLE email_deliveries (
+  delivery_id INT IDENTITY(1,1) PRIMARY KEY,
+  subscription_id INT NOT NULL REFERENCES email_subscriptions(subscription_id),
+  exam_date DATE NOT NULL,
+  batch_id INT NOT NULL REFERENCES QuestionBatch(batch_id),
+  status NVARCHAR(20) NOT NULL, -- sending | sent | failed
+  attempts INT NOT NULL DEFAULT 0,
+  message_id NVARCHAR(255) NULL,
+  last_error NVARCHAR(MAX) NULL,
+  created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+  sent_at DATETIME2 NULL,
+  CONSTRAINT UQ_email_deliveries_day UNIQUE (subscription_id, exam_date)
+);
+
+CREATE INDEX IX_email_deliveries_created ON email_deliveries(created_at);
@@ -0,0 +1,30 @@
+-- JLPT level of exam batches, daily exam runs and email subscriptions (existing rows are N4)
+ALTER TABLE QuestionBatch ADD level NVARCHAR(2) NOT NULL
+  CONSTRAINT DF_QuestionBatch_level DEFAULT 'N4';
+GO
+
+-- One daily exam per calendar day and level
+DROP INDEX UX_QuestionBatch_exam_date ON QuestionBatch;
+
+CREATE UNIQUE INDEX UX_QuestionBatch_exam_date_level
+  ON QuestionBatch(exam_date, level)
+  WHERE exam_date IS NOT NULL;
+
+-- Scheduler bookkeeping is per day and level too; the original primary key is system-named
+ALTER TABLE daily_exam_runs ADD level NVARCHAR(2) NOT NULL
+  CONSTRAINT DF_daily_exam_runs_level DEFAULT 'N4';
+GO
+
+DECLARE @pk SYSNAME = (
+  SELECT name FROM sys.key_constraints
+  WHERE parent_object_id = OBJECT_ID('daily_exam_runs') AND type = 'PK'
+);
+EXEC('ALTER TABLE daily_exam_runs DROP CONSTRAINT ' + @pk);
+GO
+
+ALTER TABLE daily_exam_runs ADD CONSTRAINT PK_daily_exam_runs PRIMARY KEY (exam_date, level);
+
+ALTER TABLE email_subscriptions ADD level NVARCHAR(2) NOT NULL
+  CONSTRAINT DF_email_subscriptions_level DEFAULT 'N4';
+
+CREATE INDEX IX_GrammarPoints_Level ON GrammarPoints(Level) WHERE IsCurrent = 1;
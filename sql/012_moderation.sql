@@ -0,0 +1,35 @@
+-- Generated batches start as drafts and are served to learners once published.
+-- Existing batches were already being served, so they are published.
+ALTER TABLE QuestionBatch ADD
+  status NVARCHAR(20) NOT NULL
+    CONSTRAINT DF_QuestionBatch_status DEFAULT 'published'
+    CONSTRAINT CK_QuestionBatch_status CHECK (status IN ('draft', 'published')),
+  question_types NVARCHAR(MAX) NULL, -- JSON array of the requested types
+  per_type INT NULL,
+  published_at DATETIME2 NULL,
+  published_by INT NULL REFERENCES users(user_id);
+GO
+
+-- Rejected questions stay for the record but are never served
+ALTER TABLE questions ADD
+  status NVARCHAR(20) NOT NULL
+    CONSTRAINT DF_questions_status DEFAULT 'active'
+    CONSTRAINT CK_questions_status CHECK (status IN ('active', 'rejected')),
+  rejected_reason NVARCHAR(500) NULL,
+  reviewed_at DATETIME2 NULL,
+  reviewed_by INT NULL REFERENCES users(user_id);
+GO
+
+-- Problems found by the automatic checks; rebuilt whenever a batch is checked again.
+-- Batch-wide problems (e.g. a missing question type) have no question_id.
+CREATE TABLE question_flags (
+  flag_id INT IDENTITY(1,1) PRIMARY KEY,
+  batch_id INT NOT NULL REFERENCES QuestionBatch(batch_id),
+  question_id INT NULL REFERENCES questions(question_id),
+  code NVARCHAR(50) NOT NULL,
+  message NVARCHAR(500) NOT NULL,
+  created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+);
+
+CREATE INDEX IX_question_flags_batch ON question_flags(batch_id);
+CREATE INDEX IX_QuestionBatch_status ON QuestionBatch(status) WHERE status = 'draft';
@@ -0,0 +1,18 @@
+-- Reading passages: one passage per reading item, with several questions about it
+CREATE TABLE passages (
+  passage_id INT IDENTITY(1,1) PRIMARY KEY,
+  batch_id INT NOT NULL REFERENCES QuestionBatch(batch_id),
+  passage_type NVARCHAR(255) NOT NULL, -- one of the reading question types
+  title NVARCHAR(255) NOT NULL,
+  body NVARCHAR(MAX) NOT NULL,
+  furigana NVARCHAR(MAX) NULL, -- body with readings, like 食[た]べる
+  created_at DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()
+);
+
+CREATE INDEX IX_passages_batch ON passages(batch_id);
+
+-- Older reading questions keep the passage inside question_text and have no passage_id
+ALTER TABLE questions ADD passage_id INT NULL REFERENCES passages(passage_id);
+
+-- Passage-wide problems found by the quality checks
+ALTER TABLE question_flags ADD passage_id INT NULL REFERENCES passages(passage_id);
@@ -0,0 +1,6 @@
+-- Which generator wrote a batch's questions: the LLM, or the offline generator
+-- working from stored kanji readings, meanings and example sentences
+ALTER TABLE QuestionBatch ADD
+  generator NVARCHAR(20) NOT NULL
+    CONSTRAINT DF_QuestionBatch_generator DEFAULT 'llm'
+    CONSTRAINT CK_QuestionBatch_generator CHECK (generator IN ('llm', 'local'));
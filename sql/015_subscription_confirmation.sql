@@ -0,0 +1,17 @@
+-- New subscriptions wait as 'pending' until the address owner follows the
+-- confirmation link; only then do they become 'active'
+ALTER TABLE email_subscriptions DROP CONSTRAINT CK_email_subscriptions_status;
+
+ALTER TABLE email_subscriptions ADD
+  confirm_token NVARCHAR(64) NULL,
+  confirmed_at DATETIME2 NULL;
+GO
+
+ALTER TABLE email_subscriptions ADD
+  CONSTRAINT CK_email_subscriptions_status CHECK (status IN ('pending', 'active', 'unsubscribed'));
+
+CREATE UNIQUE INDEX UX_email_subscriptions_confirm_token
+  ON email_subscriptions(confirm_token) WHERE confirm_token IS NOT NULL;
+
+-- When a send was claimed; a 'sending' row older than the lease is retried
+ALTER TABLE email_deliveries ADD claimed_at DATETIME2 NULL;